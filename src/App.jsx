@@ -1,7 +1,24 @@
 'use client'
 
-import React, { useState } from "react";
+import React, { useState, useRef, useEffect, useMemo } from "react";
 import { Upload, Play, BarChart3, TrendingUp, Database, AlertCircle } from "lucide-react";
+import { DEFAULT_PARAMS, DEFAULT_PROFILE_NAME, DEFAULT_STAKING, DEVIG_METHODS, clamp, resolveSeed, deriveSeed, bestSide, stakeSlate, validateParams, gradeGame, BUILT_IN_BASELINE, computeLeagueBaselines, withLeagueBaselines, diffBaselines, FIT_OBJECTIVES, describeAdjustment, blendSnapshots, snapshotValues, SCORE_DISTRIBUTIONS, scoreTableFromGames } from "./engine";
+import { createWorkerPool, isCancelled } from "./workers/workerPool";
+import CorrectScorePanel from "./components/CorrectScorePanel";
+import ParlayBuilder from "./components/ParlayBuilder";
+import BuyPointsTable from "./components/BuyPointsTable";
+import TeaserBuilder from "./components/TeaserBuilder";
+import LadderTable from "./components/LadderTable";
+import BetValue from "./components/BetValue";
+import StakingSettings from "./components/StakingSettings";
+import StakePanel from "./components/StakePanel";
+import ParamProfileEditor from "./components/ParamProfileEditor";
+import BacktestReport from "./components/BacktestReport";
+import FitReport from "./components/FitReport";
+import LeagueBaselinePanel from "./components/LeagueBaselinePanel";
+import TeamAdjustmentsPanel from "./components/TeamAdjustmentsPanel";
+import SnapshotBlendPanel from "./components/SnapshotBlendPanel";
+import { downloadFile } from "./download";
 
 /**
  * NFL Monte Carlo Simulator - FULL COMPOSITE MODEL
@@ -32,11 +49,32 @@ import { Upload, Play, BarChart3, TrendingUp, Database, AlertCircle } from "luci
  * TIER 4: FINAL PROJECTION
  * ============================================
  * Expected_Points = Matchup_PPD × Expected_Drives × Weather
+ *
+ * The model itself lives in ./engine; this component is the UI around it.
  */
 
+const ADJUSTMENTS_STORAGE_KEY = 'nfl-sim-team-adjustments';
+
+// Injury / QB adjustments persist in localStorage as { [TEAM]: adjustment }
+const readSavedAdjustments = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ADJUSTMENTS_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error("Could not read saved team adjustments:", error);
+    return {};
+  }
+};
+
+const teamKey = (team) => team.Team.trim().toUpperCase();
+
+// CER z-scores in the order the shrinkage details list them
+const SHRINKAGE_LABELS = [
+  ['z_ppd', 'PPD'], ['z_epa', 'EPA'], ['z_sr', 'SR'], ['z_rztd', 'RZ TD'], ['z_to', 'TO'], ['z_rzDrives', 'RZ Dr'],
+];
+
 const NFLTotalsSimulator = () => {
   // State management
-  const [teams, setTeams] = useState([]);
+  const [teamSnapshots, setTeamSnapshots] = useState([]);   // [{ name, teams, weight }]
   const [selectedHomeTeam, setSelectedHomeTeam] = useState(null);
   const [selectedAwayTeam, setSelectedAwayTeam] = useState(null);
   const [csvUploaded, setCsvUploaded] = useState(false);
@@ -47,587 +85,90 @@ const NFLTotalsSimulator = () => {
     awayTeamTotal: 21.0,
     spread: -3.0,
     spreadLine: -3.0,
+    firstHalfOverUnderLine: 22.5,
+    firstHalfSpreadLine: -1.5,
+    firstQuarterOverUnderLine: 8.5,
+    firstQuarterSpreadLine: -0.5,
+    ladderRange: 7,
+    ladderStep: 1,
+    overOdds: -110,
+    underOdds: -110,
+    homeSpreadOdds: -110,
+    awaySpreadOdds: -110,
+    homeTeamOverOdds: -110,
+    homeTeamUnderOdds: -110,
+    awayTeamOverOdds: -110,
+    awayTeamUnderOdds: -110,
+    homeMoneyline: -150,
+    awayMoneyline: 130,
     numSimulations: 10000,
     isDome: false,
+    neutralSite: false,
+    // Rest and travel (blank = normal week at home)
+    homeRestDays: "",
+    awayRestDays: "",
+    homeTravelMiles: "",
+    awayTravelMiles: "",
+    homeTimeZones: "",
+    awayTimeZones: "",
     windMPH: 0,
     temperature: 70,
-    precipitation: "none"
+    precipitation: "none",
+    simulationMode: "normal",
+    scoreDistribution: "normal",
+    seed: "",
+    otTieProb: 0.05
+  });
+  const [liveMode, setLiveMode] = useState(false);
+  const [liveState, setLiveState] = useState({
+    homeScore: 0,
+    awayScore: 0,
+    quarter: 1,
+    clock: "15:00",
+    possession: "home",
+    yardsToGoal: 75
   });
   const [simulationResults, setSimulationResults] = useState(null);
+  const [staking, setStaking] = useState(DEFAULT_STAKING);
+  const [modelProfile, setModelProfile] = useState({ name: DEFAULT_PROFILE_NAME, params: DEFAULT_PARAMS, modified: false });
+  const [baselineSource, setBaselineSource] = useState('builtin');
+  const [teamAdjustments, setTeamAdjustments] = useState(readSavedAdjustments);
+
+  // One row per team, blended across the loaded snapshots
+  const teams = useMemo(() => blendSnapshots(teamSnapshots), [teamSnapshots]);
+
+  // League means/SDs recomputed from the uploaded team rows
+  const leagueBaselines = useMemo(() => computeLeagueBaselines(teams), [teams]);
+
+  useEffect(() => {
+    localStorage.setItem(ADJUSTMENTS_STORAGE_KEY, JSON.stringify(teamAdjustments));
+  }, [teamAdjustments]);
+  const [devigMethod, setDevigMethod] = useState('multiplicative');
   const [isSimulating, setIsSimulating] = useState(false);
+  const [simProgress, setSimProgress] = useState(0);
+  const workerPoolRef = useRef(null);
   
   // Batch processing state
   const [batchGames, setBatchGames] = useState([]);
   const [batchResults, setBatchResults] = useState([]);
   const [isBatchSimulating, setIsBatchSimulating] = useState(false);
   const [batchProgress, setBatchProgress] = useState(0);
-  const [showBatchMode, setShowBatchMode] = useState(false);
-
-  // ============================================
-  // LEAGUE PARAMETERS (W13 2024 Database - From Actual CSV Analysis)
-  // ============================================
-  const params = {
-    lg: {
-      // === CORE EFFICIENCY METRICS (Offense) ===
-      PPD: 2.07488,           // SD=0.427, Range: 1.24-3.05
-      PPD_sd: 0.42745,
-      EPA: -0.00084,          // SD=0.094, Range: -0.19 to 0.16
-      EPA_sd: 0.09376,
-      SR: 0.43625,            // SD=0.035, Range: 32.8%-49.8%
-      SR_sd: 0.03501,
-      RZTD: 0.57717,          // SD=0.089, Range: 33.3%-75.0%
-      RZTD_sd: 0.08942,
-      TO_pct: 0.10805,        // SD=0.030, Range: 4.3%-16.7%
-      TO_pct_sd: 0.03007,
-      RZDrives: 3.27107,      // SD=0.639, Range: 1.82-4.45
-      RZDrives_sd: 0.63882,
-      
-      // === CORE EFFICIENCY METRICS (Defense) ===
-      PPD_def: 2.07108,       // SD=0.325, Range: 1.43-2.67
-      PPD_def_sd: 0.32496,
-      EPA_def: -0.00050,      // SD=0.078
-      EPA_def_sd: 0.07836,
-      SR_def: 0.43604,        // SD=0.032
-      SR_def_sd: 0.03169,
-      RZTD_def: 0.57712,      // SD=0.069
-      RZTD_def_sd: 0.06917,
-      TO_pct_def: 0.10805,    // Forced turnover rate (using offensive avg as baseline)
-      TO_pct_def_sd: 0.03007,
-      RZDrives_def: 3.27533,  // SD=0.502
-      RZDrives_def_sd: 0.50185,
-      
-      // === PACE METRICS ===
-      Drives: 10.79735,       // SD=0.618, Range: 9.55-11.91
-      Drives_sd: 0.61829,
-      SecSnap: 28.51460,      // SD=1.049, Range: 25.5-30.3
-      SecSnap_sd: 1.04923,
-      PlaysPerDrive: 5.69904, // SD=0.446, Range: 4.90-6.96
-      PlaysPerDrive_sd: 0.44626,
-      ThreeOut: 0.20567,      // SD=0.040, Range: 15.7%-30.4%
-      ThreeOut_sd: 0.03964,
-      Xpl: 0.08818,           // SD=0.015, Range: 5.8%-12.0%
-      Xpl_sd: 0.01459,
-      NoHuddle: 0.10190,      // SD=0.115 (high variance - WAS outlier at 66.7%)
-      NoHuddle_sd: 0.11488,
-      Pen: 0.35424,           // SD=0.065, Range: 0.21-0.47
-      Pen_sd: 0.06476,
-      PassRate: 0.54922,      // SD=0.047, Range: 44.8%-65.2%
-      PassRate_sd: 0.04747,
-      
-      // === DEFENSIVE PACE ===
-      Drives_def: 10.79616,
-      Drives_def_sd: 0.61571,
-      ThreeOut_def: 0.20558,  // SD=0.047
-      ThreeOut_def_sd: 0.04722,
-      Xpl_def: 0.08802,       // SD=0.017
-      Xpl_def_sd: 0.01661,
-      PlaysPerDrive_def: 5.69806,
-      PlaysPerDrive_def_sd: 0.36760,
-      SecSnap_def: 28.52732,
-      SecSnap_def_sd: 1.25079,
-      Pen_def: 0.35429,
-      Pen_def_sd: 0.05821,
-      
-      // === OTHER ===
-      StartingFP: 30.50313,   // SD=1.387
-      StartingFP_sd: 1.38715,
-    },
-    
-    // === MODEL COEFFICIENTS ===
-    weights: {
-      // Offensive CER weights (scoring potential)
-      off_PPD: 0.45,
-      off_EPA: 0.20,
-      off_SR: 0.15,
-      off_RZTD: 0.10,
-      off_RZDrives: 0.07,
-      off_TO: -0.03,         // Negative: higher TO% is bad
-      
-      // Defensive CER weights (preventing points)
-      def_EPA: 0.30,
-      def_SR: 0.25,
-      def_RZDrives: 0.20,
-      def_PPD: 0.15,
-      def_RZTD: 0.07,
-      def_TO: 0.03,          // Positive: more forced TOs makes defense better
-    },
-    
-    // Pace coefficients (per 1 SD deviation)
-    pace: {
-      secSnap_coef: -0.08,    // Faster pace → more drives
-      playsPerDrive_coef: -0.05, // Fewer plays/drive → more drives
-      threeOut_coef: 0.09,    // More 3-outs → more drives (reduced from 0.12)
-      xpl_coef: 0.03,         // More explosives → drives end faster (reduced from 0.04)
-      noHuddle_coef: 0.06,    // No-huddle → faster pace
-      pen_coef: -0.03,        // More penalties → longer drives
-      passRate_coef: 0.015,   // Higher pass rate → slight pace increase (reduced from 0.02)
-    },
-    
-    // Shrinkage and adjustments
-    LAMBDA: 0.85,             // Shrinkage factor
-    HOME_FIELD_ADV: 1.3,      // Home field advantage in points
-    CER_TO_PPD_SCALE: 0.32,   // Scale CER z-scores to PPD adjustment
-    
-    // Weather coefficients
-    weather: {
-      dome_bonus: 1.5,
-      wind_per_mph_above_threshold: -0.06,
-      wind_threshold: 10,
-      extreme_cold_threshold: 25,
-      extreme_cold_penalty: -1.5,
-      precip_adjustments: {
-        none: 0,
-        light_rain: -1.0,
-        heavy_rain: -2.0,
-        snow: -2.5,
-      },
-    },
-  };
-
-  const RHO_BASELINE = 0.22;
-  const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
-
-  // ============================================
-  // HELPER FUNCTIONS
-  // ============================================
-  
-  /**
-   * Find value from team object with multiple possible column names
-   */
-  const findValue = (team, possibleNames) => {
-    for (let name of possibleNames) {
-      if (team[name] !== undefined && team[name] !== '') {
-        return team[name];
-      }
-    }
-    return null;
-  };
-
-  /**
-   * Parse percentage values - handles "44.7%", "0.447", or "44.7"
-   * CRITICAL: If the original string contains '%', ALWAYS divide by 100
-   */
-  function parsePercent(val) {
-    if (val == null || val === "") return null;
-    const originalStr = String(val).trim();
-    const hasPercentSign = originalStr.includes('%');
-    const numStr = originalStr.replace('%', '').trim();
-    const num = parseFloat(numStr);
-    if (isNaN(num)) return null;
-    
-    // If original had '%' sign, always divide by 100 (e.g., "0.89%" → 0.0089)
-    if (hasPercentSign) {
-      return num / 100;
-    }
-    // If no '%' sign and value > 1, assume it's a percentage that needs /100
-    if (num > 1) return num / 100;
-    // Otherwise assume it's already a decimal
-    return num;
-  }
-
-  /**
-   * Calculate z-score: (value - mean) / sd
-   */
-  function zScore(value, mean, sd) {
-    if (sd === 0) return 0;
-    return (value - mean) / sd;
-  }
-
-  /**
-   * Convert probability to American odds
-   */
-  const toAmericanOdds = (prob) => {
-    if (prob <= 0) return Infinity;
-    if (prob >= 1) return -Infinity;
-    return prob >= 0.5 
-      ? -Math.round((prob / (1 - prob)) * 100)
-      : Math.round(((1 - prob) / prob) * 100);
-  };
-
-  // ============================================
-  // TIER 1: COMPOSITE EFFICIENCY RATING (CER)
-  // ============================================
-  
-  /**
-   * Calculate Offensive Composite Efficiency Rating
-   * Returns a z-score representing overall offensive quality
-   */
-  function calculateOffensiveCER(team) {
-    // Extract all offensive metrics
-    // Use helper to handle null/undefined but preserve valid zeros
-    const getNumeric = (val, fallback) => {
-      const parsed = parseFloat(val);
-      return (val !== null && val !== undefined && val !== '' && !isNaN(parsed)) ? parsed : fallback;
-    };
-    const getPercent = (val, fallback) => {
-      const parsed = parsePercent(val);
-      return parsed !== null ? parsed : fallback;
-    };
-    
-    const ppd = getNumeric(findValue(team, ['Offensive Pts/Drive', 'Offensive PPD', 'PPD']), params.lg.PPD);
-    const epa = getNumeric(findValue(team, ['Offensive EPA/Play', 'Offensive EPA/play', 'EPA/play']), params.lg.EPA);
-    const sr = getPercent(findValue(team, ['Offensive Success Rate', 'Offensive Success rate', 'SR']), params.lg.SR);
-    const rztd = getPercent(findValue(team, ['Offensive Red Zone TD Rate', 'Offensive RZ TD%', 'RZ TD%']), params.lg.RZTD);
-    const to_pct = getPercent(findValue(team, ['Offensive TO%', 'TO%', 'Turnover%']), params.lg.TO_pct);
-    const rzDrives = getNumeric(findValue(team, ['Offensive Red Zone Drives/Game', 'RZ Drives/Game']), params.lg.RZDrives);
-    
-    // Calculate z-scores for each metric
-    const z_ppd = zScore(ppd, params.lg.PPD, params.lg.PPD_sd);
-    const z_epa = zScore(epa, params.lg.EPA, params.lg.EPA_sd);
-    const z_sr = zScore(sr, params.lg.SR, params.lg.SR_sd);
-    const z_rztd = zScore(rztd, params.lg.RZTD, params.lg.RZTD_sd);
-    const z_to = zScore(to_pct, params.lg.TO_pct, params.lg.TO_pct_sd);
-    const z_rzDrives = zScore(rzDrives, params.lg.RZDrives, params.lg.RZDrives_sd);
-    
-    // Weighted composite
-    const CER = (
-      params.weights.off_PPD * z_ppd +
-      params.weights.off_EPA * z_epa +
-      params.weights.off_SR * z_sr +
-      params.weights.off_RZTD * z_rztd +
-      params.weights.off_TO * z_to +      // Note: negative weight, so high TO% hurts
-      params.weights.off_RZDrives * z_rzDrives
-    );
-    
-    console.log(`  OFF CER ${team.Team}: PPD=${ppd.toFixed(2)} (z=${z_ppd.toFixed(2)}), EPA=${epa.toFixed(3)} (z=${z_epa.toFixed(2)}), SR=${(sr*100).toFixed(1)}% (z=${z_sr.toFixed(2)}), RZTD=${(rztd*100).toFixed(1)}% (z=${z_rztd.toFixed(2)}), TO=${(to_pct*100).toFixed(1)}% (z=${z_to.toFixed(2)}), RZD=${rzDrives.toFixed(1)} (z=${z_rzDrives.toFixed(2)}) → CER=${CER.toFixed(3)}`);
-    
-    return {
-      CER,
-      components: { ppd, epa, sr, rztd, to_pct, rzDrives },
-      zScores: { z_ppd, z_epa, z_sr, z_rztd, z_to, z_rzDrives }
-    };
-  }
-
-  /**
-   * Calculate Defensive Composite Efficiency Rating
-   * Returns a z-score representing overall defensive quality
-   * Note: For defense, LOWER stats are better, so we flip signs
-   */
-  function calculateDefensiveCER(team) {
-    // Use helper to handle null/undefined but preserve valid zeros
-    const getNumeric = (val, fallback) => {
-      const parsed = parseFloat(val);
-      return (val !== null && val !== undefined && val !== '' && !isNaN(parsed)) ? parsed : fallback;
-    };
-    const getPercent = (val, fallback) => {
-      const parsed = parsePercent(val);
-      return parsed !== null ? parsed : fallback;
-    };
-    
-    // Extract all defensive metrics (what the defense ALLOWS)
-    const ppd = getNumeric(findValue(team, ['Defensive Pts/Drive', 'Defensive PPD', 'Def PPD']), params.lg.PPD_def);
-    const epa = getNumeric(findValue(team, ['Defensive EPA/Play', 'Defensive EPA/play', 'Def EPA']), params.lg.EPA_def);
-    const sr = getPercent(findValue(team, ['Defensive Success Rate', 'Defensive Success rate', 'Def SR']), params.lg.SR_def);
-    const rztd = getPercent(findValue(team, ['Defensive Red Zone TD Rate', 'Defensive RZ TD%', 'Def RZ TD%']), params.lg.RZTD_def);
-    const to_forced = getPercent(findValue(team, ['Defensive TO%', 'Def TO%', 'Forced TO%']), params.lg.TO_pct_def);
-    const rzDrives = getNumeric(findValue(team, ['Defensive Red Zone Drives/Game', 'Def RZ Drives/Game']), params.lg.RZDrives_def);
-    
-    // Calculate z-scores - NOTE: For defense, positive z = bad defense (allows more)
-    // We want CER where positive = GOOD defense, so we NEGATE
-    const z_ppd = -zScore(ppd, params.lg.PPD_def, params.lg.PPD_def_sd);
-    const z_epa = -zScore(epa, params.lg.EPA_def, params.lg.EPA_def_sd);
-    const z_sr = -zScore(sr, params.lg.SR_def, params.lg.SR_def_sd);
-    const z_rztd = -zScore(rztd, params.lg.RZTD_def, params.lg.RZTD_def_sd);
-    const z_to = zScore(to_forced, params.lg.TO_pct_def, params.lg.TO_pct_def_sd); // Positive: more forced TOs is good
-    const z_rzDrives = -zScore(rzDrives, params.lg.RZDrives_def, params.lg.RZDrives_def_sd);
-    
-    // Weighted composite (positive CER = good defense = suppresses opponent scoring)
-    const CER = (
-      params.weights.def_PPD * z_ppd +
-      params.weights.def_EPA * z_epa +
-      params.weights.def_SR * z_sr +
-      params.weights.def_RZTD * z_rztd +
-      params.weights.def_TO * z_to +      // Positive weight × positive z = rewards ball-hawking
-      params.weights.def_RZDrives * z_rzDrives
-    );
-    
-    console.log(`  DEF CER ${team.Team}: PPD_allowed=${ppd.toFixed(2)} (z=${z_ppd.toFixed(2)}), EPA=${epa.toFixed(3)} (z=${z_epa.toFixed(2)}), SR=${(sr*100).toFixed(1)}% (z=${z_sr.toFixed(2)}), RZTD=${(rztd*100).toFixed(1)}% (z=${z_rztd.toFixed(2)}), TO_forced=${(to_forced*100).toFixed(1)}% (z=${z_to.toFixed(2)}), RZD=${rzDrives.toFixed(1)} (z=${z_rzDrives.toFixed(2)}) → CER=${CER.toFixed(3)}`);
-    
-    return {
-      CER,
-      components: { ppd, epa, sr, rztd, to_forced, rzDrives },
-      zScores: { z_ppd, z_epa, z_sr, z_rztd, z_to, z_rzDrives }
-    };
-  }
-
-  // ============================================
-  // TIER 2: PACE-BASED DRIVES MODEL
-  // ============================================
-  
-  /**
-   * Calculate expected drives for a team based on pace factors
-   * Returns expected drives per game for that team's OFFENSE
-   */
-  function calculatePaceAdjustment(team, isOffense = true) {
-    const prefix = isOffense ? 'Offensive' : 'Defensive';
-    
-    // Extract pace metrics
-    const secSnap = parseFloat(findValue(team, [`${prefix} Seconds/Snap`, `${prefix} Sec/snap`, 'SecSnap'])) || 
-                    (isOffense ? params.lg.SecSnap : params.lg.SecSnap_def);
-    const playsPerDrive = parseFloat(findValue(team, [`${prefix} Plays/Drive`, 'Plays/Drive'])) || 
-                          (isOffense ? params.lg.PlaysPerDrive : params.lg.PlaysPerDrive_def);
-    const threeOut = parsePercent(findValue(team, [isOffense ? 'Off 3-out Rate' : 'Defensive 3-out Rate', `${prefix} 3-out Rate`, '3-out Rate'])) || 
-                     (isOffense ? params.lg.ThreeOut : params.lg.ThreeOut_def);
-    const xpl = parsePercent(findValue(team, [`${prefix} Explosive Play Rate`, `${prefix} Explosive rate`])) || 
-                (isOffense ? params.lg.Xpl : params.lg.Xpl_def);
-    const noHuddle = parsePercent(findValue(team, [`${prefix} No Huddle Rate`, 'No Huddle Rate'])) || params.lg.NoHuddle;
-    const pen = parseFloat(findValue(team, [`${prefix} Penalties/Drive`, 'Penalties/Drive'])) || 
-                (isOffense ? params.lg.Pen : params.lg.Pen_def);
-    const passRate = parsePercent(findValue(team, [`${prefix} Early Down Pass Rate`, 'Early Down Pass Rate'])) || params.lg.PassRate;
-    
-    // Use correct league baselines for z-scores based on offensive vs defensive
-    const lg_secSnap = isOffense ? params.lg.SecSnap : params.lg.SecSnap_def;
-    const lg_secSnap_sd = isOffense ? params.lg.SecSnap_sd : params.lg.SecSnap_def_sd;
-    const lg_playsPerDrive = isOffense ? params.lg.PlaysPerDrive : params.lg.PlaysPerDrive_def;
-    const lg_playsPerDrive_sd = isOffense ? params.lg.PlaysPerDrive_sd : params.lg.PlaysPerDrive_def_sd;
-    const lg_threeOut = isOffense ? params.lg.ThreeOut : params.lg.ThreeOut_def;
-    const lg_threeOut_sd = isOffense ? params.lg.ThreeOut_sd : params.lg.ThreeOut_def_sd;
-    const lg_xpl = isOffense ? params.lg.Xpl : params.lg.Xpl_def;
-    const lg_xpl_sd = isOffense ? params.lg.Xpl_sd : params.lg.Xpl_def_sd;
-    const lg_pen = isOffense ? params.lg.Pen : params.lg.Pen_def;
-    const lg_pen_sd = isOffense ? params.lg.Pen_sd : params.lg.Pen_def_sd;
-    
-    // Calculate z-scores using correct baselines
-    const z_secSnap = zScore(secSnap, lg_secSnap, lg_secSnap_sd);
-    const z_playsPerDrive = zScore(playsPerDrive, lg_playsPerDrive, lg_playsPerDrive_sd);
-    const z_threeOut = zScore(threeOut, lg_threeOut, lg_threeOut_sd);
-    const z_xpl = zScore(xpl, lg_xpl, lg_xpl_sd);
-    const z_noHuddle = zScore(noHuddle, params.lg.NoHuddle, params.lg.NoHuddle_sd);
-    const z_pen = zScore(pen, lg_pen, lg_pen_sd);
-    const z_passRate = zScore(passRate, params.lg.PassRate, params.lg.PassRate_sd);
-    
-    // Calculate pace adjustment (how much to adjust drives from baseline)
-    const paceAdj = (
-      params.pace.secSnap_coef * z_secSnap +
-      params.pace.playsPerDrive_coef * z_playsPerDrive +
-      params.pace.threeOut_coef * z_threeOut +
-      params.pace.xpl_coef * z_xpl +
-      params.pace.noHuddle_coef * z_noHuddle +
-      params.pace.pen_coef * z_pen +
-      params.pace.passRate_coef * z_passRate
-    );
-    
-    return {
-      paceAdj,
-      components: { secSnap, playsPerDrive, threeOut, xpl, noHuddle, pen, passRate },
-      zScores: { z_secSnap, z_playsPerDrive, z_threeOut, z_xpl, z_noHuddle, z_pen, z_passRate }
-    };
-  }
-
-  /**
-   * Calculate expected drives for a matchup
-   * CONSTRAINT: Drive differential rarely exceeds ±1 (drives are ~zero-sum)
-   * 
-   * Logic:
-   * 1. Calculate GAME-LEVEL total drives from combined pace
-   * 2. Split roughly 50/50
-   * 3. Adjust for turnover differential (TO creates extra possession for opponent)
-   * 4. Hard cap differential at ±1.0
-   */
-  function calculateExpectedDrives(homeTeam, awayTeam) {
-    // Get pace factors for both teams (offense and defense)
-    const homePace = calculatePaceAdjustment(homeTeam, true);
-    const awayPace = calculatePaceAdjustment(awayTeam, true);
-    const homeDefPace = calculatePaceAdjustment(homeTeam, false);
-    const awayDefPace = calculatePaceAdjustment(awayTeam, false);
-    
-    // GAME-LEVEL pace: average of all four factors
-    // This determines total possessions in the game
-    const gamePaceAdj = (homePace.paceAdj + awayPace.paceAdj + homeDefPace.paceAdj + awayDefPace.paceAdj) / 4;
-    
-    // Total drives in the game (both teams combined)
-    // Baseline ~21.6 total drives (10.8 each)
-    const totalGameDrives = params.lg.Drives * 2 * (1 + gamePaceAdj);
-    
-    // Base split: each team gets half
-    const baseDrivesEach = totalGameDrives / 2;
-    
-    // TURNOVER ADJUSTMENT: Extra possessions from opponent turnovers
-    // If opponent has high TO%, you get extra drives (and they lose one)
-    const homeTO = parsePercent(findValue(homeTeam, ['Offensive TO%', 'TO%'])) || params.lg.TO_pct;
-    const awayTO = parsePercent(findValue(awayTeam, ['Offensive TO%', 'TO%'])) || params.lg.TO_pct;
-    
-    // Expected turnovers per team
-    const homeExpectedTOs = baseDrivesEach * homeTO;
-    const awayExpectedTOs = baseDrivesEach * awayTO;
-    
-    // Net turnover differential (positive = home team gains possessions)
-    // ~80% of turnovers result in a new drive opportunity
-    const turnoverSwing = (awayExpectedTOs - homeExpectedTOs) * 0.8;
-    
-    // Small pace differential adjustment (fast offense vs slow opponent)
-    // Capped at ±0.3 drives - pace alone can't create huge differentials
-    const paceEdge = (homePace.paceAdj - awayPace.paceAdj) * 0.3;
-    const cappedPaceEdge = clamp(paceEdge, -0.3, 0.3);
-    
-    // Calculate raw drives
-    let homeDrives = baseDrivesEach + (turnoverSwing / 2) + cappedPaceEdge;
-    let awayDrives = baseDrivesEach - (turnoverSwing / 2) - cappedPaceEdge;
-    
-    // HARD CONSTRAINT: Differential cannot exceed ±1.0
-    // In real NFL games, drive counts almost always within 1 of each other
-    const differential = homeDrives - awayDrives;
-    if (Math.abs(differential) > 1.0) {
-      const excess = (Math.abs(differential) - 1.0) / 2;
-      if (differential > 0) {
-        homeDrives -= excess;
-        awayDrives += excess;
-      } else {
-        homeDrives += excess;
-        awayDrives -= excess;
-      }
-    }
-    
-    // Apply final bounds
-    homeDrives = clamp(homeDrives, 9.0, 13.0);
-    awayDrives = clamp(awayDrives, 9.0, 13.0);
-    
-    console.log(`  DRIVES MODEL:`);
-    console.log(`    Game pace adj: ${gamePaceAdj.toFixed(3)} → Total game drives: ${totalGameDrives.toFixed(1)}`);
-    console.log(`    Home TO%: ${(homeTO*100).toFixed(1)}%, Away TO%: ${(awayTO*100).toFixed(1)}%`);
-    console.log(`    Turnover swing: ${turnoverSwing.toFixed(2)} drives, Pace edge: ${cappedPaceEdge.toFixed(2)}`);
-    console.log(`    Final: Home ${homeDrives.toFixed(2)} drives, Away ${awayDrives.toFixed(2)} drives (diff: ${(homeDrives-awayDrives).toFixed(2)})`);
-    
-    return {
-      homeDrives,
-      awayDrives,
-      totalGameDrives,
-      differential: homeDrives - awayDrives,
-      turnoverSwing,
-      gamePaceAdj,
-      homePaceDetails: homePace,
-      awayPaceDetails: awayPace
-    };
-  }
-
-  // ============================================
-  // TIER 3: MATCHUP ADJUSTMENT
-  // ============================================
-  
-  /**
-   * Calculate matchup-adjusted PPD for each team
-   * Uses CER to adjust baseline PPD based on opponent quality
-   */
-  function calculateMatchupPPD(homeTeam, awayTeam) {
-    console.log("\n=== COMPOSITE EFFICIENCY RATINGS ===");
-    
-    // Get CER for each team
-    const homeOffCER = calculateOffensiveCER(homeTeam);
-    const homeDefCER = calculateDefensiveCER(homeTeam);
-    const awayOffCER = calculateOffensiveCER(awayTeam);
-    const awayDefCER = calculateDefensiveCER(awayTeam);
-    
-    // Matchup calculation:
-    // Home team's expected PPD = league avg + (home offense CER - away defense CER) * scale
-    // Away defense CER is positive when defense is GOOD, so we subtract
-    const homeMatchupCER = homeOffCER.CER - awayDefCER.CER;
-    const awayMatchupCER = awayOffCER.CER - homeDefCER.CER;
-    
-    // Convert CER to PPD adjustment
-    const homePPDAdj = homeMatchupCER * params.CER_TO_PPD_SCALE;
-    const awayPPDAdj = awayMatchupCER * params.CER_TO_PPD_SCALE;
-    
-    // Apply shrinkage and calculate final PPD
-    const homeRawPPD = params.lg.PPD + homePPDAdj;
-    const awayRawPPD = params.lg.PPD + awayPPDAdj;
-    
-    // Apply shrinkage toward league mean
-    const homePPD = params.lg.PPD + params.LAMBDA * (homeRawPPD - params.lg.PPD);
-    const awayPPD = params.lg.PPD + params.LAMBDA * (awayRawPPD - params.lg.PPD);
-    
-    // Add home field advantage (in PPD terms)
-    const homeAdvPPD = params.HOME_FIELD_ADV / params.lg.Drives;
-    const homeFinalPPD = homePPD + homeAdvPPD;
-    
-    console.log(`\n=== MATCHUP PPD ===`);
-    console.log(`  Home CER matchup: ${homeOffCER.CER.toFixed(3)} (off) - ${awayDefCER.CER.toFixed(3)} (opp def) = ${homeMatchupCER.toFixed(3)}`);
-    console.log(`  Away CER matchup: ${awayOffCER.CER.toFixed(3)} (off) - ${homeDefCER.CER.toFixed(3)} (opp def) = ${awayMatchupCER.toFixed(3)}`);
-    console.log(`  Home PPD: ${params.lg.PPD.toFixed(2)} + ${homePPDAdj.toFixed(3)} = ${homeRawPPD.toFixed(3)} → shrunk to ${homePPD.toFixed(3)} + HFA ${homeAdvPPD.toFixed(3)} = ${homeFinalPPD.toFixed(3)}`);
-    console.log(`  Away PPD: ${params.lg.PPD.toFixed(2)} + ${awayPPDAdj.toFixed(3)} = ${awayRawPPD.toFixed(3)} → shrunk to ${awayPPD.toFixed(3)}`);
-    
-    return {
-      homePPD: clamp(homeFinalPPD, 1.2, 3.5),
-      awayPPD: clamp(awayPPD, 1.2, 3.5),
-      homeOffCER,
-      homeDefCER,
-      awayOffCER,
-      awayDefCER
-    };
-  }
-
-  // ============================================
-  // CORRELATION CALCULATION
-  // ============================================
-  
-  function calculateAdaptiveCorrelation(homeTeam, awayTeam, spread, isDome, windMPH, precip) {
-    let rho = RHO_BASELINE;
-    
-    // 1. Competitiveness factor
-    const absSpread = Math.abs(spread);
-    if (absSpread <= 3) rho += 0.10;
-    else if (absSpread <= 7) rho += 0.05;
-    else if (absSpread >= 14) rho -= 0.10;
-    
-    // 2. Style alignment (pass rate)
-    const homePassRate = parsePercent(findValue(homeTeam, ['Offensive Early Down Pass Rate', 'PassRate'])) || params.lg.PassRate;
-    const awayPassRate = parsePercent(findValue(awayTeam, ['Offensive Early Down Pass Rate', 'PassRate'])) || params.lg.PassRate;
-    const passRateDiff = Math.abs(homePassRate - awayPassRate);
-    if (passRateDiff < 0.05) rho += 0.08;
-    else if (passRateDiff > 0.15) rho -= 0.05;
-    
-    // 3. Explosive play tendency 
-    // Mean=8.82% each, P75=9.87%, so combined >19% means both above P75
-    const homeXpl = parsePercent(findValue(homeTeam, ['Offensive Explosive Play Rate'])) || params.lg.Xpl;
-    const awayXpl = parsePercent(findValue(awayTeam, ['Offensive Explosive Play Rate'])) || params.lg.Xpl;
-    if (homeXpl + awayXpl > 0.19) rho += 0.05;  // Both teams above P75
-    
-    // 4. Environmental factors
-    if (isDome) rho += 0.05;
-    if (windMPH > 15) rho -= 0.15;
-    else if (windMPH > 10) rho -= 0.08;
-    
-    if (precip === "heavy_rain" || precip === "snow") rho -= 0.10;
-    else if (precip === "light_rain") rho -= 0.05;
-    
-    // 5. Pace coupling 
-    // P10=27.4 (fast), P50=28.6, P90=29.8 (slow)
-    const homeSecSnap = parseFloat(findValue(homeTeam, ['Offensive Seconds/Snap'])) || params.lg.SecSnap;
-    const awaySecSnap = parseFloat(findValue(awayTeam, ['Offensive Seconds/Snap'])) || params.lg.SecSnap;
-    const avgPace = (homeSecSnap + awaySecSnap) / 2;
-    if (avgPace < 27.4) rho += 0.05;       // Both teams fast (below P10)
-    else if (avgPace > 29.8) rho -= 0.03;  // Both teams slow (above P90)
-    
-    return clamp(rho, -0.05, 0.60);
-  }
-
-  // ============================================
-  // WEATHER ADJUSTMENT
-  // ============================================
-  
-  function calculateWeatherAdjustment(settings) {
-    let weatherAdj = 0;
-    
-    if (settings.isDome) {
-      weatherAdj += params.weather.dome_bonus;
-    } else {
-      // Wind effect
-      if (settings.windMPH > params.weather.wind_threshold) {
-        const windEffect = (settings.windMPH - params.weather.wind_threshold) * 
-                          params.weather.wind_per_mph_above_threshold;
-        weatherAdj += windEffect;
-      }
-      
-      // Temperature effect
-      if (settings.temperature < params.weather.extreme_cold_threshold) {
-        weatherAdj += params.weather.extreme_cold_penalty;
-      }
-      
-      // Precipitation effect
-      weatherAdj += params.weather.precip_adjustments[settings.precipitation] || 0;
-    }
-    
-    return weatherAdj;
-  }
+  const [appMode, setAppMode] = useState('single');   // 'single' | 'batch' | 'backtest'
+  const [batchSeed, setBatchSeed] = useState("");
+  const [batchSeedUsed, setBatchSeedUsed] = useState(null);
+
+  // Backtest state
+  const [backtestGames, setBacktestGames] = useState([]);
+  const [backtestSnapshots, setBacktestSnapshots] = useState({});   // Snapshot id -> team rows
+  const [backtestResults, setBacktestResults] = useState([]);
+  const [isBacktesting, setIsBacktesting] = useState(false);
+  const [backtestProgress, setBacktestProgress] = useState(0);
+  const [backtestConfidence, setBacktestConfidence] = useState(0.5);
+  const [fitObjective, setFitObjective] = useState('margin');
+  const [fitRidge, setFitRidge] = useState(1);
+  const [fitResults, setFitResults] = useState(null);
+  const [isFitting, setIsFitting] = useState(false);
+  const [fitProgress, setFitProgress] = useState(0);
 
   // ============================================
   // CSV PARSING
@@ -710,298 +251,200 @@ const NFLTotalsSimulator = () => {
     return 'N/A';
   };
 
+  /**
+   * How much of each metric a CER kept: per-metric sample-size shrinkage
+   * (rows with games played), then the flat LAMBDA
+   */
+  const shrinkageLabel = (cer) => {
+    const lambda = simulationResults.profile.params.LAMBDA;
+    if (!cer.shrinkage) {
+      return <div className="text-xs text-slate-500">Flat LAMBDA: keeps {(lambda * 100).toFixed(0)}%</div>;
+    }
+    const { games, factors, prior, reliability } = cer.shrinkage;
+    const kept = SHRINKAGE_LABELS.map(([key, label]) => `${label} ${(factors[key] * 100).toFixed(0)}%`).join(' · ');
+    return (
+      <div className="text-xs text-slate-500">
+        <div>{games.toFixed(1)} games · keeps {(reliability * 100).toFixed(0)}% · prior {prior >= 0 ? '+' : ''}{prior.toFixed(2)} · then LAMBDA {(lambda * 100).toFixed(0)}%</div>
+        <div>{kept}</div>
+      </div>
+    );
+  };
+
+  /**
+   * What a blended team-card value is made of ("STD 2.40 · L4 3.00"), or
+   * nothing with a single snapshot
+   */
+  const snapshotBreakdown = (team, columns) => {
+    if (teamSnapshots.length < 2) return null;
+    const parts = snapshotValues(teamSnapshots, team.Team, columns)
+      .map(({ name, value }) => `${name} ${value ?? '—'}`);
+    return <div className="text-[10px] font-normal text-slate-500">{parts.join(' · ')}</div>;
+  };
+
+  /**
+   * Load one or more team databases as snapshots (file name without .csv
+   * = snapshot name). A file with a name already loaded replaces that
+   * snapshot and keeps its weight.
+   */
   const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
 
     setUploadError(null);
-    const reader = new FileReader();
-
-    reader.onload = (e) => {
-      try {
-        const csvText = e.target.result;
-        const parsedTeams = parseCSV(csvText);
-        
-        if (parsedTeams.length === 0) {
-          throw new Error("No valid team data found in CSV");
+    files.forEach(file => {
+      const reader = new FileReader();
+
+      reader.onload = (e) => {
+        try {
+          const csvText = e.target.result;
+          const parsedTeams = parseCSV(csvText);
+
+          if (parsedTeams.length === 0) {
+            throw new Error("No valid team data found in CSV");
+          }
+
+          const name = file.name.replace(/\.csv$/i, '');
+          setTeamSnapshots(prev => {
+            const existing = prev.find(snapshot => snapshot.name === name);
+            if (existing) return prev.map(snapshot => (snapshot === existing ? { ...existing, teams: parsedTeams } : snapshot));
+            return [...prev, { name, teams: parsedTeams, weight: 1 }];
+          });
+          setCsvUploaded(true);
+
+          console.log(`Successfully loaded ${parsedTeams.length} teams from ${file.name}`);
+          console.log("Sample team data:", parsedTeams[0]);
+        } catch (error) {
+          setUploadError(`${file.name}: ${error.message}`);
+          console.error("CSV parsing error:", error);
         }
+      };
 
-        setTeams(parsedTeams);
-        setCsvUploaded(true);
-        
-        console.log(`Successfully loaded ${parsedTeams.length} teams`);
-        console.log("Sample team data:", parsedTeams[0]);
-      } catch (error) {
-        setUploadError(error.message);
-        console.error("CSV parsing error:", error);
-      }
-    };
-
-    reader.onerror = () => {
-      setUploadError("Failed to read file");
-    };
+      reader.onerror = () => {
+        setUploadError(`Failed to read ${file.name}`);
+      };
 
-    reader.readAsText(file);
+      reader.readAsText(file);
+    });
+    event.target.value = '';
   };
 
   // ============================================
   // MAIN SIMULATION
   // ============================================
   
-  const runSimulation = () => {
+  const getWorkerPool = () => {
+    if (!workerPoolRef.current) workerPoolRef.current = createWorkerPool();
+    return workerPoolRef.current;
+  };
+
+  // Shut the workers down when the app unmounts
+  useEffect(() => () => workerPoolRef.current?.terminate(), []);
+
+  // The empirical marginal needs a score table in the profile; fall back
+  // to the legacy draw when the table goes away
+  const hasScoreTable = Object.keys(modelProfile.params.scoreDistributions?.table || {}).length > 0;
+  useEffect(() => {
+    if (!hasScoreTable && gameSettings.scoreDistribution === 'empirical') {
+      setGameSettings(settings => ({ ...settings, scoreDistribution: 'normal' }));
+    }
+  }, [hasScoreTable, gameSettings.scoreDistribution]);
+
+  const scoreDistributionOptions = Object.entries(SCORE_DISTRIBUTIONS).map(([key, { label }]) => (
+    <option key={key} value={key} disabled={key === 'empirical' && !hasScoreTable}>
+      {key === 'empirical' && !hasScoreTable ? `${label} (import a score table first)` : label}
+    </option>
+  ));
+
+  /**
+   * The parameter profile to run with (on the chosen league baseline), or
+   * null (after alerting) if any coefficient is invalid. `tag` is what each
+   * result records.
+   */
+  const getRunProfile = () => {
+    const errors = Object.entries(validateParams(modelProfile.params));
+    if (errors.length > 0) {
+      alert(`Fix the model parameters first:\n${errors.map(([path, msg]) => `${path}: ${msg}`).join('\n')}`);
+      return null;
+    }
+    const uploaded = baselineSource === 'uploaded';
+    const params = uploaded ? withLeagueBaselines(modelProfile.params, leagueBaselines.lg) : modelProfile.params;
+    return {
+      params,
+      tag: {
+        name: modelProfile.name.trim() || DEFAULT_PROFILE_NAME,
+        modified: modelProfile.modified,
+        baseline: uploaded ? `Uploaded CSV (${teams.length} teams)` : BUILT_IN_BASELINE,
+        baselineSource,
+        params: modelProfile.params
+      }
+    };
+  };
+
+  /**
+   * The injury / QB adjustments for a matchup, as simulateGame settings
+   * plus a summary for the result ("KC: Replacement-level QB | ..." or '')
+   */
+  const getMatchupAdjustments = (homeTeam, awayTeam) => {
+    const homeAdjustment = teamAdjustments[teamKey(homeTeam)];
+    const awayAdjustment = teamAdjustments[teamKey(awayTeam)];
+    const summary = [[homeTeam, homeAdjustment], [awayTeam, awayAdjustment]]
+      .map(([team, adjustment]) => [team.Team, describeAdjustment(adjustment)])
+      .filter(([, description]) => description)
+      .map(([name, description]) => `${name}: ${description}`)
+      .join(' | ');
+    return { settings: { homeAdjustment, awayAdjustment }, summary };
+  };
+
+  const runSimulation = async () => {
     if (!selectedHomeTeam || !selectedAwayTeam) {
       alert("Please select both home and away teams");
       return;
     }
+    const profile = getRunProfile();
+    if (!profile) return;
 
     setIsSimulating(true);
+    setSimProgress(0);
+    
+    const adjustments = getMatchupAdjustments(selectedHomeTeam, selectedAwayTeam);
+    let settings = { ...gameSettings, ...adjustments.settings };
+
+    // Live mode: reprice from the current score, clock and possession
+    if (liveMode) {
+      const [minutes, seconds] = liveState.clock.split(':');
+      settings = {
+        ...settings,
+        live: {
+          homeScore: liveState.homeScore,
+          awayScore: liveState.awayScore,
+          quarter: liveState.quarter,
+          secondsLeft: (parseInt(minutes) || 0) * 60 + (parseInt(seconds) || 0),
+          possession: liveState.possession,
+          yardsToGoal: liveState.yardsToGoal
+        }
+      };
+    }
     
-    setTimeout(() => {
-      try {
-        const results = simulateGame(selectedHomeTeam, selectedAwayTeam, gameSettings);
-        setSimulationResults(results);
-      } catch (error) {
+    try {
+      const [outcome] = await getWorkerPool().runJobs(
+        [{ homeTeam: selectedHomeTeam, awayTeam: selectedAwayTeam, settings, params: profile.params, verbose: true }],
+        (fraction) => setSimProgress(fraction * 100)
+      );
+      if (outcome.error) throw new Error(outcome.error);
+      setSimulationResults({ ...outcome.result, profile: profile.tag, adjustments: adjustments.summary });
+    } catch (error) {
+      if (!isCancelled(error)) {
         alert(`Simulation error: ${error.message}`);
         console.error(error);
-      } finally {
-        setIsSimulating(false);
       }
-    }, 100);
-  };
-
-  function simulateGame(homeTeam, awayTeam, settings) {
-    const numSims = settings.numSimulations;
-    
-    console.log("\n========================================");
-    console.log(`SIMULATION: ${homeTeam.Team} vs ${awayTeam.Team}`);
-    console.log("========================================");
-    
-    // TIER 1 & 3: Calculate matchup-adjusted PPD using CER
-    const matchup = calculateMatchupPPD(homeTeam, awayTeam);
-    
-    // TIER 2: Calculate expected drives based on pace (correlated model)
-    const drives = calculateExpectedDrives(homeTeam, awayTeam);
-    
-    console.log(`  Drive differential: ${drives.differential.toFixed(2)} (capped at ±1.0)`);
-    
-    // Calculate correlation
-    const rho = calculateAdaptiveCorrelation(
-      homeTeam, awayTeam,
-      settings.spread,
-      settings.isDome,
-      settings.windMPH,
-      settings.precipitation
-    );
-    
-    // Calculate weather adjustment
-    const weatherAdj = calculateWeatherAdjustment(settings);
-    
-    // TIER 4: Calculate expected points
-    const homeExpPts = matchup.homePPD * drives.homeDrives + (weatherAdj / 2);
-    const awayExpPts = matchup.awayPPD * drives.awayDrives + (weatherAdj / 2);
-    
-    console.log(`\n=== FINAL PROJECTIONS ===`);
-    console.log(`  Home: ${matchup.homePPD.toFixed(3)} PPD × ${drives.homeDrives.toFixed(2)} drives + ${(weatherAdj/2).toFixed(1)} weather = ${homeExpPts.toFixed(1)} pts`);
-    console.log(`  Away: ${matchup.awayPPD.toFixed(3)} PPD × ${drives.awayDrives.toFixed(2)} drives + ${(weatherAdj/2).toFixed(1)} weather = ${awayExpPts.toFixed(1)} pts`);
-    console.log(`  Total: ${(homeExpPts + awayExpPts).toFixed(1)} | Correlation: ${rho.toFixed(3)}`);
-    console.log(`========================================\n`);
-    
-    // Run Monte Carlo simulations
-    const results = {
-      homeScores: [],
-      awayScores: [],
-      totals: [],
-      margins: [],
-      correlationUsed: rho,
-      weatherAdjustment: weatherAdj,
-      homeExpectedPts: homeExpPts,
-      awayExpectedPts: awayExpPts,
-      homeDrives: drives.homeDrives,
-      awayDrives: drives.awayDrives,
-      totalGameDrives: drives.totalGameDrives,
-      driveDifferential: drives.differential,
-      turnoverSwing: drives.turnoverSwing,
-      gamePaceAdj: drives.gamePaceAdj,
-      matchupDetails: matchup
-    };
-    
-    // Heteroskedastic sigma function
-    const sigmaTeam = (expectedPts) => Math.max(6.5, Math.min(9.5, 5.5 + 0.15 * (expectedPts - 20)));
-    
-    for (let i = 0; i < numSims; i++) {
-      // Generate correlated random values (Box-Muller)
-      const u1 = Math.random();
-      const u2 = Math.random();
-      const z1 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-      const z2 = Math.sqrt(-2 * Math.log(u1)) * Math.sin(2 * Math.PI * u2);
-      
-      const homeRandom = z1;
-      const awayRandom = rho * z1 + Math.sqrt(1 - rho * rho) * z2;
-      
-      // Calculate scores with heteroskedastic noise
-      const homeScore = Math.max(0, homeExpPts + homeRandom * sigmaTeam(homeExpPts));
-      const awayScore = Math.max(0, awayExpPts + awayRandom * sigmaTeam(awayExpPts));
-      
-      const homeScoreRounded = Math.round(homeScore);
-      const awayScoreRounded = Math.round(awayScore);
-      
-      results.homeScores.push(homeScoreRounded);
-      results.awayScores.push(awayScoreRounded);
-      results.totals.push(homeScoreRounded + awayScoreRounded);
-      results.margins.push(homeScoreRounded - awayScoreRounded);
+    } finally {
+      setIsSimulating(false);
     }
-    
-    return calculateResults(results, settings, homeTeam.Team, awayTeam.Team);
-  }
-
-  function percentile(arr, p) {
-    const sorted = [...arr].sort((a, b) => a - b);
-    const index = (p / 100) * (sorted.length - 1);
-    const lower = Math.floor(index);
-    const upper = Math.ceil(index);
-    const weight = index - lower;
-    return sorted[lower] * (1 - weight) + sorted[upper] * weight;
-  }
-
-  function calculateResults(results, settings, homeTeamName, awayTeamName) {
-    const homeScores = results.homeScores;
-    const awayScores = results.awayScores;
-    const totals = results.totals;
-    const margins = results.margins;
-    const n = settings.numSimulations;
-
-    // Over/Under analysis
-    let overCount = 0, underCount = 0, pushCount = 0;
-    totals.forEach(total => {
-      if (total > settings.overUnderLine) overCount++;
-      else if (total < settings.overUnderLine) underCount++;
-      else pushCount++;
-    });
-
-    // Home team total
-    let homeOverCount = 0, homeUnderCount = 0, homePushCount = 0;
-    homeScores.forEach(score => {
-      if (score > settings.homeTeamTotal) homeOverCount++;
-      else if (score < settings.homeTeamTotal) homeUnderCount++;
-      else homePushCount++;
-    });
-
-    // Away team total
-    let awayOverCount = 0, awayUnderCount = 0, awayPushCount = 0;
-    awayScores.forEach(score => {
-      if (score > settings.awayTeamTotal) awayOverCount++;
-      else if (score < settings.awayTeamTotal) awayUnderCount++;
-      else awayPushCount++;
-    });
-
-    // Moneyline
-    let homeWinCount = 0, awayWinCount = 0;
-    margins.forEach(margin => {
-      if (margin > 0) homeWinCount++;
-      else if (margin < 0) awayWinCount++;
-    });
-
-    // Spread analysis
-    const spreadLine = settings.spreadLine;
-    let homeCoverCount = 0, awayCoverCount = 0, spreadPushCount = 0;
-    margins.forEach(margin => {
-      const threshold = -spreadLine;
-      if (margin > threshold) homeCoverCount++;
-      else if (margin < threshold) awayCoverCount++;
-      else spreadPushCount++;
-    });
-
-    // Alt-lines
-    const altLines = [-14, -10.5, -7, -6.5, -3.5, -3, -2.5, -1.5, 0, +1.5, +2.5, +3, +3.5, +6.5, +7, +10.5, +14];
-    const altLinesAnalysis = altLines.map(line => {
-      let coverCount = 0;
-      margins.forEach(margin => {
-        if (margin > -line) coverCount++;
-      });
-      return { line, coverPct: (coverCount / n) * 100 };
-    });
+  };
 
-    return {
-      numSimulations: n,
-      homeTeam: homeTeamName,
-      awayTeam: awayTeamName,
-      correlationUsed: results.correlationUsed,
-      weatherAdjustment: results.weatherAdjustment,
-      homeExpectedPts: results.homeExpectedPts,
-      awayExpectedPts: results.awayExpectedPts,
-      homeDrives: results.homeDrives,
-      awayDrives: results.awayDrives,
-      totalGameDrives: results.totalGameDrives,
-      driveDifferential: results.driveDifferential,
-      turnoverSwing: results.turnoverSwing,
-      gamePaceAdj: results.gamePaceAdj,
-      matchupDetails: results.matchupDetails,
-      
-      overUnder: {
-        line: settings.overUnderLine,
-        overPct: (overCount / n) * 100,
-        underPct: (underCount / n) * 100,
-        pushPct: (pushCount / n) * 100,
-      },
-      
-      homeTeamOverUnder: {
-        line: settings.homeTeamTotal,
-        overPct: (homeOverCount / n) * 100,
-        underPct: (homeUnderCount / n) * 100,
-        pushPct: (homePushCount / n) * 100,
-      },
-      
-      awayTeamOverUnder: {
-        line: settings.awayTeamTotal,
-        overPct: (awayOverCount / n) * 100,
-        underPct: (awayUnderCount / n) * 100,
-        pushPct: (awayPushCount / n) * 100,
-      },
-      
-      moneyline: {
-        homeWinPct: (homeWinCount / n) * 100,
-        awayWinPct: (awayWinCount / n) * 100,
-        homeFairOdds: toAmericanOdds(homeWinCount / n),
-        awayFairOdds: toAmericanOdds(awayWinCount / n),
-      },
-      
-      spread: {
-        line: spreadLine,
-        homeCoverPct: (homeCoverCount / n) * 100,
-        awayCoverPct: (awayCoverCount / n) * 100,
-        pushPct: (spreadPushCount / n) * 100,
-        altLines: altLinesAnalysis,
-      },
-      
-      homeProjection: {
-        mean: homeScores.reduce((a, b) => a + b, 0) / n,
-        median: percentile(homeScores, 50),
-        p10: percentile(homeScores, 10),
-        p90: percentile(homeScores, 90),
-      },
-      
-      awayProjection: {
-        mean: awayScores.reduce((a, b) => a + b, 0) / n,
-        median: percentile(awayScores, 50),
-        p10: percentile(awayScores, 10),
-        p90: percentile(awayScores, 90),
-      },
-      
-      totalProjection: {
-        mean: totals.reduce((a, b) => a + b, 0) / n,
-        median: percentile(totals, 50),
-        p10: percentile(totals, 10),
-        p90: percentile(totals, 90),
-      },
-      
-      marginProjection: {
-        mean: margins.reduce((a, b) => a + b, 0) / n,
-        median: percentile(margins, 50),
-        p10: percentile(margins, 10),
-        p90: percentile(margins, 90),
-      },
-    };
-  }
+  const cancelSimulation = () => {
+    workerPoolRef.current?.cancel();
+  };
 
   // ============================================
   // BATCH PROCESSING
@@ -1010,6 +453,14 @@ const NFLTotalsSimulator = () => {
   /**
    * Parse games schedule CSV
    * Expected columns: Home, Away, Dome (Y/N), Total, Spread, HomeTotal, AwayTotal
+   * Optional American odds: OverOdds, UnderOdds, HomeSpreadOdds, AwaySpreadOdds,
+   * HomeTotalOverOdds, HomeTotalUnderOdds, AwayTotalOverOdds, AwayTotalUnderOdds,
+   * HomeML, AwayML
+   * Optional Neutral (Y/N): no home field advantage
+   * Optional rest and travel: HomeRest, AwayRest (days since last game),
+   * HomeTravel, AwayTravel (miles), HomeTZ, AwayTZ (time zones crossed)
+   * Backtest columns: HomeScore, AwayScore (finals), Snapshot (team database file
+   * for that week)
    */
   function parseGamesCSV(csvText) {
     // Remove BOM if present
@@ -1070,6 +521,8 @@ const NFLTotalsSimulator = () => {
       const domeVal = row.dome || row.field || row.venue || row.indoor || row.stadium || row.location || '';
       const domeRaw = domeVal.toString().toLowerCase().trim();
       const isDome = ['y', 'yes', '1', 'true', 'dome', 'indoor', 'retractable'].includes(domeRaw);
+      const neutralRaw = (row.neutral || row.neutralsite || row.site || '').toString().toLowerCase().trim();
+      const neutralSite = ['y', 'yes', '1', 'true', 'neutral'].includes(neutralRaw);
 
       // Parse numeric fields - check multiple column names
       const total = parseFloat(row.total || row.ou || row.ou || row.overunder || row.over || row.line || values[3]) || 44.5;
@@ -1077,17 +530,53 @@ const NFLTotalsSimulator = () => {
       const homeTotal = parseFloat(row.hometotal || row.home_total || row.hometotal || row.ht || row.homett || values[5]) || (total / 2) - (spread / 2);
       const awayTotal = parseFloat(row.awaytotal || row.away_total || row.awaytotal || row.at || row.awaytt || values[6]) || (total / 2) + (spread / 2);
 
+      // Optional prices - blank spreads/totals are priced at -110, a blank moneyline is not priced
+      const price = (...keys) => keys.map(k => parseFloat(row[k])).find(v => Number.isFinite(v));
+      const odds = {
+        overOdds: price('overodds', 'overprice'),
+        underOdds: price('underodds', 'underprice'),
+        homeSpreadOdds: price('homespreadodds', 'homeodds', 'spreadodds'),
+        awaySpreadOdds: price('awayspreadodds', 'awayodds'),
+        homeTeamOverOdds: price('hometotaloverodds', 'homettoverodds', 'homeoverodds'),
+        homeTeamUnderOdds: price('hometotalunderodds', 'homettunderodds', 'homeunderodds'),
+        awayTeamOverOdds: price('awaytotaloverodds', 'awayttoverodds', 'awayoverodds'),
+        awayTeamUnderOdds: price('awaytotalunderodds', 'awayttunderodds', 'awayunderodds'),
+        homeMoneyline: price('homeml', 'homemoneyline'),
+        awayMoneyline: price('awayml', 'awaymoneyline')
+      };
+
+      // Rest and travel - blank means a normal week at home
+      const situation = {
+        homeRestDays: price('homerest', 'homerestdays') ?? null,
+        awayRestDays: price('awayrest', 'awayrestdays') ?? null,
+        homeTravelMiles: price('hometravel', 'hometravelmiles') ?? null,
+        awayTravelMiles: price('awaytravel', 'awaytravelmiles') ?? null,
+        homeTimeZones: price('hometz', 'hometimezones') ?? null,
+        awayTimeZones: price('awaytz', 'awaytimezones') ?? null
+      };
+
+      // Past games only - final score and the week's team database
+      const homeScore = price('homescore', 'homepts', 'homefinal');
+      const awayScore = price('awayscore', 'awaypts', 'awayfinal');
+      const snapshot = (row.snapshot || row.week || '').toUpperCase();
+
       games.push({
         homeTeamName: homeTeamName.trim().toUpperCase(),
         awayTeamName: awayTeamName.trim().toUpperCase(),
         isDome,
+        neutralSite,
+        situation,
         total,
         spread,
         homeTotal,
-        awayTotal
+        awayTotal,
+        odds,
+        homeScore: homeScore ?? null,
+        awayScore: awayScore ?? null,
+        snapshot
       });
       
-      console.log(`Game ${i}: ${homeTeamName} vs ${awayTeamName}, Dome=${isDome}, Total=${total}, Spread=${spread}`);
+      console.log(`Game ${i}: ${homeTeamName} vs ${awayTeamName}, Dome=${isDome}, Neutral=${neutralSite}, Total=${total}, Spread=${spread}`);
     }
 
     if (games.length === 0) {
@@ -1097,6 +586,41 @@ const NFLTotalsSimulator = () => {
     return games;
   }
 
+  /**
+   * Find a schedule's team name in a team database - more flexible matching
+   */
+  const matchTeam = (teamList, searchName) => {
+    const search = searchName.toUpperCase().trim();
+    return teamList.find(t => {
+      const teamName = t.Team.toUpperCase().trim();
+      return (
+        teamName === search ||                    // Exact match
+        teamName.startsWith(search) ||            // Team starts with search
+        search.startsWith(teamName) ||            // Search starts with team
+        teamName.includes(search) ||              // Team contains search
+        search.includes(teamName) ||              // Search contains team
+        // Common abbreviation mappings
+        (search === 'JAX' && teamName === 'JAC') ||
+        (search === 'JAC' && teamName === 'JAX') ||
+        (search === 'WSH' && teamName === 'WAS') ||
+        (search === 'WAS' && teamName === 'WSH')
+      );
+    });
+  };
+
+  // Re-point the chosen teams and the loaded slate at the new rows whenever
+  // the snapshot blend changes
+  useEffect(() => {
+    const refresh = (team) => (team ? teams.find(row => teamKey(row) === teamKey(team)) || null : team);
+    setSelectedHomeTeam(refresh);
+    setSelectedAwayTeam(refresh);
+    setBatchGames(games => games.map(game => {
+      const homeTeam = matchTeam(teams, game.homeTeamName);
+      const awayTeam = matchTeam(teams, game.awayTeamName);
+      return { ...game, homeTeam, awayTeam, matched: !!(homeTeam && awayTeam) };
+    }));
+  }, [teams]);
+
   const handleGamesUpload = (event) => {
     const file = event.target.files[0];
     if (!file) return;
@@ -1112,28 +636,8 @@ const NFLTotalsSimulator = () => {
         
         // Match team names to loaded teams - more flexible matching
         const matchedGames = parsedGames.map(game => {
-          // Try multiple matching strategies
-          const findTeam = (searchName) => {
-            const search = searchName.toUpperCase().trim();
-            return teams.find(t => {
-              const teamName = t.Team.toUpperCase().trim();
-              return (
-                teamName === search ||                    // Exact match
-                teamName.startsWith(search) ||            // Team starts with search
-                search.startsWith(teamName) ||            // Search starts with team
-                teamName.includes(search) ||              // Team contains search
-                search.includes(teamName) ||              // Search contains team
-                // Common abbreviation mappings
-                (search === 'JAX' && teamName === 'JAC') ||
-                (search === 'JAC' && teamName === 'JAX') ||
-                (search === 'WSH' && teamName === 'WAS') ||
-                (search === 'WAS' && teamName === 'WSH')
-              );
-            });
-          };
-          
-          const homeTeam = findTeam(game.homeTeamName);
-          const awayTeam = findTeam(game.awayTeamName);
+          const homeTeam = matchTeam(teams, game.homeTeamName);
+          const awayTeam = matchTeam(teams, game.awayTeamName);
           
           if (!homeTeam) console.warn(`Could not match home team: ${game.homeTeamName}`);
           if (!awayTeam) console.warn(`Could not match away team: ${game.awayTeamName}`);
@@ -1174,103 +678,168 @@ const NFLTotalsSimulator = () => {
       alert("No valid games to simulate");
       return;
     }
+    const profile = getRunProfile();
+    if (!profile) return;
 
     setIsBatchSimulating(true);
     setBatchProgress(0);
     const results = [];
 
+    // One batch seed; each game gets its own derived stream so any game can be replayed alone
+    const baseSeed = resolveSeed(batchSeed);
+    setBatchSeedUsed(baseSeed);
+
     // Use fewer simulations for batch mode (5000 instead of 10000)
     const batchSimCount = 5000;
 
-    for (let i = 0; i < validGames.length; i++) {
-      const game = validGames[i];
-      
-      const settings = {
+    const adjustments = validGames.map(game => getMatchupAdjustments(game.homeTeam, game.awayTeam));
+    const jobs = validGames.map((game, i) => ({
+      homeTeam: game.homeTeam,
+      awayTeam: game.awayTeam,
+      params: profile.params,
+      settings: {
         overUnderLine: game.total,
         homeTeamTotal: game.homeTotal,
         awayTeamTotal: game.awayTotal,
         spread: game.spread,
         spreadLine: game.spread,
+        ...game.odds,
         numSimulations: batchSimCount,
         isDome: game.isDome,
+        neutralSite: game.neutralSite,
+        ...game.situation,
         windMPH: 0,
         temperature: 70,
-        precipitation: "none"
-      };
+        precipitation: "none",
+        simulationMode: gameSettings.simulationMode,
+        scoreDistribution: gameSettings.scoreDistribution,
+        otTieProb: gameSettings.otTieProb,
+        seed: deriveSeed(baseSeed, i),
+        ...adjustments[i].settings
+      }
+    }));
+
+    let outcomes;
+    try {
+      outcomes = await getWorkerPool().runJobs(jobs, (fraction) => setBatchProgress(fraction * 100));
+    } catch (error) {
+      if (!isCancelled(error)) {
+        alert(`Batch simulation error: ${error.message}`);
+        console.error(error);
+      }
+      setIsBatchSimulating(false);
+      return;
+    }
 
-      try {
-        const result = simulateGame(game.homeTeam, game.awayTeam, settings);
-        
-        // Determine signals
-        const totalSignal = result.overUnder.overPct > result.overUnder.underPct ? 'OVER' : 'UNDER';
-        const totalStrength = Math.max(result.overUnder.overPct, result.overUnder.underPct);
-        
-        const homeSignal = result.homeTeamOverUnder.overPct > result.homeTeamOverUnder.underPct ? 'OVER' : 'UNDER';
-        const homeStrength = Math.max(result.homeTeamOverUnder.overPct, result.homeTeamOverUnder.underPct);
-        
-        const awaySignal = result.awayTeamOverUnder.overPct > result.awayTeamOverUnder.underPct ? 'OVER' : 'UNDER';
-        const awayStrength = Math.max(result.awayTeamOverUnder.overPct, result.awayTeamOverUnder.underPct);
-        
-        // Spread signal: if home cover % > 50, take home; else take away
-        const spreadSignal = result.spread.homeCoverPct > 50 
-          ? `${game.homeTeam.Team} ${game.spread > 0 ? '+' : ''}${game.spread}`
-          : `${game.awayTeam.Team} ${-game.spread > 0 ? '+' : ''}${-game.spread}`;
-        const spreadStrength = Math.max(result.spread.homeCoverPct, result.spread.awayCoverPct);
+    outcomes.forEach((outcome, i) => {
+      const game = validGames[i];
 
+      if (outcome.error) {
+        console.error(`Error simulating ${game.homeTeamName} vs ${game.awayTeamName}:`, outcome.error);
         results.push({
           game,
-          homeMedian: result.homeProjection.median,
-          awayMedian: result.awayProjection.median,
-          totalMedian: result.totalProjection.median,
-          marginMedian: result.marginProjection.median,
-          totalSignal,
-          totalStrength,
-          totalLine: game.total,
-          homeSignal,
-          homeStrength,
-          homeLine: game.homeTotal,
-          awaySignal,
-          awayStrength,
-          awayLine: game.awayTotal,
-          spreadSignal,
-          spreadStrength,
-          spreadLine: game.spread,
-          homeWinPct: result.moneyline.homeWinPct,
-          awayWinPct: result.moneyline.awayWinPct,
-          fullResult: result
-        });
-      } catch (error) {
-        console.error(`Error simulating ${game.homeTeamName} vs ${game.awayTeamName}:`, error);
-        results.push({
-          game,
-          error: error.message
+          profile: profile.tag,
+          error: outcome.error
         });
+        return;
       }
 
-      setBatchProgress(((i + 1) / validGames.length) * 100);
+      const result = outcome.result;
       
-      // Small delay to allow UI updates
-      await new Promise(resolve => setTimeout(resolve, 10));
-    }
+      // Determine signals: the side with the better EV at the entered price
+      const totalPick = bestSide(result.pricing.total);
+      const totalSignal = totalPick.side.toUpperCase();
+      const totalStrength = totalPick.bet.winPct;
+      
+      const homePick = bestSide(result.pricing.homeTeamTotal);
+      const homeSignal = homePick.side.toUpperCase();
+      const homeStrength = homePick.bet.winPct;
+      
+      const awayPick = bestSide(result.pricing.awayTeamTotal);
+      const awaySignal = awayPick.side.toUpperCase();
+      const awayStrength = awayPick.bet.winPct;
+      
+      const spreadPick = bestSide(result.pricing.spread);
+      const spreadSignal = spreadPick.side === 'home'
+        ? `${game.homeTeam.Team} ${game.spread > 0 ? '+' : ''}${game.spread}`
+        : `${game.awayTeam.Team} ${-game.spread > 0 ? '+' : ''}${-game.spread}`;
+      const spreadStrength = spreadPick.bet.winPct;
+      
+      // Moneyline only when the slate has prices for it
+      const mlPick = bestSide(result.pricing.moneyline);
+
+      results.push({
+        game,
+        homeMedian: result.homeProjection.median,
+        awayMedian: result.awayProjection.median,
+        totalMedian: result.totalProjection.median,
+        marginMedian: result.marginProjection.median,
+        totalSignal,
+        totalStrength,
+        totalEv: totalPick.bet.ev,
+        totalBet: totalPick.bet,
+        totalLine: game.total,
+        homeSignal,
+        homeStrength,
+        homeEv: homePick.bet.ev,
+        homeBet: homePick.bet,
+        homeLine: game.homeTotal,
+        awaySignal,
+        awayStrength,
+        awayEv: awayPick.bet.ev,
+        awayBet: awayPick.bet,
+        awayLine: game.awayTotal,
+        spreadSignal,
+        spreadStrength,
+        spreadEv: spreadPick.bet.ev,
+        spreadBet: spreadPick.bet,
+        spreadLine: game.spread,
+        mlSignal: mlPick ? (mlPick.side === 'home' ? game.homeTeam.Team : game.awayTeam.Team) : null,
+        mlOdds: mlPick ? mlPick.bet.odds : null,
+        mlEv: mlPick ? mlPick.bet.ev : null,
+        mlBet: mlPick ? mlPick.bet : null,
+        homeWinPct: result.moneyline.twoWay.homePct,
+        awayWinPct: result.moneyline.twoWay.awayPct,
+        seed: result.seed,
+        profile: profile.tag,
+        adjustments: adjustments[i].summary,
+        fullResult: { ...result, profile: profile.tag, adjustments: adjustments[i].summary }
+      });
+    });
 
     setBatchResults(results);
     setIsBatchSimulating(false);
   };
 
+  /**
+   * Kelly stakes across the whole slate (recomputed from the bankroll
+   * settings, so changing them doesn't need a re-run)
+   */
+  const getBatchStakes = () => stakeSlate(
+    batchResults.map(r => (r.error ? {} : r.fullResult.pricing)),
+    staking
+  );
+
   const exportBatchResults = () => {
     if (batchResults.length === 0) return;
+    const { games: stakes } = getBatchStakes();
+    const formatStake = (pick) => (pick ? pick.stake.toFixed(2) : '0.00');
 
     const headers = [
       'Home', 'Away', 'Dome', 
       'Home Median', 'Away Median', 'Proj Total', 'Proj Margin',
-      'Market Total', 'Total Signal', 'Total %',
-      'Home TT Line', 'Home TT Signal', 'Home TT %',
-      'Away TT Line', 'Away TT Signal', 'Away TT %',
-      'Spread', 'Spread Signal', 'Spread %',
-      'Home Win %', 'Away Win %'
+      'Market Total', 'Total Signal', 'Total %', 'Total EV',
+      'Home TT Line', 'Home TT Signal', 'Home TT %', 'Home TT EV',
+      'Away TT Line', 'Away TT Signal', 'Away TT %', 'Away TT EV',
+      'Spread', 'Spread Signal', 'Spread %', 'Spread EV',
+      'Home Win %', 'Away Win %', 'ML Signal', 'ML Odds', 'ML EV',
+      'Total Stake', 'Home TT Stake', 'Away TT Stake', 'Spread Stake', 'ML Stake',
+      `Total Mkt % (${devigMethod})`, 'Home TT Mkt %', 'Away TT Mkt %', 'Spread Mkt %', 'ML Mkt %', 'Seed', 'Profile', 'Baseline', 'Adjustments'
     ];
+    const formatMarket = (bet) => (bet?.marketFair ? bet.marketFair[devigMethod].toFixed(1) + '%' : '');
+    const formatEv = (ev) => ev === null ? '' : (ev > 0 ? '+' : '') + (ev * 100).toFixed(1) + '%';
 
-    const rows = batchResults.map(r => {
+    const rows = batchResults.map((r, idx) => {
       if (r.error) {
         return [r.game.homeTeamName, r.game.awayTeamName, 'ERROR', r.error];
       }
@@ -1285,34 +854,261 @@ const NFLTotalsSimulator = () => {
         r.totalLine,
         r.totalSignal,
         r.totalStrength.toFixed(1) + '%',
+        formatEv(r.totalEv),
         r.homeLine,
         r.homeSignal,
         r.homeStrength.toFixed(1) + '%',
+        formatEv(r.homeEv),
         r.awayLine,
         r.awaySignal,
         r.awayStrength.toFixed(1) + '%',
+        formatEv(r.awayEv),
         (r.spreadLine > 0 ? '+' : '') + r.spreadLine,
         r.spreadSignal,
         r.spreadStrength.toFixed(1) + '%',
+        formatEv(r.spreadEv),
         r.homeWinPct.toFixed(1) + '%',
-        r.awayWinPct.toFixed(1) + '%'
+        r.awayWinPct.toFixed(1) + '%',
+        r.mlSignal ?? '',
+        r.mlOdds === null ? '' : (r.mlOdds > 0 ? '+' : '') + r.mlOdds,
+        formatEv(r.mlEv),
+        formatStake(stakes[idx].total),
+        formatStake(stakes[idx].homeTeamTotal),
+        formatStake(stakes[idx].awayTeamTotal),
+        formatStake(stakes[idx].spread),
+        formatStake(stakes[idx].moneyline),
+        formatMarket(r.totalBet),
+        formatMarket(r.homeBet),
+        formatMarket(r.awayBet),
+        formatMarket(r.spreadBet),
+        formatMarket(r.mlBet),
+        r.seed,
+        r.profile.name + (r.profile.modified ? ' (modified)' : ''),
+        r.profile.baseline,
+        r.adjustments
       ];
     });
 
     const csv = [headers, ...rows].map(row => row.join(',')).join('\n');
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `gamble-tron-batch-results-${new Date().toISOString().split('T')[0]}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadFile(csv, `gamble-tron-batch-results-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+  };
+
+  // ============================================
+  // BACKTESTING
+  // ============================================
+
+  /**
+   * Team database snapshots, one CSV per week; each file's name (without
+   * .csv) is the id a game's Snapshot column refers to
+   */
+  const handleSnapshotUpload = (event) => {
+    const files = Array.from(event.target.files);
+    files.forEach(file => {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          const id = file.name.replace(/\.csv$/i, '').toUpperCase();
+          const snapshotTeams = parseCSV(e.target.result);
+          setBacktestSnapshots(prev => ({ ...prev, [id]: snapshotTeams }));
+        } catch (error) {
+          alert(`Error parsing snapshot ${file.name}: ${error.message}`);
+        }
+      };
+      reader.readAsText(file);
+    });
+    event.target.value = '';
+  };
+
+  const handleBacktestUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const parsedGames = parseGamesCSV(e.target.result);
+        const graded = parsedGames.filter(g => g.homeScore !== null && g.awayScore !== null);
+        if (graded.length === 0) {
+          throw new Error("No games with final scores. Add HomeScore and AwayScore columns.");
+        }
+        setBacktestGames(graded);
+        setBacktestResults([]);
+        setFitResults(null);
+      } catch (error) {
+        alert(`Error parsing backtest CSV: ${error.message}`);
+        console.error(error);
+      }
+    };
+    reader.onerror = () => {
+      alert("Failed to read file");
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  /**
+   * Resolve each past game's teams in its week's team database (and that
+   * week's league baselines, if uploaded baselines are selected); no
+   * Snapshot column means the database loaded above
+   *
+   * @returns {Object[]} [{ game, homeTeam, awayTeam, lg }] (lg null on the
+   *   built-in baseline) or [{ game, error }] per game
+   */
+  const resolveBacktestGames = (profile) => {
+    const snapshotLg = {};
+    return backtestGames.map(game => {
+      const snapshotTeams = game.snapshot ? backtestSnapshots[game.snapshot] : teams;
+      if (!snapshotTeams) return { game, error: `No team snapshot "${game.snapshot}"` };
+
+      const homeTeam = matchTeam(snapshotTeams, game.homeTeamName);
+      const awayTeam = matchTeam(snapshotTeams, game.awayTeamName);
+      if (!homeTeam || !awayTeam) return { game, error: "Team not found in snapshot" };
+
+      if (profile.tag.baselineSource === 'uploaded' && !snapshotLg[game.snapshot]) {
+        snapshotLg[game.snapshot] = computeLeagueBaselines(snapshotTeams).lg;
+      }
+      return { game, homeTeam, awayTeam, lg: snapshotLg[game.snapshot] || null };
+    });
+  };
+
+  const runBacktest = async () => {
+    const profile = getRunProfile();
+    if (!profile) return;
+
+    setIsBacktesting(true);
+    setBacktestProgress(0);
+
+    const baseSeed = resolveSeed(batchSeed);
+    const snapshotParams = {};
+    const prepared = resolveBacktestGames(profile).map((entry, i) => {
+      if (entry.error) return entry;
+      const { game, homeTeam, awayTeam, lg } = entry;
+
+      if (!snapshotParams[game.snapshot]) {
+        snapshotParams[game.snapshot] = lg ? withLeagueBaselines(modelProfile.params, lg) : profile.params;
+      }
+
+      return {
+        game,
+        job: {
+          homeTeam,
+          awayTeam,
+          params: snapshotParams[game.snapshot],
+          settings: {
+            overUnderLine: game.total,
+            homeTeamTotal: game.homeTotal,
+            awayTeamTotal: game.awayTotal,
+            spread: game.spread,
+            spreadLine: game.spread,
+            numSimulations: 5000,
+            isDome: game.isDome,
+            neutralSite: game.neutralSite,
+            ...game.situation,
+            windMPH: 0,
+            temperature: 70,
+            precipitation: "none",
+            simulationMode: gameSettings.simulationMode,
+            scoreDistribution: gameSettings.scoreDistribution,
+            otTieProb: gameSettings.otTieProb,
+            seed: deriveSeed(baseSeed, i)
+          }
+        }
+      };
+    });
+
+    const runnable = prepared.filter(p => p.job);
+    let outcomes;
+    try {
+      outcomes = await getWorkerPool().runJobs(runnable.map(p => p.job), (fraction) => setBacktestProgress(fraction * 100));
+    } catch (error) {
+      if (!isCancelled(error)) {
+        alert(`Backtest error: ${error.message}`);
+        console.error(error);
+      }
+      setIsBacktesting(false);
+      return;
+    }
+
+    outcomes.forEach((outcome, i) => {
+      const entry = runnable[i];
+      if (outcome.error) entry.error = outcome.error;
+      else entry.grade = gradeGame(outcome.result, entry.game.homeScore, entry.game.awayScore);
+    });
+
+    setBacktestResults(prepared.map(({ game, error, grade }) => ({ game, error, grade, profile: profile.tag })));
+    setIsBacktesting(false);
+  };
+
+  /**
+   * Fit the coefficients to the past games: one fit on every game for the
+   * profile to export, plus one per held-out week for cross-validation
+   */
+  const runFit = async () => {
+    const profile = getRunProfile();
+    if (!profile) return;
+
+    const resolved = resolveBacktestGames(profile).filter(entry => !entry.error);
+    if (resolved.length === 0) {
+      alert("No past games could be matched to a team database");
+      return;
+    }
+
+    // Uploaded baselines ride along per game, so the fitted profile keeps its own lg
+    const games = resolved.map(({ game, homeTeam, awayTeam, lg }) => ({
+      homeTeam,
+      awayTeam,
+      lg,
+      isDome: game.isDome,
+      neutralSite: game.neutralSite,
+      ...game.situation,
+      spread: game.spread,
+      total: game.total,
+      homeScore: game.homeScore,
+      awayScore: game.awayScore,
+      week: game.snapshot
+    }));
+    const weeks = [...new Set(games.map(g => g.week))];
+    const holdouts = [null, ...(weeks.length > 1 ? weeks : [])];
+    const jobs = holdouts.map(holdoutWeek => ({
+      kind: 'fit',
+      games,
+      params: modelProfile.params,
+      options: { objective: fitObjective, ridge: fitRidge, holdoutWeek }
+    }));
+
+    setIsFitting(true);
+    setFitProgress(0);
+    try {
+      const outcomes = await getWorkerPool().runJobs(jobs, (fraction) => setFitProgress(fraction * 100));
+      const failed = outcomes.find(outcome => outcome.error);
+      if (failed) throw new Error(failed.error);
+      setFitResults({
+        full: outcomes[0].result,
+        folds: outcomes.slice(1).map(outcome => outcome.result),
+        skipped: backtestGames.length - resolved.length,
+        tag: profile.tag
+      });
+    } catch (error) {
+      if (!isCancelled(error)) {
+        alert(`Fit error: ${error.message}`);
+        console.error(error);
+      }
+    } finally {
+      setIsFitting(false);
+    }
   };
 
   // ============================================
   // RENDER
   // ============================================
   
+  const batchStakes = getBatchStakes();
+  const singleStakes = simulationResults ? stakeSlate([simulationResults.pricing], staking) : null;
+  const stakeLabel = (pick) => (pick ? <div className="text-[10px] font-normal text-emerald-400">${pick.stake.toFixed(2)}</div> : null);
+  const marketLabel = (bet) => (bet?.marketFair
+    ? <div className="text-[10px] font-normal text-slate-500">Mkt {bet.marketFair[devigMethod].toFixed(0)}% / Model {bet.modelPct.toFixed(0)}%</div>
+    : null);
+  
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 text-white p-8">
       <div className="max-w-7xl mx-auto">
@@ -1413,13 +1209,14 @@ const NFLTotalsSimulator = () => {
                   CLICK TO UPLOAD CSV FILE
                 </p>
                 <p className="text-sm text-yellow-200">
-                  CSV FILES ONLY
+                  CSV FILES ONLY · SELECT SEVERAL TO BLEND SNAPSHOTS
                 </p>
               </div>
               <input
                 type="file"
                 className="hidden"
                 accept=".csv"
+                multiple
                 onChange={handleFileUpload}
               />
             </label>
@@ -1468,12 +1265,39 @@ const NFLTotalsSimulator = () => {
               </div>
             )}
 
+            {teamSnapshots.length > 0 && (
+              <SnapshotBlendPanel snapshots={teamSnapshots} onChange={setTeamSnapshots} onUpload={handleFileUpload} />
+            )}
+
+            {uploadError && (
+              <div className="mb-6 p-4 bg-red-900/30 border border-red-700 rounded-lg flex items-start gap-3">
+                <AlertCircle className="w-5 h-5 text-red-400 flex-shrink-0 mt-0.5" />
+                <div>
+                  <p className="font-semibold text-red-300">Upload Error</p>
+                  <p className="text-sm text-red-200">{uploadError}</p>
+                </div>
+              </div>
+            )}
+
+            {teams.length > 0 && (
+              <LeagueBaselinePanel
+                diff={diffBaselines(leagueBaselines.lg, leagueBaselines.counts, modelProfile.params.lg)}
+                teamCount={teams.length}
+                source={baselineSource}
+                onSourceChange={setBaselineSource}
+              />
+            )}
+
+            {teams.length > 0 && (
+              <TeamAdjustmentsPanel teams={teams} adjustments={teamAdjustments} onChange={setTeamAdjustments} />
+            )}
+
             {/* Mode Toggle */}
             <div className="flex justify-center gap-4 mb-6">
               <button
-                onClick={() => setShowBatchMode(false)}
+                onClick={() => setAppMode('single')}
                 className={`px-6 py-3 rounded-lg font-bold transition-all ${
-                  !showBatchMode 
+                  appMode === 'single' 
                     ? 'bg-gradient-to-r from-orange-600 to-red-600 text-white border-2 border-yellow-400' 
                     : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
                 }`}
@@ -1481,19 +1305,33 @@ const NFLTotalsSimulator = () => {
                 🎯 Single Game
               </button>
               <button
-                onClick={() => setShowBatchMode(true)}
+                onClick={() => setAppMode('batch')}
                 className={`px-6 py-3 rounded-lg font-bold transition-all ${
-                  showBatchMode 
+                  appMode === 'batch' 
                     ? 'bg-gradient-to-r from-green-600 to-teal-600 text-white border-2 border-yellow-400' 
                     : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
                 }`}
               >
                 📋 Batch Mode (Full Slate)
               </button>
+              <button
+                onClick={() => setAppMode('backtest')}
+                className={`px-6 py-3 rounded-lg font-bold transition-all ${
+                  appMode === 'backtest' 
+                    ? 'bg-gradient-to-r from-cyan-600 to-blue-600 text-white border-2 border-yellow-400' 
+                    : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                }`}
+              >
+                🧪 Backtest
+              </button>
             </div>
 
+            <StakingSettings staking={staking} onChange={setStaking} />
+
+            <ParamProfileEditor profile={modelProfile} onChange={setModelProfile} />
+
             {/* BATCH MODE */}
-            {showBatchMode && (
+            {appMode === 'batch' && (
               <div className="space-y-6">
                 {/* Batch Upload Section */}
                 <div className="bg-slate-800 rounded-xl p-6 border border-green-600/50">
@@ -1517,6 +1355,13 @@ const NFLTotalsSimulator = () => {
                     <p className="text-xs text-slate-500 mt-2">
                       Example: BAL, NYJ, N, 42.5, -3.5, 23, 19.5
                     </p>
+                    <p className="text-xs text-slate-500 mt-1">
+                      Optional Neutral (Y/N) for neutral-site and international games: no home field advantage.
+                      Optional rest and travel: HomeRest, AwayRest (days since last game), HomeTravel, AwayTravel (miles), HomeTZ, AwayTZ (time zones crossed).
+                    </p>
+                    <p className="text-xs text-slate-500 mt-1">
+                      Optional odds columns (American): OverOdds, UnderOdds, HomeSpreadOdds, AwaySpreadOdds, HomeTotalOverOdds, HomeTotalUnderOdds, AwayTotalOverOdds, AwayTotalUnderOdds, HomeML, AwayML
+                    </p>
                   </div>
 
                   <label className="flex flex-col items-center justify-center w-full h-32 border-2 border-dashed border-green-600 rounded-lg cursor-pointer bg-slate-900 hover:bg-slate-800 transition-all">
@@ -1542,14 +1387,52 @@ const NFLTotalsSimulator = () => {
                       <h3 className="text-lg font-bold text-slate-300">
                         📊 Loaded {batchGames.length} Games ({batchGames.filter(g => g.matched).length} matched)
                       </h3>
-                      <button
-                        onClick={runBatchSimulation}
-                        disabled={isBatchSimulating || batchGames.filter(g => g.matched).length === 0}
-                        className="bg-gradient-to-r from-green-600 to-teal-600 hover:from-green-700 hover:to-teal-700 disabled:from-slate-600 disabled:to-slate-700 text-white font-bold py-2 px-6 rounded-lg flex items-center gap-2 transition-all"
-                      >
-                        <Play className="w-4 h-4" />
-                        {isBatchSimulating ? `Simulating... ${batchProgress.toFixed(0)}%` : 'Run All Simulations'}
-                      </button>
+                      <div className="flex items-center gap-3">
+                        <select
+                          className="p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-green-400 focus:outline-none"
+                          value={gameSettings.simulationMode}
+                          onChange={(e) => setGameSettings({...gameSettings, simulationMode: e.target.value})}
+                          disabled={isBatchSimulating}
+                        >
+                          <option value="normal">Bivariate Normal</option>
+                          <option value="drives">Discrete Drives</option>
+                        </select>
+                        {gameSettings.simulationMode === 'normal' && (
+                          <select
+                            className="p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-green-400 focus:outline-none"
+                            value={gameSettings.scoreDistribution}
+                            onChange={(e) => setGameSettings({...gameSettings, scoreDistribution: e.target.value})}
+                            disabled={isBatchSimulating}
+                            title="Score distribution"
+                          >
+                            {scoreDistributionOptions}
+                          </select>
+                        )}
+                        <input
+                          type="text"
+                          className="w-28 p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-green-400 focus:outline-none"
+                          value={batchSeed}
+                          onChange={(e) => setBatchSeed(e.target.value)}
+                          placeholder="Seed"
+                          disabled={isBatchSimulating}
+                        />
+                        <button
+                          onClick={runBatchSimulation}
+                          disabled={isBatchSimulating || batchGames.filter(g => g.matched).length === 0}
+                          className="bg-gradient-to-r from-green-600 to-teal-600 hover:from-green-700 hover:to-teal-700 disabled:from-slate-600 disabled:to-slate-700 text-white font-bold py-2 px-6 rounded-lg flex items-center gap-2 transition-all"
+                        >
+                          <Play className="w-4 h-4" />
+                          {isBatchSimulating ? `Simulating... ${batchProgress.toFixed(0)}%` : 'Run All Simulations'}
+                        </button>
+                        {isBatchSimulating && (
+                          <button
+                            onClick={cancelSimulation}
+                            className="bg-red-700 hover:bg-red-800 text-white font-bold py-2 px-4 rounded-lg transition-all"
+                          >
+                            Cancel
+                          </button>
+                        )}
+                      </div>
                     </div>
 
                     {isBatchSimulating && (
@@ -1582,7 +1465,7 @@ const NFLTotalsSimulator = () => {
                             <tr key={idx} className={`border-b border-slate-800 ${!game.matched ? 'opacity-50' : ''}`}>
                               <td className="py-2 px-2 text-orange-400 font-semibold">{game.homeTeamName}</td>
                               <td className="py-2 px-2 text-purple-400 font-semibold">{game.awayTeamName}</td>
-                              <td className="py-2 px-2 text-center">{game.isDome ? '🏟️' : '☀️'}</td>
+                              <td className="py-2 px-2 text-center">{game.isDome ? '🏟️' : '☀️'}{game.neutralSite && <span title="Neutral site"> 🌐</span>}</td>
                               <td className="py-2 px-2 text-center">{game.total}</td>
                               <td className="py-2 px-2 text-center">{game.spread > 0 ? '+' : ''}{game.spread}</td>
                               <td className="py-2 px-2 text-center">{game.homeTotal}</td>
@@ -1605,7 +1488,24 @@ const NFLTotalsSimulator = () => {
                 {batchResults.length > 0 && (
                   <div className="bg-slate-800 rounded-xl p-6 border border-yellow-600/50">
                     <div className="flex justify-between items-center mb-4">
-                      <h3 className="text-xl font-bold text-yellow-400">🎰 Simulation Results</h3>
+                      <div>
+                        <h3 className="text-xl font-bold text-yellow-400">🎰 Simulation Results</h3>
+                        {batchSeedUsed !== null && (
+                          <div className="text-xs text-slate-500">
+                            Batch seed: {batchSeedUsed} · Profile: {batchResults[0].profile.name}{batchResults[0].profile.modified ? ' (modified)' : ''} · Baseline: {batchResults[0].profile.baseline}
+                          </div>
+                        )}
+                      </div>
+                      <label className="flex items-center gap-2 text-xs text-slate-400 ml-auto mr-4">
+                        No-vig method
+                        <select
+                          className="p-1 bg-slate-900 border border-slate-600 rounded text-xs text-white focus:border-green-400 focus:outline-none"
+                          value={devigMethod}
+                          onChange={(e) => setDevigMethod(e.target.value)}
+                        >
+                          {DEVIG_METHODS.map(m => <option key={m} value={m}>{m.charAt(0).toUpperCase() + m.slice(1)}</option>)}
+                        </select>
+                      </label>
                       <button
                         onClick={exportBatchResults}
                         className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2 transition-all"
@@ -1629,6 +1529,7 @@ const NFLTotalsSimulator = () => {
                             <th className="text-center py-2 px-1">Signal</th>
                             <th className="text-center py-2 px-1">Spread</th>
                             <th className="text-center py-2 px-1">Signal</th>
+                            <th className="text-center py-2 px-1">ML</th>
                           </tr>
                         </thead>
                         <tbody>
@@ -1636,7 +1537,7 @@ const NFLTotalsSimulator = () => {
                             if (r.error) {
                               return (
                                 <tr key={idx} className="border-b border-slate-800 text-red-400">
-                                  <td className="py-2 px-1" colSpan={10}>
+                                  <td className="py-2 px-1" colSpan={11}>
                                     {r.game.homeTeamName} vs {r.game.awayTeamName}: Error - {r.error}
                                   </td>
                                 </tr>
@@ -1648,6 +1549,7 @@ const NFLTotalsSimulator = () => {
                                   <span className="text-orange-400 font-semibold">{r.game.homeTeam.Team}</span>
                                   <span className="text-slate-500"> vs </span>
                                   <span className="text-purple-400 font-semibold">{r.game.awayTeam.Team}</span>
+                                  {r.adjustments && <span className="ml-1 cursor-help" title={r.adjustments}>🩹</span>}
                                 </td>
                                 <td className="py-2 px-1 text-center">
                                   <span className="text-orange-300">{r.homeMedian.toFixed(0)}</span>
@@ -1656,35 +1558,59 @@ const NFLTotalsSimulator = () => {
                                 </td>
                                 <td className="py-2 px-1 text-center text-slate-400">{r.totalLine}</td>
                                 <td className={`py-2 px-1 text-center font-bold ${
-                                  r.totalStrength > 55 
+                                  r.totalEv > 0 
                                     ? (r.totalSignal === 'OVER' ? 'text-green-400' : 'text-red-400')
                                     : 'text-slate-400'
                                 }`}>
                                   {r.totalSignal} {r.totalStrength.toFixed(0)}%
+                                  <div className="text-[10px] font-normal">EV {(r.totalEv * 100).toFixed(1)}%</div>
+                                  {marketLabel(r.totalBet)}
+                                  {stakeLabel(batchStakes.games[idx].total)}
                                 </td>
                                 <td className="py-2 px-1 text-center text-slate-400">{r.homeLine}</td>
                                 <td className={`py-2 px-1 text-center font-bold ${
-                                  r.homeStrength > 55 
+                                  r.homeEv > 0 
                                     ? (r.homeSignal === 'OVER' ? 'text-green-400' : 'text-red-400')
                                     : 'text-slate-400'
                                 }`}>
                                   {r.homeSignal} {r.homeStrength.toFixed(0)}%
+                                  <div className="text-[10px] font-normal">EV {(r.homeEv * 100).toFixed(1)}%</div>
+                                  {marketLabel(r.homeBet)}
+                                  {stakeLabel(batchStakes.games[idx].homeTeamTotal)}
                                 </td>
                                 <td className="py-2 px-1 text-center text-slate-400">{r.awayLine}</td>
                                 <td className={`py-2 px-1 text-center font-bold ${
-                                  r.awayStrength > 55 
+                                  r.awayEv > 0 
                                     ? (r.awaySignal === 'OVER' ? 'text-green-400' : 'text-red-400')
                                     : 'text-slate-400'
                                 }`}>
                                   {r.awaySignal} {r.awayStrength.toFixed(0)}%
+                                  <div className="text-[10px] font-normal">EV {(r.awayEv * 100).toFixed(1)}%</div>
+                                  {marketLabel(r.awayBet)}
+                                  {stakeLabel(batchStakes.games[idx].awayTeamTotal)}
                                 </td>
                                 <td className="py-2 px-1 text-center text-slate-400">
                                   {r.spreadLine > 0 ? '+' : ''}{r.spreadLine}
                                 </td>
                                 <td className={`py-2 px-1 text-center font-bold ${
-                                  r.spreadStrength > 55 ? 'text-yellow-400' : 'text-slate-400'
+                                  r.spreadEv > 0 ? 'text-yellow-400' : 'text-slate-400'
                                 }`}>
                                   {r.spreadSignal.split(' ')[0]} {r.spreadStrength.toFixed(0)}%
+                                  <div className="text-[10px] font-normal">EV {(r.spreadEv * 100).toFixed(1)}%</div>
+                                  {marketLabel(r.spreadBet)}
+                                  {stakeLabel(batchStakes.games[idx].spread)}
+                                </td>
+                                <td className={`py-2 px-1 text-center font-bold ${
+                                  r.mlEv > 0 ? 'text-emerald-400' : 'text-slate-400'
+                                }`}>
+                                  {r.mlSignal ? (
+                                    <>
+                                      {r.mlSignal} {r.mlOdds > 0 ? '+' : ''}{r.mlOdds}
+                                      <div className="text-[10px] font-normal">EV {(r.mlEv * 100).toFixed(1)}%</div>
+                                      {marketLabel(r.mlBet)}
+                                      {stakeLabel(batchStakes.games[idx].moneyline)}
+                                    </>
+                                  ) : '—'}
                                 </td>
                               </tr>
                             );
@@ -1694,15 +1620,202 @@ const NFLTotalsSimulator = () => {
                     </div>
 
                     <div className="mt-4 text-xs text-slate-500">
-                      💡 Signals highlighted when probability &gt; 55% (above breakeven at -110)
+                      💡 Signal = side with the better EV at the slate's prices (-110 when no odds column); highlighted when EV &gt; 0.
+                      Slate stake: ${batchStakes.totalStake.toFixed(2)}{batchStakes.slateScale < 1 ? ' (scaled to slate cap)' : ''}
+                    </div>
+                  </div>
+                )}
+
+                {/* Teaser */}
+                {batchResults.length > 0 && (
+                  <TeaserBuilder key={batchSeedUsed} batchResults={batchResults} />
+                )}
+              </div>
+            )}
+
+            {/* BACKTEST MODE */}
+            {appMode === 'backtest' && (
+              <div className="space-y-6">
+                <div className="bg-slate-800 rounded-xl p-6 border border-cyan-600/50">
+                  <h3 className="text-xl font-bold mb-4 text-cyan-400 flex items-center gap-2">
+                    🧪 Backtest Past Games
+                  </h3>
+
+                  <div className="bg-slate-900/50 p-4 rounded-lg mb-4 text-sm text-slate-300">
+                    <p className="mb-2">
+                      Upload past games in the batch schedule format with closing lines, plus the final score and the week's team database:
+                    </p>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
+                      <div className="text-green-400">• Home, Away, Dome</div>
+                      <div className="text-yellow-400">• Total, Spread (closing)</div>
+                      <div className="text-cyan-400">• HomeScore, AwayScore</div>
+                      <div className="text-blue-400">• Snapshot (file name)</div>
+                    </div>
+                    <p className="text-xs text-slate-500 mt-2">
+                      Each team database snapshot is a team CSV; a game's Snapshot value is its file name without .csv (e.g. 2024-W05).
+                      Games with no Snapshot use the database loaded above.
+                    </p>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <label className="flex flex-col items-center justify-center h-28 border-2 border-dashed border-cyan-600 rounded-lg cursor-pointer bg-slate-900 hover:bg-slate-800 transition-all">
+                      <Upload className="w-6 h-6 mb-2 text-cyan-400" />
+                      <p className="text-sm text-cyan-300 font-semibold">Past games CSV</p>
+                      <p className="text-xs text-slate-500">{backtestGames.length > 0 ? `${backtestGames.length} games with finals` : 'Click to upload'}</p>
+                      <input type="file" className="hidden" accept=".csv" onChange={handleBacktestUpload} />
+                    </label>
+                    <label className="flex flex-col items-center justify-center h-28 border-2 border-dashed border-blue-600 rounded-lg cursor-pointer bg-slate-900 hover:bg-slate-800 transition-all">
+                      <Database className="w-6 h-6 mb-2 text-blue-400" />
+                      <p className="text-sm text-blue-300 font-semibold">Team database snapshots</p>
+                      <p className="text-xs text-slate-500">
+                        {Object.keys(backtestSnapshots).length > 0 ? Object.keys(backtestSnapshots).join(', ') : 'One CSV per week (select several)'}
+                      </p>
+                      <input type="file" className="hidden" accept=".csv" multiple onChange={handleSnapshotUpload} />
+                    </label>
+                  </div>
+
+                  {backtestGames.length > 0 && (
+                    <div className="flex items-center justify-end gap-3 mt-4">
+                      {(() => {
+                        const missing = [...new Set(backtestGames.map(g => g.snapshot).filter(id => id && !backtestSnapshots[id]))];
+                        return missing.length > 0 && (
+                          <div className="text-xs text-yellow-400 mr-auto">Missing snapshots: {missing.join(', ')}</div>
+                        );
+                      })()}
+                      <select
+                        className="p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-cyan-400 focus:outline-none"
+                        value={gameSettings.simulationMode}
+                        onChange={(e) => setGameSettings({...gameSettings, simulationMode: e.target.value})}
+                        disabled={isBacktesting}
+                      >
+                        <option value="normal">Bivariate Normal</option>
+                        <option value="drives">Discrete Drives</option>
+                      </select>
+                      {gameSettings.simulationMode === 'normal' && (
+                        <select
+                          className="p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-cyan-400 focus:outline-none"
+                          value={gameSettings.scoreDistribution}
+                          onChange={(e) => setGameSettings({...gameSettings, scoreDistribution: e.target.value})}
+                          disabled={isBacktesting}
+                          title="Score distribution"
+                        >
+                          {scoreDistributionOptions}
+                        </select>
+                      )}
+                      <button
+                        onClick={() => setModelProfile({
+                          ...modelProfile,
+                          params: {
+                            ...modelProfile.params,
+                            scoreDistributions: { ...modelProfile.params.scoreDistributions, table: scoreTableFromGames(backtestGames) },
+                          },
+                          modified: true,
+                        })}
+                        className="bg-slate-700 hover:bg-slate-600 text-white text-xs py-2 px-3 rounded-lg transition-all"
+                        title="Use these games' final scores as the empirical score table"
+                      >
+                        Use as Score Table
+                      </button>
+                      <input
+                        type="text"
+                        className="w-28 p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-cyan-400 focus:outline-none"
+                        value={batchSeed}
+                        onChange={(e) => setBatchSeed(e.target.value)}
+                        placeholder="Seed"
+                        disabled={isBacktesting}
+                      />
+                      <button
+                        onClick={runBacktest}
+                        disabled={isBacktesting || isFitting}
+                        className="bg-gradient-to-r from-cyan-600 to-blue-600 hover:from-cyan-700 hover:to-blue-700 disabled:from-slate-600 disabled:to-slate-700 text-white font-bold py-2 px-6 rounded-lg flex items-center gap-2 transition-all"
+                      >
+                        <Play className="w-4 h-4" />
+                        {isBacktesting ? `Backtesting... ${backtestProgress.toFixed(0)}%` : 'Run Backtest'}
+                      </button>
+                      {isBacktesting && (
+                        <button
+                          onClick={cancelSimulation}
+                          className="bg-red-700 hover:bg-red-800 text-white font-bold py-2 px-4 rounded-lg transition-all"
+                        >
+                          Cancel
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {backtestResults.length > 0 && (
+                  <BacktestReport
+                    results={backtestResults}
+                    minConfidence={backtestConfidence}
+                    onMinConfidenceChange={setBacktestConfidence}
+                  />
+                )}
+
+                {backtestGames.length > 0 && (
+                  <div className="bg-slate-800 rounded-xl p-6 border border-emerald-600/50">
+                    <h3 className="text-xl font-bold mb-2 text-emerald-400">📐 Fit Coefficients</h3>
+                    <p className="text-xs text-slate-500 mb-4">
+                      Tunes CER_TO_PPD_SCALE, LAMBDA, HOME_FIELD_ADV and the CER weights (plus the score SDs for log loss) to these games,
+                      starting from the current profile, and scores the result week by week on games each fit never saw.
+                    </p>
+                    <div className="flex flex-wrap items-end justify-end gap-3">
+                      <div className="mr-auto">
+                        <label className="block text-xs text-slate-400 mb-1">Minimize</label>
+                        <select
+                          className="p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-emerald-400 focus:outline-none"
+                          value={fitObjective}
+                          onChange={(e) => setFitObjective(e.target.value)}
+                          disabled={isFitting}
+                        >
+                          {Object.entries(FIT_OBJECTIVES).map(([key, { label, unit }]) => (
+                            <option key={key} value={key}>{label} ({unit})</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1" title="Penalty for moving away from the current profile">Ridge</label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.1"
+                          className="w-24 p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-emerald-400 focus:outline-none"
+                          value={fitRidge}
+                          onChange={(e) => setFitRidge(Math.max(0, parseFloat(e.target.value) || 0))}
+                          disabled={isFitting}
+                        />
+                      </div>
+                      <button
+                        onClick={runFit}
+                        disabled={isFitting || isBacktesting}
+                        className="bg-gradient-to-r from-emerald-600 to-cyan-600 hover:from-emerald-700 hover:to-cyan-700 disabled:from-slate-600 disabled:to-slate-700 text-white font-bold py-2 px-6 rounded-lg flex items-center gap-2 transition-all"
+                      >
+                        <Play className="w-4 h-4" />
+                        {isFitting ? `Fitting... ${fitProgress.toFixed(0)}%` : 'Run Fit'}
+                      </button>
+                      {isFitting && (
+                        <button
+                          onClick={cancelSimulation}
+                          className="bg-red-700 hover:bg-red-800 text-white font-bold py-2 px-4 rounded-lg transition-all"
+                        >
+                          Cancel
+                        </button>
+                      )}
                     </div>
                   </div>
                 )}
+
+                {fitResults && (
+                  <FitReport
+                    results={fitResults}
+                    onLoad={(name, params) => setModelProfile({ name, params, modified: true })}
+                  />
+                )}
               </div>
             )}
 
             {/* SINGLE GAME MODE */}
-            {!showBatchMode && (
+            {appMode === 'single' && (
               <>
             {/* Team Selection */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
@@ -1731,22 +1844,27 @@ const NFLTotalsSimulator = () => {
                       <div className="text-slate-400">PPD:</div>
                       <div className="text-orange-300 font-semibold">
                         {getDisplayValue(selectedHomeTeam, ['Offensive Pts/Drive'])}
+                        {snapshotBreakdown(selectedHomeTeam, ['Offensive Pts/Drive'])}
                       </div>
                       <div className="text-slate-400">EPA/play:</div>
                       <div className="text-orange-300 font-semibold">
                         {getDisplayValue(selectedHomeTeam, ['Offensive EPA/Play'])}
+                        {snapshotBreakdown(selectedHomeTeam, ['Offensive EPA/Play'])}
                       </div>
                       <div className="text-slate-400">Success Rate:</div>
                       <div className="text-orange-300 font-semibold">
                         {getDisplayValue(selectedHomeTeam, ['Offensive Success Rate'])}
+                        {snapshotBreakdown(selectedHomeTeam, ['Offensive Success Rate'])}
                       </div>
                       <div className="text-slate-400">RZ TD%:</div>
                       <div className="text-orange-300 font-semibold">
                         {getDisplayValue(selectedHomeTeam, ['Offensive Red Zone TD Rate'])}
+                        {snapshotBreakdown(selectedHomeTeam, ['Offensive Red Zone TD Rate'])}
                       </div>
                       <div className="text-slate-400">TO%:</div>
                       <div className="text-orange-300 font-semibold">
                         {getDisplayValue(selectedHomeTeam, ['Offensive TO%'])}
+                        {snapshotBreakdown(selectedHomeTeam, ['Offensive TO%'])}
                       </div>
                     </div>
                   </div>
@@ -1778,22 +1896,27 @@ const NFLTotalsSimulator = () => {
                       <div className="text-slate-400">PPD:</div>
                       <div className="text-purple-300 font-semibold">
                         {getDisplayValue(selectedAwayTeam, ['Offensive Pts/Drive'])}
+                        {snapshotBreakdown(selectedAwayTeam, ['Offensive Pts/Drive'])}
                       </div>
                       <div className="text-slate-400">EPA/play:</div>
                       <div className="text-purple-300 font-semibold">
                         {getDisplayValue(selectedAwayTeam, ['Offensive EPA/Play'])}
+                        {snapshotBreakdown(selectedAwayTeam, ['Offensive EPA/Play'])}
                       </div>
                       <div className="text-slate-400">Success Rate:</div>
                       <div className="text-purple-300 font-semibold">
                         {getDisplayValue(selectedAwayTeam, ['Offensive Success Rate'])}
+                        {snapshotBreakdown(selectedAwayTeam, ['Offensive Success Rate'])}
                       </div>
                       <div className="text-slate-400">RZ TD%:</div>
                       <div className="text-purple-300 font-semibold">
                         {getDisplayValue(selectedAwayTeam, ['Offensive Red Zone TD Rate'])}
+                        {snapshotBreakdown(selectedAwayTeam, ['Offensive Red Zone TD Rate'])}
                       </div>
                       <div className="text-slate-400">TO%:</div>
                       <div className="text-purple-300 font-semibold">
                         {getDisplayValue(selectedAwayTeam, ['Offensive TO%'])}
+                        {snapshotBreakdown(selectedAwayTeam, ['Offensive TO%'])}
                       </div>
                     </div>
                   </div>
@@ -1863,6 +1986,91 @@ const NFLTotalsSimulator = () => {
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    1H Over/Under Line
+                  </label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    className="w-full p-3 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                    value={Number.isFinite(gameSettings.firstHalfOverUnderLine) ? gameSettings.firstHalfOverUnderLine : ''}
+                    onChange={(e) => setGameSettings({...gameSettings, firstHalfOverUnderLine: parseFloat(e.target.value)})}
+                    placeholder="Scaled from full game"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    1H Spread (Home)
+                  </label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    className="w-full p-3 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                    value={Number.isFinite(gameSettings.firstHalfSpreadLine) ? gameSettings.firstHalfSpreadLine : ''}
+                    onChange={(e) => setGameSettings({...gameSettings, firstHalfSpreadLine: parseFloat(e.target.value)})}
+                    placeholder="Scaled from full game"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    1Q Over/Under Line
+                  </label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    className="w-full p-3 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                    value={Number.isFinite(gameSettings.firstQuarterOverUnderLine) ? gameSettings.firstQuarterOverUnderLine : ''}
+                    onChange={(e) => setGameSettings({...gameSettings, firstQuarterOverUnderLine: parseFloat(e.target.value)})}
+                    placeholder="Scaled from full game"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    1Q Spread (Home)
+                  </label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    className="w-full p-3 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                    value={Number.isFinite(gameSettings.firstQuarterSpreadLine) ? gameSettings.firstQuarterSpreadLine : ''}
+                    onChange={(e) => setGameSettings({...gameSettings, firstQuarterSpreadLine: parseFloat(e.target.value)})}
+                    placeholder="Scaled from full game"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    Alt Ladder Range (±pts)
+                  </label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    min="0"
+                    className="w-full p-3 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                    value={gameSettings.ladderRange}
+                    onChange={(e) => setGameSettings({...gameSettings, ladderRange: parseFloat(e.target.value) || 0})}
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    Alt Ladder Step
+                  </label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    min="0.5"
+                    className="w-full p-3 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                    value={gameSettings.ladderStep}
+                    onChange={(e) => setGameSettings({...gameSettings, ladderStep: parseFloat(e.target.value) || 1})}
+                  />
+                  <p className="text-xs text-slate-500 mt-1">Game total and team totals</p>
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-slate-300 mb-2">
                     Wind Speed (MPH)
@@ -1903,6 +2111,70 @@ const NFLTotalsSimulator = () => {
                   </select>
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    Simulation Engine
+                  </label>
+                  <select
+                    className="w-full p-3 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                    value={gameSettings.simulationMode}
+                    onChange={(e) => setGameSettings({...gameSettings, simulationMode: e.target.value})}
+                  >
+                    <option value="normal">Bivariate Normal</option>
+                    <option value="drives">Discrete Drives</option>
+                  </select>
+                  <p className="text-xs text-slate-500 mt-1">Drives = TD/FG/Empty per possession</p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    Score Distribution
+                  </label>
+                  <select
+                    className="w-full p-3 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-blue-400 focus:outline-none disabled:opacity-50"
+                    value={gameSettings.scoreDistribution}
+                    onChange={(e) => setGameSettings({...gameSettings, scoreDistribution: e.target.value})}
+                    disabled={gameSettings.simulationMode !== 'normal'}
+                  >
+                    {scoreDistributionOptions}
+                  </select>
+                  <p className="text-xs text-slate-500 mt-1">
+                    {gameSettings.simulationMode === 'normal'
+                      ? `${SCORE_DISTRIBUTIONS[gameSettings.scoreDistribution].description}; ρ applies through a Gaussian copula`
+                      : 'Normal engine only'}
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    OT Tie Probability (%)
+                  </label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    min="0"
+                    max="100"
+                    className="w-full p-3 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                    value={+(gameSettings.otTieProb * 100).toFixed(2)}
+                    onChange={(e) => setGameSettings({...gameSettings, otTieProb: clamp((parseFloat(e.target.value) || 0) / 100, 0, 1)})}
+                  />
+                  <p className="text-xs text-slate-500 mt-1">Set 0 for playoff games</p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    Seed
+                  </label>
+                  <input
+                    type="text"
+                    className="w-full p-3 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                    value={gameSettings.seed}
+                    onChange={(e) => setGameSettings({...gameSettings, seed: e.target.value})}
+                    placeholder="Random"
+                  />
+                  <p className="text-xs text-slate-500 mt-1">Same seed = same results</p>
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-slate-300 mb-2">
                     # of Simulations
@@ -1930,6 +2202,261 @@ const NFLTotalsSimulator = () => {
                     </div>
                   </label>
                 </div>
+
+                <div className="flex items-end">
+                  <label className="flex items-center gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      className="w-5 h-5 rounded bg-slate-900 border-slate-600 text-blue-500 focus:ring-blue-400"
+                      checked={gameSettings.neutralSite}
+                      onChange={(e) => setGameSettings({...gameSettings, neutralSite: e.target.checked})}
+                    />
+                    <div>
+                      <span className="text-slate-300 font-medium">Neutral Site</span>
+                      <p className="text-xs text-slate-500">No home field advantage</p>
+                    </div>
+                  </label>
+                </div>
+              </div>
+
+              {/* Rest & Travel */}
+              <div className="mt-6 bg-slate-900/50 p-4 rounded-lg border border-slate-700">
+                <div className="text-slate-300 font-medium">Rest & Travel (optional)</div>
+                <p className="text-xs text-slate-500 mb-3">Short weeks, byes, travel distance and time zones crossed. Leave blank for a normal week at home.</p>
+                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+                  {[
+                    { key: 'homeRestDays', label: 'Home Rest (days)', step: '1', placeholder: '7', color: 'text-orange-300' },
+                    { key: 'awayRestDays', label: 'Away Rest (days)', step: '1', placeholder: '7', color: 'text-purple-300' },
+                    { key: 'homeTravelMiles', label: 'Home Travel (mi)', step: '100', placeholder: '0', color: 'text-orange-300' },
+                    { key: 'awayTravelMiles', label: 'Away Travel (mi)', step: '100', placeholder: '0', color: 'text-purple-300' },
+                    { key: 'homeTimeZones', label: 'Home Time Zones', step: '1', placeholder: '0', color: 'text-orange-300' },
+                    { key: 'awayTimeZones', label: 'Away Time Zones', step: '1', placeholder: '0', color: 'text-purple-300' },
+                  ].map(({ key, label, step, placeholder, color }) => (
+                    <div key={key}>
+                      <label className={`block text-xs font-medium mb-1 ${color}`}>{label}</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step={step}
+                        className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-blue-400 focus:outline-none"
+                        value={gameSettings[key]}
+                        onChange={(e) => setGameSettings({...gameSettings, [key]: e.target.value})}
+                        placeholder={placeholder}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Market Odds */}
+              <div className="mt-6 bg-slate-900/50 p-4 rounded-lg border border-green-700/50">
+                <div className="flex justify-between items-center">
+                  <div className="text-slate-300 font-medium">Market Odds (American)</div>
+                  <label className="flex items-center gap-2 text-xs text-slate-400">
+                    No-vig method
+                    <select
+                      className="p-1 bg-slate-900 border border-slate-600 rounded text-xs text-white focus:border-green-400 focus:outline-none"
+                      value={devigMethod}
+                      onChange={(e) => setDevigMethod(e.target.value)}
+                    >
+                      {DEVIG_METHODS.map(m => <option key={m} value={m}>{m.charAt(0).toUpperCase() + m.slice(1)}</option>)}
+                    </select>
+                  </label>
+                </div>
+                <p className="text-xs text-slate-500 mb-3">Used for EV, edge and break-even on every side, and to strip the vig from each two-sided price. Blank totals and spreads default to -110; a blank moneyline is not priced.</p>
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                  <div>
+                    <label className="block text-xs font-medium text-slate-400 mb-1">Over</label>
+                    <input
+                      type="number"
+                      step="5"
+                      className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-green-400 focus:outline-none"
+                      value={Number.isFinite(gameSettings.overOdds) ? gameSettings.overOdds : ''}
+                      onChange={(e) => setGameSettings({...gameSettings, overOdds: parseFloat(e.target.value)})}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-slate-400 mb-1">Under</label>
+                    <input
+                      type="number"
+                      step="5"
+                      className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-green-400 focus:outline-none"
+                      value={Number.isFinite(gameSettings.underOdds) ? gameSettings.underOdds : ''}
+                      onChange={(e) => setGameSettings({...gameSettings, underOdds: parseFloat(e.target.value)})}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-slate-400 mb-1">Home Spread</label>
+                    <input
+                      type="number"
+                      step="5"
+                      className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-green-400 focus:outline-none"
+                      value={Number.isFinite(gameSettings.homeSpreadOdds) ? gameSettings.homeSpreadOdds : ''}
+                      onChange={(e) => setGameSettings({...gameSettings, homeSpreadOdds: parseFloat(e.target.value)})}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-slate-400 mb-1">Away Spread</label>
+                    <input
+                      type="number"
+                      step="5"
+                      className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-green-400 focus:outline-none"
+                      value={Number.isFinite(gameSettings.awaySpreadOdds) ? gameSettings.awaySpreadOdds : ''}
+                      onChange={(e) => setGameSettings({...gameSettings, awaySpreadOdds: parseFloat(e.target.value)})}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-slate-400 mb-1">Home ML</label>
+                    <input
+                      type="number"
+                      step="5"
+                      className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-green-400 focus:outline-none"
+                      value={Number.isFinite(gameSettings.homeMoneyline) ? gameSettings.homeMoneyline : ''}
+                      onChange={(e) => setGameSettings({...gameSettings, homeMoneyline: parseFloat(e.target.value)})}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-slate-400 mb-1">Home TT Over</label>
+                    <input
+                      type="number"
+                      step="5"
+                      className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-green-400 focus:outline-none"
+                      value={Number.isFinite(gameSettings.homeTeamOverOdds) ? gameSettings.homeTeamOverOdds : ''}
+                      onChange={(e) => setGameSettings({...gameSettings, homeTeamOverOdds: parseFloat(e.target.value)})}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-slate-400 mb-1">Home TT Under</label>
+                    <input
+                      type="number"
+                      step="5"
+                      className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-green-400 focus:outline-none"
+                      value={Number.isFinite(gameSettings.homeTeamUnderOdds) ? gameSettings.homeTeamUnderOdds : ''}
+                      onChange={(e) => setGameSettings({...gameSettings, homeTeamUnderOdds: parseFloat(e.target.value)})}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-slate-400 mb-1">Away TT Over</label>
+                    <input
+                      type="number"
+                      step="5"
+                      className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-green-400 focus:outline-none"
+                      value={Number.isFinite(gameSettings.awayTeamOverOdds) ? gameSettings.awayTeamOverOdds : ''}
+                      onChange={(e) => setGameSettings({...gameSettings, awayTeamOverOdds: parseFloat(e.target.value)})}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-slate-400 mb-1">Away TT Under</label>
+                    <input
+                      type="number"
+                      step="5"
+                      className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-green-400 focus:outline-none"
+                      value={Number.isFinite(gameSettings.awayTeamUnderOdds) ? gameSettings.awayTeamUnderOdds : ''}
+                      onChange={(e) => setGameSettings({...gameSettings, awayTeamUnderOdds: parseFloat(e.target.value)})}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-slate-400 mb-1">Away ML</label>
+                    <input
+                      type="number"
+                      step="5"
+                      className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-green-400 focus:outline-none"
+                      value={Number.isFinite(gameSettings.awayMoneyline) ? gameSettings.awayMoneyline : ''}
+                      onChange={(e) => setGameSettings({...gameSettings, awayMoneyline: parseFloat(e.target.value)})}
+                    />
+                  </div>
+                </div>
+              </div>
+
+              {/* Live Game State */}
+              <div className="mt-6 bg-slate-900/50 p-4 rounded-lg border border-red-700/50">
+                <label className="flex items-center gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="w-5 h-5 rounded bg-slate-900 border-slate-600 text-red-500 focus:ring-red-400"
+                    checked={liveMode}
+                    onChange={(e) => setLiveMode(e.target.checked)}
+                  />
+                  <div>
+                    <span className="text-slate-300 font-medium">Live Mode</span>
+                    <p className="text-xs text-slate-500">Reprice a game in progress: only the drives left on the clock are simulated</p>
+                  </div>
+                </label>
+
+                {liveMode && (
+                  <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mt-4">
+                    <div>
+                      <label className="block text-xs font-medium text-orange-300 mb-1">
+                        {selectedHomeTeam?.Team || 'Home'} Score
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-red-400 focus:outline-none"
+                        value={liveState.homeScore}
+                        onChange={(e) => setLiveState({...liveState, homeScore: parseInt(e.target.value) || 0})}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-purple-300 mb-1">
+                        {selectedAwayTeam?.Team || 'Away'} Score
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-red-400 focus:outline-none"
+                        value={liveState.awayScore}
+                        onChange={(e) => setLiveState({...liveState, awayScore: parseInt(e.target.value) || 0})}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-slate-300 mb-1">Quarter</label>
+                      <select
+                        className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-red-400 focus:outline-none"
+                        value={liveState.quarter}
+                        onChange={(e) => setLiveState({...liveState, quarter: parseInt(e.target.value)})}
+                      >
+                        <option value={1}>1st</option>
+                        <option value={2}>2nd</option>
+                        <option value={3}>3rd</option>
+                        <option value={4}>4th</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-slate-300 mb-1">Time Left (MM:SS)</label>
+                      <input
+                        type="text"
+                        className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-red-400 focus:outline-none"
+                        value={liveState.clock}
+                        onChange={(e) => setLiveState({...liveState, clock: e.target.value})}
+                        placeholder="15:00"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-slate-300 mb-1">Possession</label>
+                      <select
+                        className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-red-400 focus:outline-none"
+                        value={liveState.possession}
+                        onChange={(e) => setLiveState({...liveState, possession: e.target.value})}
+                      >
+                        <option value="home">{selectedHomeTeam?.Team || 'Home'}</option>
+                        <option value="away">{selectedAwayTeam?.Team || 'Away'}</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-slate-300 mb-1">Yards to Goal</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="99"
+                        className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-red-400 focus:outline-none"
+                        value={liveState.yardsToGoal}
+                        onChange={(e) => setLiveState({...liveState, yardsToGoal: parseInt(e.target.value) || 75})}
+                      />
+                      <p className="text-xs text-slate-500 mt-1">75 = own 25</p>
+                    </div>
+                  </div>
+                )}
               </div>
 
               {/* Run Simulation Button */}
@@ -1939,17 +2466,56 @@ const NFLTotalsSimulator = () => {
                 className="mt-6 w-full bg-gradient-to-r from-orange-600 to-red-600 hover:from-orange-700 hover:to-red-700 disabled:from-slate-600 disabled:to-slate-700 text-white font-bold py-4 px-6 rounded-lg flex items-center justify-center gap-3 transition-all shadow-lg text-lg border-2 border-yellow-400"
               >
                 <Play className="w-6 h-6" />
-                {isSimulating ? "SIMULATING..." : `RUN ${gameSettings.numSimulations.toLocaleString()} SIMULATIONS`}
+                {isSimulating ? `SIMULATING... ${simProgress.toFixed(0)}%` : `RUN ${gameSettings.numSimulations.toLocaleString()} SIMULATIONS`}
               </button>
+
+              {isSimulating && (
+                <div className="mt-3 flex items-center gap-3">
+                  <div className="flex-1 bg-slate-700 rounded-full h-2">
+                    <div 
+                      className="bg-orange-500 h-2 rounded-full transition-all" 
+                      style={{ width: `${simProgress}%` }}
+                    ></div>
+                  </div>
+                  <button
+                    onClick={cancelSimulation}
+                    className="bg-red-700 hover:bg-red-800 text-white text-sm font-bold py-1 px-4 rounded-lg transition-all"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              )}
             </div>
 
             {/* Results Section */}
             {simulationResults && (
               <div className="space-y-6">
+                {/* Live Game State */}
+                {simulationResults.live && (
+                  <div className="bg-red-900/20 p-4 rounded-lg border border-red-700/50 flex flex-wrap items-center gap-x-8 gap-y-2 text-sm">
+                    <div className="font-bold text-red-300">LIVE</div>
+                    <div className="text-lg font-bold">
+                      <span className="text-orange-300">{simulationResults.homeTeam} {simulationResults.live.homeScore}</span>
+                      <span className="text-slate-500"> - </span>
+                      <span className="text-purple-300">{simulationResults.live.awayScore} {simulationResults.awayTeam}</span>
+                    </div>
+                    <div className="text-slate-300">
+                      Q{simulationResults.live.quarter} {Math.floor(simulationResults.live.secondsLeft / 60)}:{String(simulationResults.live.secondsLeft % 60).padStart(2, '0')}
+                    </div>
+                    <div className="text-slate-300">
+                      {simulationResults.live.possession === 'home' ? simulationResults.homeTeam : simulationResults.awayTeam} ball, {simulationResults.live.yardsToGoal} yds to goal
+                      <span className="text-slate-500"> (TD {(simulationResults.live.currentDrive.pTD * 100).toFixed(0)}% / FG {(simulationResults.live.currentDrive.pFG * 100).toFixed(0)}%)</span>
+                    </div>
+                    <div className="text-slate-400">
+                      {(simulationResults.live.fractionRemaining * 100).toFixed(0)}% of regulation left · drives to start {simulationResults.live.homeDrives.toFixed(1)} / {simulationResults.live.awayDrives.toFixed(1)}
+                    </div>
+                  </div>
+                )}
+
                 {/* Model Info */}
                 <div className="bg-slate-800 p-6 rounded-lg border border-slate-700">
                   <h3 className="text-xl font-bold mb-4">Model Parameters</h3>
-                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                  <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 text-sm">
                     <div>
                       <div className="text-slate-400">Correlation (ρ)</div>
                       <div className="text-blue-400 font-bold text-lg">{simulationResults.correlationUsed.toFixed(3)}</div>
@@ -1970,6 +2536,37 @@ const NFLTotalsSimulator = () => {
                       <div className="text-slate-400">Total Game Drives</div>
                       <div className="text-blue-400 font-bold text-lg">{simulationResults.totalGameDrives.toFixed(1)}</div>
                     </div>
+                    <div>
+                      <div className="text-slate-400">Seed</div>
+                      <div className="text-blue-400 font-bold text-lg">{simulationResults.seed}</div>
+                      <button
+                        onClick={() => setGameSettings({...gameSettings, seed: String(simulationResults.seed)})}
+                        className="text-xs text-slate-400 hover:text-blue-300 underline"
+                      >
+                        Reuse seed
+                      </button>
+                    </div>
+                    <div>
+                      <div className="text-slate-400">Profile</div>
+                      <div className="text-blue-400 font-bold text-lg truncate" title={simulationResults.profile.name}>
+                        {simulationResults.profile.name}
+                      </div>
+                      {simulationResults.profile.modified && <div className="text-xs text-yellow-400">modified, unsaved</div>}
+                      <div className="text-xs text-slate-500">Baseline: {simulationResults.profile.baseline}</div>
+                      {simulationResults.adjustments && (
+                        <div className="text-xs text-rose-300">🩹 {simulationResults.adjustments}</div>
+                      )}
+                      <button
+                        onClick={() => {
+                          const { name, modified, params } = simulationResults.profile;
+                          setModelProfile({ name, modified, params });
+                          setBaselineSource(simulationResults.profile.baselineSource);
+                        }}
+                        className="text-xs text-slate-400 hover:text-blue-300 underline"
+                      >
+                        Reuse parameters
+                      </button>
+                    </div>
                   </div>
                   
                   {/* Drives Model Details */}
@@ -1997,6 +2594,53 @@ const NFLTotalsSimulator = () => {
                     </div>
                   </div>
                   
+                  {/* Copula score distribution */}
+                  {simulationResults.scoreDistribution && simulationResults.scoreDistribution !== 'normal' && (
+                    <div className="mt-4 pt-4 border-t border-slate-700 text-sm">
+                      <span className="text-slate-400">Score distribution: </span>
+                      <span className="text-blue-400 font-semibold">{SCORE_DISTRIBUTIONS[simulationResults.scoreDistribution].label}</span>
+                      <span className="text-xs text-slate-500"> · Gaussian copula, ρ = {simulationResults.correlationUsed.toFixed(3)}</span>
+                    </div>
+                  )}
+
+                  {/* Discrete Drive Model Details */}
+                  {simulationResults.driveModel && (
+                    <div className="mt-4 pt-4 border-t border-slate-700">
+                      <div className="text-sm text-slate-400 mb-2">Discrete Drive Model (per drive)</div>
+                      <div className="grid grid-cols-2 gap-4 text-sm">
+                        {[
+                          { label: simulationResults.homeTeam, probs: simulationResults.driveModel.home, box: 'bg-orange-900/20 border-orange-600/30', title: 'text-orange-300', value: 'text-orange-400' },
+                          { label: simulationResults.awayTeam, probs: simulationResults.driveModel.away, box: 'bg-purple-900/20 border-purple-600/30', title: 'text-purple-300', value: 'text-purple-400' },
+                        ].map(({ label, probs, box, title, value }) => (
+                          <div key={label} className={`p-3 rounded border ${box}`}>
+                            <div className={`text-xs mb-1 ${title}`}>{label}</div>
+                            <div className="grid grid-cols-4 gap-2 text-xs">
+                              <div>
+                                <div className="text-slate-400">3-Out</div>
+                                <div className={`font-semibold ${value}`}>{(probs.p3out * 100).toFixed(1)}%</div>
+                              </div>
+                              <div>
+                                <div className="text-slate-400">TD</div>
+                                <div className={`font-semibold ${value}`}>{(probs.pTD * 100).toFixed(1)}%</div>
+                              </div>
+                              <div>
+                                <div className="text-slate-400">FG</div>
+                                <div className={`font-semibold ${value}`}>{(probs.pFG * 100).toFixed(1)}%</div>
+                              </div>
+                              <div>
+                                <div className="text-slate-400">PPD</div>
+                                <div className={`font-semibold ${value}`}>{probs.expectedPPD.toFixed(2)}</div>
+                              </div>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                      <div className="mt-2 text-xs text-slate-500">
+                        TD and FG rates are conditional on a sustained (non 3-and-out) drive
+                      </div>
+                    </div>
+                  )}
+                  
                   {/* CER Details */}
                   <div className="mt-4 pt-4 border-t border-slate-700">
                     <div className="text-sm text-slate-400 mb-2">Composite Efficiency Ratings</div>
@@ -2006,29 +2650,68 @@ const NFLTotalsSimulator = () => {
                         <div className="text-orange-400 font-semibold">
                           {simulationResults.matchupDetails.homeOffCER.CER.toFixed(3)}
                         </div>
+                        {shrinkageLabel(simulationResults.matchupDetails.homeOffCER)}
                       </div>
                       <div>
                         <div className="text-slate-400 mb-1">Away Offensive CER</div>
                         <div className="text-purple-400 font-semibold">
                           {simulationResults.matchupDetails.awayOffCER.CER.toFixed(3)}
                         </div>
+                        {shrinkageLabel(simulationResults.matchupDetails.awayOffCER)}
                       </div>
                       <div>
                         <div className="text-slate-400 mb-1">Home Defensive CER</div>
                         <div className="text-orange-400 font-semibold">
                           {simulationResults.matchupDetails.homeDefCER.CER.toFixed(3)}
                         </div>
+                        {shrinkageLabel(simulationResults.matchupDetails.homeDefCER)}
                       </div>
                       <div>
                         <div className="text-slate-400 mb-1">Away Defensive CER</div>
                         <div className="text-purple-400 font-semibold">
                           {simulationResults.matchupDetails.awayDefCER.CER.toFixed(3)}
                         </div>
+                        {shrinkageLabel(simulationResults.matchupDetails.awayDefCER)}
                       </div>
                     </div>
                   </div>
+
+                  {/* Matchup Edges */}
+                  <div className="mt-4 pt-4 border-t border-slate-700">
+                    <div className="text-sm text-slate-400 mb-2">Matchup Edges (pts, before the offense/defense split)</div>
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-xs text-slate-500">
+                          <th className="text-left font-normal py-1"></th>
+                          <th className="text-right font-normal py-1 text-orange-300">{simulationResults.homeTeam}</th>
+                          <th className="text-right font-normal py-1 text-purple-300">{simulationResults.awayTeam}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[
+                          { label: 'Home field', home: simulationResults.matchupDetails.hfa, away: 0 },
+                          { label: 'Rest', key: 'rest' },
+                          { label: 'Travel', key: 'travel' },
+                          { label: 'Time zones', key: 'timeZones' },
+                        ].map(({ label, key, home, away }) => {
+                          const { situational } = simulationResults.matchupDetails;
+                          const format = (pts) => (pts === 0 ? '—' : `${pts > 0 ? '+' : ''}${pts.toFixed(2)}`);
+                          return (
+                            <tr key={label} className="border-t border-slate-800">
+                              <td className="py-1 text-slate-400">{label}</td>
+                              <td className="py-1 text-right text-slate-300">{format(key ? situational.home[key] : home)}</td>
+                              <td className="py-1 text-right text-slate-300">{format(key ? situational.away[key] : away)}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
                 </div>
 
+                {/* Recommended Stakes */}
+                <StakePanel results={simulationResults} stakes={singleStakes} />
+
                 {/* Game Total O/U */}
                 <div className="bg-slate-800 p-6 rounded-lg border border-slate-700">
                   <h3 className="text-xl font-bold mb-4 flex items-center gap-2">
@@ -2041,12 +2724,14 @@ const NFLTotalsSimulator = () => {
                       <div className="text-3xl font-bold text-green-400">
                         {simulationResults.overUnder.overPct.toFixed(1)}%
                       </div>
+                      <BetValue bet={simulationResults.pricing.total.over} method={devigMethod} />
                     </div>
                     <div className="bg-gradient-to-br from-red-600/20 to-red-800/20 p-4 rounded-lg border border-red-600/30">
                       <div className="text-sm text-red-300 mb-1">Under {simulationResults.overUnder.line}</div>
                       <div className="text-3xl font-bold text-red-400">
                         {simulationResults.overUnder.underPct.toFixed(1)}%
                       </div>
+                      <BetValue bet={simulationResults.pricing.total.under} method={devigMethod} />
                     </div>
                     <div className="bg-gradient-to-br from-slate-600/20 to-slate-800/20 p-4 rounded-lg border border-slate-600/30">
                       <div className="text-sm text-slate-300 mb-1">Push</div>
@@ -2055,6 +2740,11 @@ const NFLTotalsSimulator = () => {
                       </div>
                     </div>
                   </div>
+                  
+                  <div className="mt-6">
+                    <div className="text-sm text-slate-400 mb-3">Alternative Totals</div>
+                    <LadderTable ladder={simulationResults.overUnder.altLines} marketLine={simulationResults.overUnder.line} />
+                  </div>
                 </div>
 
                 {/* Moneyline Analysis */}
@@ -2063,26 +2753,50 @@ const NFLTotalsSimulator = () => {
                     <TrendingUp className="w-6 h-6 text-emerald-400" />
                     Moneyline (Win Probability)
                   </h3>
+                  <div className="text-sm text-slate-400 mb-2">Two-Way (incl. OT, tie = push)</div>
                   <div className="grid grid-cols-2 gap-4">
                     <div className="bg-gradient-to-br from-orange-600/20 to-orange-800/20 p-4 rounded-lg border border-orange-600/30">
                       <div className="text-sm text-orange-300 mb-1">{simulationResults.homeTeam} Win</div>
                       <div className="text-3xl font-bold text-orange-400">
-                        {simulationResults.moneyline.homeWinPct.toFixed(1)}%
+                        {simulationResults.moneyline.twoWay.homePct.toFixed(1)}%
                       </div>
                       <div className="text-sm text-orange-300 mt-2">
-                        Fair Odds: {simulationResults.moneyline.homeFairOdds > 0 ? '+' : ''}{simulationResults.moneyline.homeFairOdds}
+                        Fair Odds: {simulationResults.moneyline.twoWay.homeFairOdds > 0 ? '+' : ''}{simulationResults.moneyline.twoWay.homeFairOdds}
                       </div>
+                      <BetValue bet={simulationResults.pricing.moneyline.home} method={devigMethod} />
                     </div>
                     <div className="bg-gradient-to-br from-purple-600/20 to-purple-800/20 p-4 rounded-lg border border-purple-600/30">
                       <div className="text-sm text-purple-300 mb-1">{simulationResults.awayTeam} Win</div>
                       <div className="text-3xl font-bold text-purple-400">
-                        {simulationResults.moneyline.awayWinPct.toFixed(1)}%
+                        {simulationResults.moneyline.twoWay.awayPct.toFixed(1)}%
                       </div>
                       <div className="text-sm text-purple-300 mt-2">
-                        Fair Odds: {simulationResults.moneyline.awayFairOdds > 0 ? '+' : ''}{simulationResults.moneyline.awayFairOdds}
+                        Fair Odds: {simulationResults.moneyline.twoWay.awayFairOdds > 0 ? '+' : ''}{simulationResults.moneyline.twoWay.awayFairOdds}
                       </div>
+                      <BetValue bet={simulationResults.pricing.moneyline.away} method={devigMethod} />
                     </div>
                   </div>
+
+                  {/* Three-Way (Regulation) */}
+                  <div className="text-sm text-slate-400 mt-6 mb-2">Three-Way (Regulation)</div>
+                  <div className="grid grid-cols-3 gap-4">
+                    {[
+                      { label: simulationResults.homeTeam, pct: simulationResults.moneyline.threeWay.homePct, odds: simulationResults.moneyline.threeWay.homeFairOdds, text: 'text-orange-400' },
+                      { label: 'Tie', pct: simulationResults.moneyline.threeWay.tiePct, odds: simulationResults.moneyline.threeWay.tieFairOdds, text: 'text-slate-300' },
+                      { label: simulationResults.awayTeam, pct: simulationResults.moneyline.threeWay.awayPct, odds: simulationResults.moneyline.threeWay.awayFairOdds, text: 'text-purple-400' },
+                    ].map(({ label, pct, odds, text }) => (
+                      <div key={label} className="bg-slate-900/50 p-3 rounded border border-slate-700">
+                        <div className="text-xs text-slate-400">{label}</div>
+                        <div className={`text-xl font-bold ${text}`}>{pct.toFixed(1)}%</div>
+                        <div className="text-xs text-slate-400">Fair: {odds > 0 ? '+' : ''}{odds}</div>
+                      </div>
+                    ))}
+                  </div>
+                  {simulationResults.overtime.enabled && (
+                    <div className="mt-2 text-xs text-slate-500">
+                      OT in {simulationResults.overtime.pct.toFixed(1)}% of games → {simulationResults.homeTeam} {simulationResults.overtime.homeWinPct.toFixed(0)}% / {simulationResults.awayTeam} {simulationResults.overtime.awayWinPct.toFixed(0)}% / Tie {simulationResults.overtime.tiePct.toFixed(0)}%
+                    </div>
+                  )}
                 </div>
 
                 {/* Spread Analysis */}
@@ -2101,9 +2815,7 @@ const NFLTotalsSimulator = () => {
                       <div className="text-3xl font-bold text-orange-400">
                         {simulationResults.spread.homeCoverPct.toFixed(1)}%
                       </div>
-                      <div className="text-xs text-orange-300 mt-1">
-                        {simulationResults.spread.homeCoverPct > 52.4 ? '✓ +EV vs -110' : ''}
-                      </div>
+                      <BetValue bet={simulationResults.pricing.spread.home} method={devigMethod} />
                     </div>
                     <div className="bg-gradient-to-br from-purple-600/20 to-purple-800/20 p-4 rounded-lg border border-purple-600/30">
                       <div className="text-sm text-purple-300 mb-1">
@@ -2112,9 +2824,7 @@ const NFLTotalsSimulator = () => {
                       <div className="text-3xl font-bold text-purple-400">
                         {simulationResults.spread.awayCoverPct.toFixed(1)}%
                       </div>
-                      <div className="text-xs text-purple-300 mt-1">
-                        {simulationResults.spread.awayCoverPct > 52.4 ? '✓ +EV vs -110' : ''}
-                      </div>
+                      <BetValue bet={simulationResults.pricing.spread.away} method={devigMethod} />
                     </div>
                     <div className="bg-gradient-to-br from-slate-600/20 to-slate-800/20 p-4 rounded-lg border border-slate-600/30">
                       <div className="text-sm text-slate-300 mb-1">Push</div>
@@ -2144,30 +2854,40 @@ const NFLTotalsSimulator = () => {
                   <div>
                     <div className="text-sm text-slate-400 mb-3">Alternative Lines (Home Team Cover %)</div>
                     <div className="grid grid-cols-4 md:grid-cols-6 lg:grid-cols-9 gap-2">
-                      {simulationResults.spread.altLines.map((alt, idx) => (
-                        <div 
-                          key={idx} 
-                          className={`p-2 rounded text-center text-sm ${
-                            alt.coverPct > 52.4 
-                              ? 'bg-green-900/30 border border-green-600/50' 
-                              : alt.coverPct < 47.6 
-                                ? 'bg-red-900/30 border border-red-600/50'
-                                : 'bg-slate-900/50 border border-slate-700'
-                          }`}
-                        >
-                          <div className="text-xs text-slate-400">{alt.line > 0 ? '+' : ''}{alt.line}</div>
-                          <div className={`font-bold ${
-                            alt.coverPct > 52.4 ? 'text-green-400' : alt.coverPct < 47.6 ? 'text-red-400' : 'text-slate-300'
-                          }`}>
-                            {alt.coverPct.toFixed(0)}%
+                      {simulationResults.spread.altLines.map((alt, idx) => {
+                        const { home, away } = simulationResults.pricing.altSpreads[idx];
+                        const tone = home.ev > 0 ? 'home' : away.ev > 0 ? 'away' : null;
+                        return (
+                          <div
+                            key={idx}
+                            className={`p-2 rounded text-center text-sm ${
+                              tone === 'home'
+                                ? 'bg-green-900/30 border border-green-600/50'
+                                : tone === 'away'
+                                  ? 'bg-red-900/30 border border-red-600/50'
+                                  : 'bg-slate-900/50 border border-slate-700'
+                            }`}
+                            title={`${simulationResults.homeTeam} EV ${(home.ev * 100).toFixed(1)}% · ${simulationResults.awayTeam} EV ${(away.ev * 100).toFixed(1)}%`}
+                          >
+                            <div className="text-xs text-slate-400">{alt.line > 0 ? '+' : ''}{alt.line}</div>
+                            <div className={`font-bold ${
+                              tone === 'home' ? 'text-green-400' : tone === 'away' ? 'text-red-400' : 'text-slate-300'
+                            }`}>
+                              {alt.coverPct.toFixed(0)}%
+                            </div>
                           </div>
-                        </div>
-                      ))}
+                        );
+                      })}
                     </div>
                     <div className="text-xs text-slate-500 mt-2">
-                      Green = +EV at -110 (&gt;52.4%) | Red = -EV (&lt;47.6%)
+                      Priced at the entered spread odds (-110 when blank), pushes returned | Green = {simulationResults.homeTeam} side +EV | Red = {simulationResults.awayTeam} side +EV
                     </div>
                   </div>
+
+                  {/* Bought Points */}
+                  <div className="mt-6">
+                    <BuyPointsTable results={simulationResults} />
+                  </div>
                 </div>
 
                 {/* Team Totals Analysis */}
@@ -2186,16 +2906,21 @@ const NFLTotalsSimulator = () => {
                         <div className="bg-gradient-to-br from-green-600/20 to-green-800/20 p-3 rounded border border-green-600/30">
                           <div className="text-xs text-green-300">Over</div>
                           <div className="text-xl font-bold text-green-400">{simulationResults.homeTeamOverUnder.overPct.toFixed(1)}%</div>
+                          <BetValue bet={simulationResults.pricing.homeTeamTotal.over} method={devigMethod} />
                         </div>
                         <div className="bg-gradient-to-br from-red-600/20 to-red-800/20 p-3 rounded border border-red-600/30">
                           <div className="text-xs text-red-300">Under</div>
                           <div className="text-xl font-bold text-red-400">{simulationResults.homeTeamOverUnder.underPct.toFixed(1)}%</div>
+                          <BetValue bet={simulationResults.pricing.homeTeamTotal.under} method={devigMethod} />
                         </div>
                         <div className="bg-slate-900/50 p-3 rounded border border-slate-700">
                           <div className="text-xs text-slate-400">Push</div>
                           <div className="text-xl font-bold text-slate-400">{simulationResults.homeTeamOverUnder.pushPct.toFixed(1)}%</div>
                         </div>
                       </div>
+                      <div className="mt-3">
+                        <LadderTable ladder={simulationResults.homeTeamOverUnder.altLines} marketLine={simulationResults.homeTeamOverUnder.line} />
+                      </div>
                     </div>
                     
                     {/* Away Team Total */}
@@ -2207,20 +2932,87 @@ const NFLTotalsSimulator = () => {
                         <div className="bg-gradient-to-br from-green-600/20 to-green-800/20 p-3 rounded border border-green-600/30">
                           <div className="text-xs text-green-300">Over</div>
                           <div className="text-xl font-bold text-green-400">{simulationResults.awayTeamOverUnder.overPct.toFixed(1)}%</div>
+                          <BetValue bet={simulationResults.pricing.awayTeamTotal.over} method={devigMethod} />
                         </div>
                         <div className="bg-gradient-to-br from-red-600/20 to-red-800/20 p-3 rounded border border-red-600/30">
                           <div className="text-xs text-red-300">Under</div>
                           <div className="text-xl font-bold text-red-400">{simulationResults.awayTeamOverUnder.underPct.toFixed(1)}%</div>
+                          <BetValue bet={simulationResults.pricing.awayTeamTotal.under} method={devigMethod} />
                         </div>
                         <div className="bg-slate-900/50 p-3 rounded border border-slate-700">
                           <div className="text-xs text-slate-400">Push</div>
                           <div className="text-xl font-bold text-slate-400">{simulationResults.awayTeamOverUnder.pushPct.toFixed(1)}%</div>
                         </div>
                       </div>
+                      <div className="mt-3">
+                        <LadderTable ladder={simulationResults.awayTeamOverUnder.altLines} marketLine={simulationResults.awayTeamOverUnder.line} />
+                      </div>
                     </div>
                   </div>
                 </div>
 
+                {/* Halves & Quarters (pre-game only) */}
+                {simulationResults.periods && (
+                  <div className="bg-slate-800 p-6 rounded-lg border border-teal-700/50">
+                    <h3 className="text-xl font-bold mb-4 flex items-center gap-2">
+                      <BarChart3 className="w-6 h-6 text-teal-400" />
+                      First Half & First Quarter
+                    </h3>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                      {[['1st Half', simulationResults.periods.firstHalf], ['1st Quarter', simulationResults.periods.firstQuarter]].map(([label, period]) => (
+                        <div key={label} className="space-y-3">
+                          <div className="flex justify-between items-baseline">
+                            <div className="text-sm text-teal-300 font-semibold">{label}</div>
+                            <div className="text-xs text-slate-400">
+                              Proj: {simulationResults.homeTeam} {period.homeMean.toFixed(1)} - {period.awayMean.toFixed(1)} {simulationResults.awayTeam}
+                            </div>
+                          </div>
+
+                          <div>
+                            <div className="text-xs text-slate-400 mb-1">Total (Line: {period.overUnder.line})</div>
+                            <div className="grid grid-cols-3 gap-2">
+                              <div className="bg-gradient-to-br from-green-600/20 to-green-800/20 p-2 rounded border border-green-600/30">
+                                <div className="text-xs text-green-300">Over</div>
+                                <div className="text-lg font-bold text-green-400">{period.overUnder.overPct.toFixed(1)}%</div>
+                              </div>
+                              <div className="bg-gradient-to-br from-red-600/20 to-red-800/20 p-2 rounded border border-red-600/30">
+                                <div className="text-xs text-red-300">Under</div>
+                                <div className="text-lg font-bold text-red-400">{period.overUnder.underPct.toFixed(1)}%</div>
+                              </div>
+                              <div className="bg-slate-900/50 p-2 rounded border border-slate-700">
+                                <div className="text-xs text-slate-400">Push</div>
+                                <div className="text-lg font-bold text-slate-400">{period.overUnder.pushPct.toFixed(1)}%</div>
+                              </div>
+                            </div>
+                          </div>
+
+                          <div>
+                            <div className="text-xs text-slate-400 mb-1">Spread (Line: {period.spread.line > 0 ? '+' : ''}{period.spread.line})</div>
+                            <div className="grid grid-cols-3 gap-2">
+                              <div className="bg-gradient-to-br from-orange-600/20 to-orange-800/20 p-2 rounded border border-orange-600/30">
+                                <div className="text-xs text-orange-300">{simulationResults.homeTeam} Cover</div>
+                                <div className="text-lg font-bold text-orange-400">{period.spread.homeCoverPct.toFixed(1)}%</div>
+                              </div>
+                              <div className="bg-gradient-to-br from-purple-600/20 to-purple-800/20 p-2 rounded border border-purple-600/30">
+                                <div className="text-xs text-purple-300">{simulationResults.awayTeam} Cover</div>
+                                <div className="text-lg font-bold text-purple-400">{period.spread.awayCoverPct.toFixed(1)}%</div>
+                              </div>
+                              <div className="bg-slate-900/50 p-2 rounded border border-slate-700">
+                                <div className="text-xs text-slate-400">Push</div>
+                                <div className="text-lg font-bold text-slate-400">{period.spread.pushPct.toFixed(1)}%</div>
+                              </div>
+                            </div>
+                          </div>
+
+                          <div className="text-xs text-slate-400">
+                            3-Way: {simulationResults.homeTeam} {period.moneyline.homePct.toFixed(1)}% · Tie {period.moneyline.tiePct.toFixed(1)}% · {simulationResults.awayTeam} {period.moneyline.awayPct.toFixed(1)}%
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Projected Scores */}
                 <div className="bg-slate-800 p-6 rounded-lg border border-slate-700">
                   <h3 className="text-xl font-bold mb-4">Projected Scores</h3>
@@ -2262,6 +3054,12 @@ const NFLTotalsSimulator = () => {
                     </div>
                   </div>
                 </div>
+
+                {/* Correct Score */}
+                <CorrectScorePanel results={simulationResults} />
+
+                {/* Same-Game Parlay */}
+                <ParlayBuilder key={simulationResults.seed} results={simulationResults} />
               </div>
             )}
               </>
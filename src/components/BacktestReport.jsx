@@ -0,0 +1,170 @@
+import React from "react";
+import { summarizeBacktest } from "../engine";
+
+const MARKET_LABELS = {
+  moneyline: 'Moneyline (home win)',
+  spread: 'Spread (home cover)',
+  total: 'Total (over)',
+};
+
+const formatPct = (value) => (value === null ? '—' : `${(value * 100).toFixed(0)}%`);
+
+/**
+ * Record line for a bettable market: W-L-P, win % and ROI at -110
+ */
+const RecordLine = ({ label, record }) => (
+  <div className="bg-slate-900/50 p-3 rounded border border-slate-700">
+    <div className="text-xs text-slate-400">{label}</div>
+    <div className="text-xl font-bold text-white">
+      {record.wins}-{record.losses}-{record.pushes}
+      <span className="text-sm text-slate-400 ml-2">{record.winPct === null ? '—' : `${record.winPct.toFixed(1)}%`}</span>
+    </div>
+    <div className={`text-sm font-semibold ${record.roi > 0 ? 'text-green-400' : 'text-red-400'}`}>
+      ROI {record.roi === null ? '—' : `${record.roi > 0 ? '+' : ''}${record.roi.toFixed(1)}%`}
+      <span className="text-xs text-slate-500 font-normal ml-2">({record.profit > 0 ? '+' : ''}{record.profit.toFixed(2)}u)</span>
+    </div>
+  </div>
+);
+
+/**
+ * Backtest summary: scoring rules and calibration per market over every
+ * graded game, ATS and over/under records above a confidence threshold
+ */
+const BacktestReport = ({ results, minConfidence, onMinConfidenceChange }) => {
+  const graded = results.filter(r => r.grade).map(r => r.grade);
+  const summary = summarizeBacktest(graded, minConfidence);
+  const { spread, total } = summary.markets;
+
+  return (
+    <div className="space-y-6">
+      {/* Records */}
+      <div className="bg-slate-800 rounded-xl p-6 border border-cyan-600/50">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-cyan-400">🧪 Backtest: {summary.games} graded games</h3>
+            <div className="text-xs text-slate-500">
+              Profile: {results[0].profile.name}{results[0].profile.modified ? ' (modified)' : ''} · Baseline: {results[0].profile.baseline}
+            </div>
+          </div>
+          <label className="flex items-center gap-3 text-sm text-slate-400">
+            Min confidence
+            <input
+              type="range"
+              min="0.5"
+              max="0.8"
+              step="0.01"
+              value={minConfidence}
+              onChange={(e) => onMinConfidenceChange(parseFloat(e.target.value))}
+            />
+            <span className="text-white font-semibold w-10">{(minConfidence * 100).toFixed(0)}%</span>
+          </label>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <RecordLine label={`ATS (${spread.record.bets} bets at -110)`} record={spread.record} />
+          <RecordLine label={`Over/Under (${total.record.bets} bets at -110)`} record={total.record} />
+        </div>
+        <div className="text-xs text-slate-500 mt-2">
+          A bet is the side the model gives at least the minimum confidence, graded at the closing line. Break-even at -110 is 52.4%.
+        </div>
+      </div>
+
+      {/* Scoring and calibration */}
+      <div className="bg-slate-800 rounded-xl p-6 border border-slate-700">
+        <h3 className="text-lg font-bold mb-4 text-slate-300">Calibration (all graded games)</h3>
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {Object.entries(summary.markets).map(([key, market]) => (
+            <div key={key}>
+              <div className="text-sm font-semibold text-slate-300 mb-1">{MARKET_LABELS[key]}</div>
+              <div className="text-xs text-slate-400 mb-2">
+                n {market.n} · Brier {market.brier === null ? '—' : market.brier.toFixed(4)} · Log loss {market.logLoss === null ? '—' : market.logLoss.toFixed(4)}
+              </div>
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="border-b border-slate-700 text-slate-400">
+                    <th className="text-left py-1 px-1">Bin</th>
+                    <th className="text-right py-1 px-1">n</th>
+                    <th className="text-right py-1 px-1">Pred</th>
+                    <th className="text-right py-1 px-1">Actual</th>
+                    <th className="py-1 px-1 w-1/3"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {market.calibration.filter(bin => bin.n > 0).map(bin => (
+                    <tr key={bin.lo} className="border-b border-slate-800">
+                      <td className="py-1 px-1 text-slate-400">{formatPct(bin.lo)}-{formatPct(bin.hi)}</td>
+                      <td className="py-1 px-1 text-right text-slate-500">{bin.n}</td>
+                      <td className="py-1 px-1 text-right text-cyan-300">{formatPct(bin.predicted)}</td>
+                      <td className="py-1 px-1 text-right text-white">{formatPct(bin.actual)}</td>
+                      <td className="py-1 px-1">
+                        {/* Bar = observed rate, tick = predicted */}
+                        <div className="relative h-2 bg-slate-700 rounded">
+                          <div className="h-2 bg-cyan-600 rounded" style={{ width: `${bin.actual * 100}%` }}></div>
+                          <div className="absolute top-0 h-2 w-0.5 bg-yellow-400" style={{ left: `${bin.predicted * 100}%` }}></div>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+        <div className="text-xs text-slate-500 mt-3">
+          Probabilities are among decided outcomes (ties and pushes dropped). A coin flip scores Brier 0.25 and log loss 0.693; lower is better.
+          Bars show the observed rate, the yellow tick the average prediction.
+        </div>
+      </div>
+
+      {/* Per game */}
+      <div className="bg-slate-800 rounded-xl p-6 border border-slate-700">
+        <h3 className="text-lg font-bold mb-4 text-slate-300">Games</h3>
+        <div className="max-h-96 overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead className="sticky top-0 bg-slate-800">
+              <tr className="border-b border-slate-700 text-slate-400">
+                <th className="text-left py-1 px-2">Snapshot</th>
+                <th className="text-left py-1 px-2">Matchup</th>
+                <th className="text-center py-1 px-2">Final</th>
+                <th className="text-center py-1 px-2">Spread</th>
+                <th className="text-right py-1 px-2">P(Cover)</th>
+                <th className="text-center py-1 px-2">Total</th>
+                <th className="text-right py-1 px-2">P(Over)</th>
+                <th className="text-right py-1 px-2">P(Win)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((r, idx) => (
+                <tr key={idx} className={`border-b border-slate-800 ${r.error ? 'text-red-400' : ''}`}>
+                  <td className="py-1 px-2 text-slate-500">{r.game.snapshot || '—'}</td>
+                  <td className="py-1 px-2">
+                    <span className="text-orange-400 font-semibold">{r.game.homeTeamName}</span>
+                    <span className="text-slate-500"> vs </span>
+                    <span className="text-purple-400 font-semibold">{r.game.awayTeamName}</span>
+                  </td>
+                  {r.error ? (
+                    <td className="py-1 px-2" colSpan={6}>{r.error}</td>
+                  ) : (
+                    <>
+                      <td className="py-1 px-2 text-center">{r.game.homeScore}-{r.game.awayScore}</td>
+                      <td className="py-1 px-2 text-center text-slate-400">{r.game.spread > 0 ? '+' : ''}{r.game.spread}</td>
+                      <td className={`py-1 px-2 text-right ${r.grade.homeCovered === null ? 'text-slate-500' : r.grade.homeCovered === (r.grade.coverProb >= 0.5) ? 'text-green-400' : 'text-red-400'}`}>
+                        {formatPct(r.grade.coverProb)}
+                      </td>
+                      <td className="py-1 px-2 text-center text-slate-400">{r.game.total}</td>
+                      <td className={`py-1 px-2 text-right ${r.grade.wentOver === null ? 'text-slate-500' : r.grade.wentOver === (r.grade.overProb >= 0.5) ? 'text-green-400' : 'text-red-400'}`}>
+                        {formatPct(r.grade.overProb)}
+                      </td>
+                      <td className="py-1 px-2 text-right text-slate-300">{formatPct(r.grade.winProb)}</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BacktestReport;
@@ -0,0 +1,29 @@
+import React from "react";
+
+/**
+ * Price readout for a side: EV per unit, edge and break-even at the entered
+ * odds, then the market's no-vig probability (chosen method) against the model's
+ */
+const BetValue = ({ bet, method = 'multiplicative' }) => {
+  if (!bet) return <div className="text-xs text-slate-500 mt-1">No price entered</div>;
+
+  const positive = bet.ev > 0;
+  const marketPct = bet.marketFair?.[method];
+  const gap = marketPct === undefined ? null : bet.modelPct - marketPct;
+
+  return (
+    <>
+      <div className={`text-xs mt-1 ${positive ? 'text-green-400 font-semibold' : 'text-slate-400'}`}>
+        {bet.odds > 0 ? '+' : ''}{bet.odds}: EV {positive ? '+' : ''}{(bet.ev * 100).toFixed(1)}% · Edge {bet.edgePct > 0 ? '+' : ''}{bet.edgePct.toFixed(1)}% · BE {bet.breakEvenPct.toFixed(1)}%
+      </div>
+      {gap !== null && (
+        <div className="text-xs text-slate-400">
+          Market {marketPct.toFixed(1)}% vs Model {bet.modelPct.toFixed(1)}%
+          <span className={gap > 0 ? 'text-green-400' : 'text-red-400'}> ({gap > 0 ? '+' : ''}{gap.toFixed(1)})</span>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default BetValue;
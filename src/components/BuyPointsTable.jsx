@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+import { buyPoints } from "../engine";
+
+const formatOdds = (odds) => (Number.isFinite(odds) ? `${odds > 0 ? '+' : ''}${odds}` : '—');
+const formatLine = (line) => `${line > 0 ? '+' : ''}${line}`;
+
+/**
+ * Bought points at the game's own spread: cover/push % per half point and
+ * how much each half point adds (rows through a heavy margin are highlighted)
+ */
+const BuyPointsTable = ({ results }) => {
+  const [side, setSide] = useState('home');
+  const line = side === 'home' ? results.spread.line : -results.spread.line;
+  const rungs = buyPoints(results.correctScore.scores, side, line);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <div className="text-sm text-slate-400">Buying Points</div>
+        <select
+          className="p-1 bg-slate-900 border border-slate-600 rounded text-xs text-white focus:border-yellow-400 focus:outline-none"
+          value={side}
+          onChange={(e) => setSide(e.target.value)}
+        >
+          <option value="home">{results.homeTeam} {formatLine(results.spread.line)}</option>
+          <option value="away">{results.awayTeam} {formatLine(-results.spread.line)}</option>
+        </select>
+      </div>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="border-b border-slate-700 text-slate-400">
+            <th className="text-left py-1 px-2">Line</th>
+            <th className="text-right py-1 px-2">Through</th>
+            <th className="text-right py-1 px-2">Cover</th>
+            <th className="text-right py-1 px-2">Push</th>
+            <th className="text-right py-1 px-2">+Cover</th>
+            <th className="text-right py-1 px-2">−Loss</th>
+            <th className="text-right py-1 px-2">Fair</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rungs.map((rung) => {
+            const gain = rung.winGainPct + rung.lossCutPct;
+            return (
+              <tr
+                key={rung.points}
+                className={`border-b border-slate-800 ${gain >= 3 ? 'bg-yellow-900/30 font-semibold' : ''}`}
+              >
+                <td className="py-1 px-2 text-slate-300">{formatLine(rung.line)}</td>
+                <td className="py-1 px-2 text-right text-slate-400">{rung.keyMargin ?? 'market'}</td>
+                <td className="py-1 px-2 text-right text-green-400">{rung.winPct.toFixed(1)}%</td>
+                <td className="py-1 px-2 text-right text-slate-500">{rung.pushPct.toFixed(1)}%</td>
+                <td className="py-1 px-2 text-right text-yellow-300">
+                  {rung.points > 0 ? `+${rung.winGainPct.toFixed(1)}%` : '—'}
+                </td>
+                <td className="py-1 px-2 text-right text-yellow-300">
+                  {rung.points > 0 ? `${rung.lossCutPct.toFixed(1)}%` : '—'}
+                </td>
+                <td className="py-1 px-2 text-right text-slate-300">{formatOdds(rung.fairOdds)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="text-xs text-slate-500 mt-2">
+        Each row is half a point bought. Onto a whole number, losses by that margin become pushes (−Loss);
+        off it, those pushes become wins (+Cover). Highlighted rows move 3% or more.
+      </div>
+    </div>
+  );
+};
+
+export default BuyPointsTable;
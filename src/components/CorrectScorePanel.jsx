@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import { Database, Grid } from "lucide-react";
+import { downloadFile } from "../download";
+
+/**
+ * Correct Score panel: joint home/away score heatmap plus the top N exact
+ * scores with fair odds, exportable as CSV
+ */
+const CorrectScorePanel = ({ results }) => {
+  const [topN, setTopN] = useState(20);
+  const { scores, matrix, maxHome, maxAway } = results.correctScore;
+  const topScores = scores.slice(0, topN);
+  const maxPct = scores.length ? scores[0].pct : 1;
+  const formatOdds = (odds) => `${odds > 0 ? '+' : ''}${odds}`;
+
+  const exportCorrectScores = () => {
+    const headers = ['Rank', 'Home', 'Away', `${results.homeTeam} Score`, `${results.awayTeam} Score`, 'Probability %', 'Fair Odds'];
+    const rows = topScores.map((s, idx) => [
+      idx + 1,
+      results.homeTeam,
+      results.awayTeam,
+      s.home,
+      s.away,
+      s.pct.toFixed(3),
+      formatOdds(s.fairOdds)
+    ]);
+
+    const csv = [headers, ...rows].map(row => row.join(',')).join('\n');
+    downloadFile(csv, `gamble-tron-correct-score-${results.homeTeam}-${results.awayTeam}-${results.seed}.csv`, 'text/csv');
+  };
+
+  return (
+    <div className="bg-slate-800 p-6 rounded-lg border border-pink-700/50">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold flex items-center gap-2">
+          <Grid className="w-6 h-6 text-pink-400" />
+          Correct Score
+        </h3>
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-slate-400">Top</label>
+          <input
+            type="number"
+            min="1"
+            max={scores.length}
+            className="w-20 p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-pink-400 focus:outline-none"
+            value={topN}
+            onChange={(e) => setTopN(Math.max(1, parseInt(e.target.value) || 1))}
+          />
+          <button
+            onClick={exportCorrectScores}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2 transition-all"
+          >
+            <Database className="w-4 h-4" />
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Heatmap */}
+        <div className="lg:col-span-2 overflow-auto">
+          <div className="text-xs text-slate-400 mb-2">
+            Rows = <span className="text-orange-300">{results.homeTeam}</span> score, columns = <span className="text-purple-300">{results.awayTeam}</span> score
+          </div>
+          <table className="border-collapse text-[9px] leading-none">
+            <thead>
+              <tr>
+                <th className="w-5"></th>
+                {Array.from({ length: maxAway + 1 }, (_, away) => (
+                  <th key={away} className="w-3.5 h-4 text-purple-300 font-normal">{away % 7 === 0 || away % 10 === 3 ? away : ''}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.map((row, home) => (
+                <tr key={home}>
+                  <td className="pr-1 text-right text-orange-300">{home % 7 === 0 || home % 10 === 3 ? home : ''}</td>
+                  {row.map((pct, away) => (
+                    <td
+                      key={away}
+                      className="w-3.5 h-3.5 border border-slate-900/60"
+                      style={{ backgroundColor: pct > 0 ? `rgba(244, 114, 182, ${Math.min(1, 0.08 + pct / maxPct)})` : 'transparent' }}
+                      title={`${results.homeTeam} ${home} - ${away} ${results.awayTeam}: ${pct.toFixed(2)}%`}
+                    ></td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Top N exact scores */}
+        <div className="max-h-[32rem] overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-700 text-slate-400">
+                <th className="text-left py-1 px-1">#</th>
+                <th className="text-center py-1 px-1">Score</th>
+                <th className="text-right py-1 px-1">Prob</th>
+                <th className="text-right py-1 px-1">Fair</th>
+              </tr>
+            </thead>
+            <tbody>
+              {topScores.map((s, idx) => (
+                <tr key={`${s.home}-${s.away}`} className="border-b border-slate-800">
+                  <td className="py-1 px-1 text-slate-500">{idx + 1}</td>
+                  <td className="py-1 px-1 text-center font-semibold">
+                    <span className="text-orange-300">{s.home}</span>
+                    <span className="text-slate-500">-</span>
+                    <span className="text-purple-300">{s.away}</span>
+                  </td>
+                  <td className="py-1 px-1 text-right text-pink-300">{s.pct.toFixed(2)}%</td>
+                  <td className="py-1 px-1 text-right text-slate-400">{formatOdds(s.fairOdds)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CorrectScorePanel;
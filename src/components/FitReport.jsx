@@ -0,0 +1,127 @@
+import React from "react";
+import { FIT_OBJECTIVES, profileToJSON, summarizeCrossValidation } from "../engine";
+import { downloadFile } from "../download";
+
+const formatLoss = (objective, value) =>
+  (value === null ? '—' : objective === 'logloss' ? value.toFixed(4) : value.toFixed(2));
+
+/**
+ * Fitted coefficients against the profile they started from, with
+ * leave-one-week-out results: each week scored by a fit that never saw it
+ */
+const FitReport = ({ results, onLoad }) => {
+  const { full, folds, tag } = results;
+  const { objective } = full;
+  const cv = summarizeCrossValidation(folds);
+  const name = `${tag.name} (fit: ${objective})`;
+  const { label, unit } = FIT_OBJECTIVES[objective];
+
+  const exportProfile = () => {
+    downloadFile(profileToJSON(name, full.params), `${name.replace(/[^\w-]+/g, '_')}.json`, 'application/json');
+  };
+
+  const buttonClass = "bg-slate-700 hover:bg-slate-600 text-white text-xs font-bold py-2 px-3 rounded-lg transition-all";
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-6 border border-emerald-600/50 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-bold text-emerald-400">📐 Fitted Coefficients</h3>
+          <div className="text-xs text-slate-500">
+            {label} · from {tag.name}{tag.modified ? ' (modified)' : ''} · Baseline: {tag.baseline} · {full.evaluations} evaluations
+            {results.skipped > 0 && <span className="text-yellow-400"> · {results.skipped} games unmatched</span>}
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={exportProfile} className={buttonClass}>Export Profile JSON</button>
+          <button
+            onClick={() => onLoad(name, full.params)}
+            className="bg-emerald-600 hover:bg-emerald-700 text-white text-xs font-bold py-2 px-3 rounded-lg transition-all"
+          >
+            Load into Editor
+          </button>
+        </div>
+      </div>
+
+      {/* Losses */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="bg-slate-900/50 p-3 rounded border border-slate-700">
+          <div className="text-xs text-slate-400">In sample ({full.train.n} {objective === 'logloss' ? 'outcomes' : 'games'}) · {unit}</div>
+          <div className="text-xl font-bold text-white">
+            {formatLoss(objective, full.train.baseline)} → {formatLoss(objective, full.train.fitted)}
+          </div>
+        </div>
+        <div className="bg-slate-900/50 p-3 rounded border border-slate-700">
+          <div className="text-xs text-slate-400">Cross-validated by week ({cv.folds} folds) · {unit}</div>
+          {cv.n > 0 ? (
+            <div className="text-xl font-bold text-white">
+              {formatLoss(objective, cv.baseline)} → {formatLoss(objective, cv.fitted)}
+              <span className={`text-sm ml-2 ${cv.improvement > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {cv.improvement > 0 ? '-' : '+'}{Math.abs(cv.improvement).toFixed(1)}%
+              </span>
+            </div>
+          ) : (
+            <div className="text-sm text-slate-500 mt-1">Needs games from at least two snapshots</div>
+          )}
+        </div>
+      </div>
+      <div className="text-xs text-slate-500">
+        Trust the cross-validated number: if held-out weeks don't improve, the fit is chasing noise. Raise the ridge penalty or keep the current profile.
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Coefficients */}
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b border-slate-700 text-slate-400">
+              <th className="text-left py-1 px-2">Coefficient</th>
+              <th className="text-right py-1 px-2">Current</th>
+              <th className="text-right py-1 px-2">Fitted</th>
+            </tr>
+          </thead>
+          <tbody>
+            {full.values.map(({ path, label: fieldLabel, start, fitted }) => (
+              <tr key={path} className="border-b border-slate-800">
+                <td className="py-1 px-2 text-slate-300">{fieldLabel}</td>
+                <td className="py-1 px-2 text-right text-slate-500">{start.toFixed(3)}</td>
+                <td className={`py-1 px-2 text-right ${Math.abs(fitted - start) > 1e-9 ? 'text-emerald-300 font-semibold' : 'text-slate-500'}`}>
+                  {fitted.toFixed(3)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {/* Folds */}
+        {folds.length > 0 && (
+          <table className="w-full text-xs self-start">
+            <thead>
+              <tr className="border-b border-slate-700 text-slate-400">
+                <th className="text-left py-1 px-2">Held-out week</th>
+                <th className="text-right py-1 px-2">n</th>
+                <th className="text-right py-1 px-2">Current</th>
+                <th className="text-right py-1 px-2">Fitted</th>
+              </tr>
+            </thead>
+            <tbody>
+              {folds.map(({ holdout }) => (
+                <tr key={holdout.week} className="border-b border-slate-800">
+                  <td className="py-1 px-2 text-slate-300">{holdout.week || '(loaded database)'}</td>
+                  <td className="py-1 px-2 text-right text-slate-500">{holdout.n}</td>
+                  <td className="py-1 px-2 text-right text-slate-400">{formatLoss(objective, holdout.baseline)}</td>
+                  <td className={`py-1 px-2 text-right ${
+                    holdout.fitted === null ? 'text-slate-500' : holdout.fitted < holdout.baseline ? 'text-green-400' : 'text-red-400'
+                  }`}>
+                    {formatLoss(objective, holdout.fitted)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FitReport;
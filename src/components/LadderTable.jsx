@@ -0,0 +1,41 @@
+import React from "react";
+
+const formatOdds = (odds) => (Number.isFinite(odds) ? `${odds > 0 ? '+' : ''}${odds}` : '—');
+
+/**
+ * Alt over/under ladder: one row per rung with over/under/push % and fair odds
+ * (the market line's rung is highlighted)
+ */
+const LadderTable = ({ ladder, marketLine }) => (
+  <div className="max-h-72 overflow-y-auto">
+    <table className="w-full text-xs">
+      <thead className="sticky top-0 bg-slate-800">
+        <tr className="border-b border-slate-700 text-slate-400">
+          <th className="text-left py-1 px-2">Line</th>
+          <th className="text-right py-1 px-2">Over</th>
+          <th className="text-right py-1 px-2">Under</th>
+          <th className="text-right py-1 px-2">Push</th>
+          <th className="text-right py-1 px-2">Over Fair</th>
+          <th className="text-right py-1 px-2">Under Fair</th>
+        </tr>
+      </thead>
+      <tbody>
+        {ladder.map((rung) => (
+          <tr
+            key={rung.line}
+            className={`border-b border-slate-800 ${rung.line === marketLine ? 'bg-blue-900/30 font-semibold' : ''}`}
+          >
+            <td className="py-1 px-2 text-slate-300">{rung.line}</td>
+            <td className="py-1 px-2 text-right text-green-400">{rung.overPct.toFixed(1)}%</td>
+            <td className="py-1 px-2 text-right text-red-400">{rung.underPct.toFixed(1)}%</td>
+            <td className="py-1 px-2 text-right text-slate-500">{rung.pushPct.toFixed(1)}%</td>
+            <td className="py-1 px-2 text-right text-slate-300">{formatOdds(rung.overFairOdds)}</td>
+            <td className="py-1 px-2 text-right text-slate-300">{formatOdds(rung.underFairOdds)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default LadderTable;
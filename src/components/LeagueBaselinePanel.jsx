@@ -0,0 +1,92 @@
+import React from "react";
+import { BUILT_IN_BASELINE } from "../engine";
+
+const formatValue = (value, percent) => {
+  if (value === null || value === undefined) return '—';
+  return percent ? `${(value * 100).toFixed(1)}%` : value.toFixed(3);
+};
+
+/**
+ * League means/SDs from the uploaded teams against the built-in baseline,
+ * with the choice of which one the CER and pace z-scores use
+ */
+const LeagueBaselinePanel = ({ diff, teamCount, source, onSourceChange }) => {
+  const derivedCount = diff.filter(row => row.derived !== null).length;
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-4 mb-6 border border-blue-600/30">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <div className="text-blue-400 font-bold">📏 League Baseline</div>
+          <p className="text-xs text-slate-500">
+            Means and SDs every team metric is z-scored against ({derivedCount} of {diff.length} metrics found in the upload)
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => onSourceChange('builtin')}
+            className={`text-xs font-bold py-2 px-3 rounded-lg transition-all ${
+              source === 'builtin' ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+            }`}
+          >
+            Built-in ({BUILT_IN_BASELINE})
+          </button>
+          <button
+            onClick={() => onSourceChange('uploaded')}
+            disabled={derivedCount === 0}
+            className={`text-xs font-bold py-2 px-3 rounded-lg transition-all disabled:opacity-40 ${
+              source === 'uploaded' ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+            }`}
+          >
+            Uploaded CSV ({teamCount} teams)
+          </button>
+        </div>
+      </div>
+
+      <details className="mt-3">
+        <summary className="text-xs text-slate-400 cursor-pointer hover:text-slate-300">
+          Compare with built-in baseline
+        </summary>
+        <div className="mt-2 max-h-72 overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead className="sticky top-0 bg-slate-800">
+              <tr className="border-b border-slate-700 text-slate-400">
+                <th className="text-left py-1 px-2">Metric</th>
+                <th className="text-left py-1 px-2">Side</th>
+                <th className="text-right py-1 px-2">Teams</th>
+                <th className="text-right py-1 px-2">Built-in Mean</th>
+                <th className="text-right py-1 px-2">SD</th>
+                <th className="text-right py-1 px-2">Uploaded Mean</th>
+                <th className="text-right py-1 px-2">SD</th>
+                <th className="text-right py-1 px-2">Shift (SDs)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {diff.map(row => (
+                <tr key={row.key} className="border-b border-slate-800">
+                  <td className="py-1 px-2 text-slate-300">{row.key}</td>
+                  <td className="py-1 px-2 text-slate-500">{row.side}</td>
+                  <td className="py-1 px-2 text-right text-slate-500">{row.n}</td>
+                  <td className="py-1 px-2 text-right text-slate-300">{formatValue(row.base, row.percent)}</td>
+                  <td className="py-1 px-2 text-right text-slate-500">{formatValue(row.baseSd, row.percent)}</td>
+                  <td className="py-1 px-2 text-right text-blue-300">{formatValue(row.derived, row.percent)}</td>
+                  <td className="py-1 px-2 text-right text-slate-500">{formatValue(row.derivedSd, row.percent)}</td>
+                  <td className={`py-1 px-2 text-right font-semibold ${
+                    row.shiftSd === null ? 'text-slate-600' : Math.abs(row.shiftSd) >= 0.5 ? 'text-yellow-400' : 'text-slate-400'
+                  }`}>
+                    {row.shiftSd === null ? 'built-in kept' : `${row.shiftSd > 0 ? '+' : ''}${row.shiftSd.toFixed(2)}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="text-xs text-slate-500 mt-2">
+          Metrics fewer than 8 teams report, or with no spread, keep the built-in mean and SD. Shifts of half an SD or more are highlighted.
+        </div>
+      </details>
+    </div>
+  );
+};
+
+export default LeagueBaselinePanel;
@@ -0,0 +1,290 @@
+import React, { useState } from "react";
+import { Settings } from "lucide-react";
+import {
+  DEFAULT_PARAMS,
+  DEFAULT_PROFILE_NAME,
+  PARAM_FIELDS,
+  getParam,
+  setParam,
+  validateParams,
+  profileToJSON,
+  profileFromJSON,
+  parseHfaTable,
+  parseScoreTable,
+} from "../engine";
+import { downloadFile } from "../download";
+
+const STORAGE_KEY = 'nfl-sim-param-profiles';
+
+// Saved profiles live in localStorage as { [name]: profile JSON }
+const readSaved = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error("Could not read saved parameter profiles:", error);
+    return {};
+  }
+};
+
+/**
+ * Editable model coefficients with named profiles: save/load in the browser,
+ * export/import as JSON files. `profile` is { name, params, modified }.
+ */
+const ParamProfileEditor = ({ profile, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [saved, setSaved] = useState(readSaved);
+  const [drafts, setDrafts] = useState({});   // Raw input text while typing
+  const [profileError, setProfileError] = useState(null);
+
+  const errors = validateParams(profile.params);
+  const errorCount = Object.keys(errors).length;
+  const name = profile.name.trim() || DEFAULT_PROFILE_NAME;
+
+  const load = (loaded) => {
+    setDrafts({});
+    setProfileError(null);
+    onChange({ ...loaded, modified: false });
+  };
+
+  const updateField = (path, text) => {
+    setDrafts({ ...drafts, [path]: text });
+    onChange({ ...profile, params: setParam(profile.params, path, parseFloat(text)), modified: true });
+  };
+
+  const saveProfile = () => {
+    if (errorCount > 0) {
+      setProfileError("Fix the highlighted values before saving");
+      return;
+    }
+    const next = { ...saved, [name]: profileToJSON(name, profile.params) };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    setSaved(next);
+    setProfileError(null);
+    onChange({ ...profile, name, modified: false });
+  };
+
+  const deleteProfile = (savedName) => {
+    const { [savedName]: _removed, ...rest } = saved;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rest));
+    setSaved(rest);
+  };
+
+  const loadSaved = (savedName) => {
+    try {
+      load(profileFromJSON(saved[savedName]));
+    } catch (error) {
+      setProfileError(error.message);
+    }
+  };
+
+  const exportProfile = () => {
+    downloadFile(profileToJSON(name, profile.params), `${name.replace(/[^\w-]+/g, '_')}.json`, 'application/json');
+  };
+
+  const importProfile = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        load(profileFromJSON(e.target.result));
+      } catch (error) {
+        setProfileError(error.message);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const importHfaTable = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        onChange({ ...profile, params: { ...profile.params, HFA_BY_TEAM: parseHfaTable(e.target.result) }, modified: true });
+        setProfileError(null);
+      } catch (error) {
+        setProfileError(error.message);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const setScoreTable = (table) => onChange({
+    ...profile,
+    params: setParam(profile.params, 'scoreDistributions.table', table),
+    modified: true,
+  });
+
+  const importScoreTable = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setScoreTable(parseScoreTable(e.target.result));
+        setProfileError(null);
+      } catch (error) {
+        setProfileError(error.message);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const teamHfa = Object.entries(profile.params.HFA_BY_TEAM || {});
+  const scoreTable = Object.entries(profile.params.scoreDistributions?.table || {});
+  const scoreCount = scoreTable.reduce((sum, [, count]) => sum + count, 0);
+  const scoreMean = scoreCount > 0 ? scoreTable.reduce((sum, [points, count]) => sum + points * count, 0) / scoreCount : null;
+
+  const buttonClass = "bg-slate-700 hover:bg-slate-600 text-white text-xs py-2 px-3 rounded-lg transition-all";
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-4 mb-6 border border-blue-700/50">
+      <button onClick={() => setOpen(!open)} className="w-full flex items-center justify-between">
+        <div className="flex items-center gap-2 text-blue-400 font-bold">
+          <Settings className="w-5 h-5" />
+          Model Parameters
+        </div>
+        <div className="text-xs text-slate-400">
+          Profile: <span className="text-white font-semibold">{name}</span>
+          {profile.modified && <span className="text-yellow-400"> (modified)</span>}
+          {errorCount > 0 && <span className="text-red-400"> · {errorCount} invalid</span>}
+          <span className="ml-2">{open ? '▲' : '▼'}</span>
+        </div>
+      </button>
+
+      {open && (
+        <div className="mt-4 space-y-4">
+          {/* Profile management */}
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Profile Name</label>
+              <input
+                type="text"
+                className="w-48 p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-blue-400 focus:outline-none"
+                value={profile.name}
+                onChange={(e) => onChange({ ...profile, name: e.target.value })}
+              />
+            </div>
+            <button onClick={saveProfile} className="bg-blue-600 hover:bg-blue-700 text-white text-xs font-bold py-2 px-3 rounded-lg transition-all">
+              Save
+            </button>
+            <button onClick={exportProfile} className={buttonClass}>Export JSON</button>
+            <label className={`${buttonClass} cursor-pointer`}>
+              Import JSON
+              <input type="file" accept=".json,application/json" className="hidden" onChange={importProfile} />
+            </label>
+            <button onClick={() => load({ name: DEFAULT_PROFILE_NAME, params: DEFAULT_PARAMS })} className={buttonClass}>
+              Reset to Defaults
+            </button>
+          </div>
+
+          {Object.keys(saved).length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {Object.keys(saved).map(savedName => (
+                <div key={savedName} className="flex items-center gap-1 bg-slate-900 border border-slate-600 rounded-lg px-2 py-1 text-xs">
+                  <button onClick={() => loadSaved(savedName)} className="text-blue-300 hover:text-blue-200">{savedName}</button>
+                  <button onClick={() => deleteProfile(savedName)} className="text-slate-500 hover:text-red-400" title="Delete">✕</button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {profileError && <div className="text-sm text-red-400">{profileError}</div>}
+
+          {/* Coefficients */}
+          {PARAM_FIELDS.map(({ group, fields }) => (
+            <div key={group}>
+              <div className="text-sm text-slate-400 mb-2">{group}</div>
+              <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3">
+                {fields.map(({ path, label, min, max, step }) => {
+                  const value = getParam(profile.params, path);
+                  // Keep the typed text only while it still matches the value (a load or reuse replaces it)
+                  const draft = drafts[path];
+                  const parsed = parseFloat(draft);
+                  const shown = draft !== undefined && (parsed === value || (Number.isNaN(parsed) && !Number.isFinite(value)))
+                    ? draft
+                    : (Number.isFinite(value) ? value : '');
+                  return (
+                    <div key={path}>
+                      <label className="block text-xs text-slate-500 mb-1 truncate" title={`${path} (${min} to ${max})`}>{label}</label>
+                      <input
+                        type="number"
+                        step={step}
+                        className={`w-full p-1 bg-slate-900 border rounded text-sm text-white focus:outline-none ${
+                          errors[path] ? 'border-red-500' : 'border-slate-600 focus:border-blue-400'
+                        }`}
+                        value={shown}
+                        onChange={(e) => updateField(path, e.target.value)}
+                      />
+                      {errors[path] && <div className="text-[10px] text-red-400">{errors[path]}</div>}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+
+          {/* Per-team home field advantage */}
+          <div>
+            <div className="flex flex-wrap items-center gap-3 mb-2">
+              <div className="text-sm text-slate-400">Team Home Field Advantage</div>
+              <label className={`${buttonClass} cursor-pointer`}>
+                Import HFA CSV
+                <input type="file" accept=".csv" className="hidden" onChange={importHfaTable} />
+              </label>
+              {teamHfa.length > 0 && (
+                <button
+                  onClick={() => onChange({ ...profile, params: { ...profile.params, HFA_BY_TEAM: {} }, modified: true })}
+                  className={buttonClass}
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+            {teamHfa.length > 0 ? (
+              <div className="flex flex-wrap gap-2">
+                {teamHfa.map(([team, value]) => (
+                  <span
+                    key={team}
+                    className={`bg-slate-900 border rounded px-2 py-1 text-xs ${errors[`HFA_BY_TEAM.${team}`] ? 'border-red-500 text-red-400' : 'border-slate-600 text-slate-300'}`}
+                  >
+                    {team} <span className="text-white font-semibold">{value > 0 ? '+' : ''}{value}</span>
+                  </span>
+                ))}
+              </div>
+            ) : (
+              <div className="text-xs text-slate-500">
+                Every team uses HOME_FIELD_ADV. Import a CSV of Team, HFA (points) to give teams their own; an HFA column in the team database takes precedence.
+              </div>
+            )}
+          </div>
+
+          {/* Empirical score table */}
+          <div>
+            <div className="flex flex-wrap items-center gap-3 mb-2">
+              <div className="text-sm text-slate-400">Empirical Score Table</div>
+              <label className={`${buttonClass} cursor-pointer`}>
+                Import Score CSV
+                <input type="file" accept=".csv" className="hidden" onChange={importScoreTable} />
+              </label>
+              {scoreTable.length > 0 && (
+                <button onClick={() => setScoreTable({})} className={buttonClass}>Clear</button>
+              )}
+            </div>
+            <div className="text-xs text-slate-500">
+              {scoreTable.length > 0
+                ? <>{scoreCount} team scores over {scoreTable.length} distinct values, mean {scoreMean.toFixed(1)}. Used by the Empirical table score distribution.</>
+                : <>No table. Import a CSV of Score, Count, or build one from past games in Backtest mode, to use the Empirical table score distribution.</>}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ParamProfileEditor;
@@ -0,0 +1,201 @@
+import React, { useState } from "react";
+import { Layers } from "lucide-react";
+import { priceParlay } from "../engine";
+
+const formatOdds = (odds) => (Number.isFinite(odds) ? `${odds > 0 ? '+' : ''}${odds}` : '—');
+
+const SIDES = {
+  spread: ['home', 'away'],
+  moneyline: ['home', 'away'],
+  total: ['over', 'under'],
+  homeTeamTotal: ['over', 'under'],
+  awayTeamTotal: ['over', 'under'],
+};
+
+/**
+ * Same-game parlay builder priced from the joint simulated score distribution
+ */
+const ParlayBuilder = ({ results }) => {
+  const [legs, setLegs] = useState([]);
+  const [draft, setDraft] = useState({ market: 'spread', side: 'home', line: results.spread.line });
+  const [parlayOdds, setParlayOdds] = useState('');
+
+  const marketLabels = {
+    spread: 'Spread',
+    moneyline: 'Moneyline',
+    total: 'Game Total',
+    homeTeamTotal: `${results.homeTeam} Total`,
+    awayTeamTotal: `${results.awayTeam} Total`,
+  };
+
+  // Market line for a side, so a new leg starts from the posted number
+  const defaultLine = (market, side) => {
+    if (market === 'spread') return side === 'home' ? results.spread.line : -results.spread.line;
+    if (market === 'total') return results.overUnder.line;
+    if (market === 'homeTeamTotal') return results.homeTeamOverUnder.line;
+    if (market === 'awayTeamTotal') return results.awayTeamOverUnder.line;
+    return null;
+  };
+
+  const describeLeg = (leg) => {
+    const team = leg.side === 'home' ? results.homeTeam : results.awayTeam;
+    if (leg.market === 'moneyline') return `${team} ML`;
+    if (leg.market === 'spread') return `${team} ${formatOdds(leg.line)}`;
+    return `${marketLabels[leg.market]} ${leg.side === 'over' ? 'Over' : 'Under'} ${leg.line}`;
+  };
+
+  const updateDraft = (market, side) => setDraft({ market, side, line: defaultLine(market, side) });
+
+  const addLeg = () => {
+    if (draft.market !== 'moneyline' && !Number.isFinite(draft.line)) return;
+    setLegs([...legs, draft]);
+  };
+
+  const parlay = legs.length > 0
+    ? priceParlay(results.correctScore.scores, legs, parseFloat(parlayOdds))
+    : null;
+
+  return (
+    <div className="bg-slate-800 p-6 rounded-lg border border-indigo-700/50">
+      <h3 className="text-xl font-bold mb-4 flex items-center gap-2">
+        <Layers className="w-6 h-6 text-indigo-400" />
+        Same-Game Parlay
+      </h3>
+
+      {/* Add leg */}
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">Market</label>
+          <select
+            className="p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-indigo-400 focus:outline-none"
+            value={draft.market}
+            onChange={(e) => updateDraft(e.target.value, SIDES[e.target.value][0])}
+          >
+            {Object.keys(SIDES).map(m => <option key={m} value={m}>{marketLabels[m]}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">Side</label>
+          <select
+            className="p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-indigo-400 focus:outline-none"
+            value={draft.side}
+            onChange={(e) => updateDraft(draft.market, e.target.value)}
+          >
+            {SIDES[draft.market].map(side => (
+              <option key={side} value={side}>
+                {side === 'home' ? results.homeTeam : side === 'away' ? results.awayTeam : side === 'over' ? 'Over' : 'Under'}
+              </option>
+            ))}
+          </select>
+        </div>
+        {draft.market !== 'moneyline' && (
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Line</label>
+            <input
+              type="number"
+              step="0.5"
+              className="w-24 p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-indigo-400 focus:outline-none"
+              value={Number.isFinite(draft.line) ? draft.line : ''}
+              onChange={(e) => setDraft({ ...draft, line: parseFloat(e.target.value) })}
+            />
+          </div>
+        )}
+        <button
+          onClick={addLeg}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg text-sm transition-all"
+        >
+          Add Leg
+        </button>
+        {legs.length > 0 && (
+          <button
+            onClick={() => setLegs([])}
+            className="bg-slate-700 hover:bg-slate-600 text-white py-2 px-4 rounded-lg text-sm transition-all"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {parlay ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Legs */}
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-700 text-slate-400">
+                <th className="text-left py-1 px-2">Leg</th>
+                <th className="text-right py-1 px-2">Win</th>
+                <th className="text-right py-1 px-2">Push</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {parlay.legs.map((leg, idx) => (
+                <tr key={idx} className="border-b border-slate-800">
+                  <td className="py-1 px-2 font-semibold">{describeLeg(leg)}</td>
+                  <td className="py-1 px-2 text-right text-indigo-300">{leg.winPct.toFixed(1)}%</td>
+                  <td className="py-1 px-2 text-right text-slate-500">{leg.pushPct.toFixed(1)}%</td>
+                  <td className="py-1 px-2 text-right">
+                    <button
+                      onClick={() => setLegs(legs.filter((_, i) => i !== idx))}
+                      className="text-xs text-red-400 hover:text-red-300"
+                    >
+                      remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {/* Parlay price */}
+          <div className="space-y-3">
+            <div className="grid grid-cols-3 gap-2">
+              <div className="bg-indigo-900/30 p-3 rounded border border-indigo-600/30">
+                <div className="text-xs text-indigo-300">Joint (simulated)</div>
+                <div className="text-2xl font-bold text-indigo-400">{parlay.jointPct.toFixed(1)}%</div>
+                <div className="text-xs text-slate-400">Fair {formatOdds(parlay.fairOdds)}</div>
+              </div>
+              <div className="bg-slate-900/50 p-3 rounded border border-slate-700">
+                <div className="text-xs text-slate-400">Independent</div>
+                <div className="text-2xl font-bold text-slate-300">{parlay.independentPct.toFixed(1)}%</div>
+                <div className="text-xs text-slate-400">
+                  Lift {parlay.correlationLift !== null ? `×${parlay.correlationLift.toFixed(2)}` : '—'}
+                </div>
+              </div>
+              <div className="bg-slate-900/50 p-3 rounded border border-slate-700">
+                <div className="text-xs text-slate-400">Void (leg push)</div>
+                <div className="text-2xl font-bold text-slate-400">{parlay.voidPct.toFixed(1)}%</div>
+              </div>
+            </div>
+
+            <div className="flex items-center gap-3">
+              <label className="text-sm text-slate-400">Parlay price</label>
+              <input
+                type="number"
+                step="5"
+                className="w-28 p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm focus:border-indigo-400 focus:outline-none"
+                value={parlayOdds}
+                onChange={(e) => setParlayOdds(e.target.value)}
+                placeholder="+264"
+              />
+            </div>
+            {parlay.bet && (
+              <div className={`text-sm ${parlay.bet.ev > 0 ? 'text-green-400 font-semibold' : 'text-slate-400'}`}>
+                EV {parlay.bet.ev > 0 ? '+' : ''}{(parlay.bet.ev * 100).toFixed(1)}% · Edge {parlay.bet.edgePct > 0 ? '+' : ''}{parlay.bet.edgePct.toFixed(1)}% · BE {parlay.bet.breakEvenPct.toFixed(1)}%
+              </div>
+            )}
+            <p className="text-xs text-slate-500">
+              Joint = every leg wins in the same simulated game. Independent = product of the leg win rates,
+              the number a book pricing the legs separately would use. A pushed leg voids down the parlay;
+              for EV it is treated as a refund.
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className="text-sm text-slate-500">Add legs to price a parlay from the simulated games.</div>
+      )}
+    </div>
+  );
+};
+
+export default ParlayBuilder;
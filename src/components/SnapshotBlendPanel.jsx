@@ -0,0 +1,76 @@
+import React from "react";
+import { blendWeights } from "../engine";
+
+/**
+ * Loaded team databases (season to date, last N games, ...) and the weight
+ * each gets in the blended team rows. `snapshots` is [{ name, teams, weight }].
+ */
+const SnapshotBlendPanel = ({ snapshots, onChange, onUpload }) => {
+  const shares = new Map(blendWeights(snapshots).map(({ name, share }) => [name, share]));
+
+  const update = (name, weight) =>
+    onChange(snapshots.map(snapshot => (snapshot.name === name ? { ...snapshot, weight } : snapshot)));
+  const remove = (name) => onChange(snapshots.filter(snapshot => snapshot.name !== name));
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-4 mb-6 border border-cyan-600/30">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <div className="text-cyan-400 font-bold">🗂️ Team Snapshots</div>
+          <p className="text-xs text-slate-500">
+            Every metric is the weighted mean of the snapshots below before the ratings and pace are computed
+          </p>
+        </div>
+        <label className="bg-slate-700 hover:bg-slate-600 text-white text-xs py-2 px-3 rounded-lg transition-all cursor-pointer">
+          Add Snapshot CSV
+          <input type="file" className="hidden" accept=".csv" multiple onChange={onUpload} />
+        </label>
+      </div>
+
+      <table className="w-full text-xs mt-3">
+        <thead>
+          <tr className="border-b border-slate-700 text-slate-400">
+            <th className="text-left py-1 px-2">Snapshot</th>
+            <th className="text-right py-1 px-2">Teams</th>
+            <th className="text-left py-1 px-2">Weight</th>
+            <th className="text-right py-1 px-2">Share</th>
+            <th className="py-1 px-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {snapshots.map(({ name, teams, weight }) => (
+            <tr key={name} className="border-b border-slate-800">
+              <td className="py-1 px-2 text-white font-semibold">{name}</td>
+              <td className="py-1 px-2 text-right text-slate-400">{teams.length}</td>
+              <td className="py-1 px-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  className="w-20 p-1 bg-slate-900 border border-slate-600 rounded text-white text-xs focus:border-cyan-400 focus:outline-none"
+                  value={weight}
+                  onChange={(e) => update(name, e.target.value)}
+                />
+              </td>
+              <td className={`py-1 px-2 text-right ${shares.has(name) ? 'text-cyan-300' : 'text-slate-600'}`}>
+                {((shares.get(name) || 0) * 100).toFixed(0)}%
+              </td>
+              <td className="py-1 px-2 text-right">
+                {snapshots.length > 1 && (
+                  <button onClick={() => remove(name)} className="text-slate-500 hover:text-red-400" title="Remove">✕</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {snapshots.length > 1 && (
+        <div className="text-xs text-slate-500 mt-2">
+          Weights are relative. A team or cell missing from a snapshot is blended over the others; with every weight at 0 the snapshots count equally.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotBlendPanel;
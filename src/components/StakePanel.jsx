@@ -0,0 +1,70 @@
+import React from "react";
+
+const formatOdds = (odds) => `${odds > 0 ? '+' : ''}${odds}`;
+
+/**
+ * Recommended stake for the +EV side of each market in one game
+ */
+const StakePanel = ({ results, stakes }) => {
+  const { homeTeam, awayTeam } = results;
+  const rows = [
+    ['total', 'Game Total', (side) => `${side === 'over' ? 'Over' : 'Under'} ${results.overUnder.line}`],
+    ['spread', 'Spread', (side) => side === 'home'
+      ? `${homeTeam} ${formatOdds(results.spread.line)}`
+      : `${awayTeam} ${formatOdds(-results.spread.line)}`],
+    ['moneyline', 'Moneyline', (side) => (side === 'home' ? homeTeam : awayTeam)],
+    ['homeTeamTotal', `${homeTeam} Total`, (side) => `${side === 'over' ? 'Over' : 'Under'} ${results.homeTeamOverUnder.line}`],
+    ['awayTeamTotal', `${awayTeam} Total`, (side) => `${side === 'over' ? 'Over' : 'Under'} ${results.awayTeamOverUnder.line}`],
+  ];
+  const game = stakes.games[0];
+
+  return (
+    <div className="bg-slate-800 p-6 rounded-lg border border-emerald-700/50">
+      <div className="flex justify-between items-baseline mb-4">
+        <h3 className="text-xl font-bold">💰 Recommended Stakes</h3>
+        <div className="text-sm text-slate-400">
+          Total: <span className="text-emerald-400 font-bold">${stakes.totalStake.toFixed(2)}</span>
+          {stakes.slateScale < 1 && <span className="text-yellow-400"> (scaled to slate cap)</span>}
+        </div>
+      </div>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-slate-700 text-slate-400">
+            <th className="text-left py-2 px-2">Market</th>
+            <th className="text-left py-2 px-2">Bet</th>
+            <th className="text-right py-2 px-2">Odds</th>
+            <th className="text-right py-2 px-2">EV</th>
+            <th className="text-right py-2 px-2">Full Kelly</th>
+            <th className="text-right py-2 px-2">Stake</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([market, label, describe]) => {
+            const pick = game[market];
+            return (
+              <tr key={market} className="border-b border-slate-800">
+                <td className="py-2 px-2 text-slate-300">{label}</td>
+                {pick ? (
+                  <>
+                    <td className="py-2 px-2 font-semibold">{describe(pick.side)}</td>
+                    <td className="py-2 px-2 text-right text-slate-400">{formatOdds(pick.bet.odds)}</td>
+                    <td className="py-2 px-2 text-right text-green-400">+{(pick.bet.ev * 100).toFixed(1)}%</td>
+                    <td className="py-2 px-2 text-right text-slate-400">{(pick.kelly * 100).toFixed(1)}%</td>
+                    <td className="py-2 px-2 text-right font-bold text-emerald-400">
+                      ${pick.stake.toFixed(2)}
+                      {pick.capped && <span className="text-xs text-yellow-400 ml-1">capped</span>}
+                    </td>
+                  </>
+                ) : (
+                  <td className="py-2 px-2 text-slate-500" colSpan={5}>No +EV side at the entered odds</td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default StakePanel;
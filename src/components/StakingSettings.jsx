@@ -0,0 +1,79 @@
+import React from "react";
+
+/**
+ * Bankroll, Kelly multiplier and exposure caps shared by single-game and batch staking
+ */
+const StakingSettings = ({ staking, onChange }) => {
+  const update = (key) => (e) => onChange({ ...staking, [key]: parseFloat(e.target.value) || 0 });
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-4 mb-6 border border-emerald-700/50">
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-4 items-end">
+        <div className="col-span-2 md:col-span-1">
+          <div className="text-emerald-400 font-bold">💰 Bankroll & Staking</div>
+          <p className="text-xs text-slate-500">Kelly on simulated win/push/loss at the entered odds</p>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-400 mb-1">Bankroll ($)</label>
+          <input
+            type="number"
+            min="0"
+            step="100"
+            className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-emerald-400 focus:outline-none"
+            value={staking.bankroll}
+            onChange={update('bankroll')}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-400 mb-1">Kelly Multiplier</label>
+          <select
+            className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-emerald-400 focus:outline-none"
+            value={staking.kellyMultiplier}
+            onChange={update('kellyMultiplier')}
+          >
+            <option value={1}>Full Kelly</option>
+            <option value={0.5}>Half Kelly</option>
+            <option value={0.25}>Quarter Kelly</option>
+            <option value={0.125}>Eighth Kelly</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-400 mb-1">Max per Bet (%)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-emerald-400 focus:outline-none"
+            value={staking.maxBetPct}
+            onChange={update('maxBetPct')}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-400 mb-1">Max per Game (%)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-emerald-400 focus:outline-none"
+            value={staking.maxGamePct}
+            onChange={update('maxGamePct')}
+            title="Picks on one game ride on the same score, so they share this cap"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-400 mb-1">Max per Slate (%)</label>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            className="w-full p-2 bg-slate-900 border border-slate-600 rounded-lg text-white focus:border-emerald-400 focus:outline-none"
+            value={staking.maxSlatePct}
+            onChange={update('maxSlatePct')}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StakingSettings;
@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+import {
+  QB_PRESETS,
+  EMPTY_ADJUSTMENT,
+  adjustmentDeltas,
+  adjustmentsToJSON,
+  adjustmentsFromJSON,
+  findValue,
+  LEAGUE_METRICS,
+} from "../engine";
+import { downloadFile } from "../download";
+
+const DELTA_INPUTS = [
+  { field: 'offPPD', label: 'Off PPD Δ', step: '0.05' },
+  { field: 'offEPA', label: 'Off EPA Δ', step: '0.01' },
+  { field: 'defPPD', label: 'Def PPD Δ', step: '0.05' },
+  { field: 'defEPA', label: 'Def EPA Δ', step: '0.01' },
+];
+
+const SHOWN_METRICS = ['PPD', 'EPA', 'PPD_def', 'EPA_def'];
+
+/**
+ * Season value → adjusted value for the metrics an adjustment moves
+ */
+const effectOf = (team, adjustment) => {
+  const deltas = adjustmentDeltas(adjustment);
+  return SHOWN_METRICS.filter(key => deltas[key]).map(key => {
+    const { columns } = LEAGUE_METRICS.find(metric => metric.key === key);
+    const season = parseFloat(findValue(team, columns));
+    return { key, season, adjusted: Number.isFinite(season) ? season + deltas[key] : null, delta: deltas[key] };
+  });
+};
+
+/**
+ * Per-team injury and QB overrides on top of the uploaded stats, with
+ * export/import as JSON so a set can be kept with its slate.
+ * `adjustments` is { [TEAM]: adjustment }, keyed by upper-case team name.
+ */
+const TeamAdjustmentsPanel = ({ teams, adjustments, onChange }) => {
+  const [importError, setImportError] = useState(null);
+  const keyOf = (team) => team.Team.trim().toUpperCase();
+  const adjustedTeams = teams.filter(team => adjustments[keyOf(team)]);
+  const unadjusted = teams.filter(team => !adjustments[keyOf(team)]);
+
+  const update = (key, patch) => onChange({ ...adjustments, [key]: { ...adjustments[key], ...patch } });
+  const remove = (key) => {
+    const { [key]: _removed, ...rest } = adjustments;
+    onChange(rest);
+  };
+
+  const exportAdjustments = () => {
+    downloadFile(adjustmentsToJSON(adjustments), `team-adjustments-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+  };
+
+  const importAdjustments = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        onChange(adjustmentsFromJSON(e.target.result));
+        setImportError(null);
+      } catch (error) {
+        setImportError(error.message);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const buttonClass = "bg-slate-700 hover:bg-slate-600 text-white text-xs py-2 px-3 rounded-lg transition-all";
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-4 mb-6 border border-rose-600/30">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <div className="text-rose-400 font-bold">🩹 Team Adjustments</div>
+          <p className="text-xs text-slate-500">
+            Injury and QB changes applied to the season stats before the ratings; used by single-game and batch runs and kept in this browser
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <select
+            className="p-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-xs focus:border-rose-400 focus:outline-none"
+            value=""
+            onChange={(e) => e.target.value && update(e.target.value, EMPTY_ADJUSTMENT)}
+          >
+            <option value="">Add team...</option>
+            {unadjusted.map(team => (
+              <option key={team.Team} value={keyOf(team)}>{team.Team}</option>
+            ))}
+          </select>
+          {adjustedTeams.length > 0 && (
+            <>
+              <button onClick={exportAdjustments} className={buttonClass}>Export JSON</button>
+              <button onClick={() => onChange({})} className={buttonClass}>Clear All</button>
+            </>
+          )}
+          <label className={`${buttonClass} cursor-pointer`}>
+            Import JSON
+            <input type="file" accept=".json,application/json" className="hidden" onChange={importAdjustments} />
+          </label>
+        </div>
+      </div>
+      {importError && <div className="text-xs text-red-400 mt-2">{importError}</div>}
+
+      {adjustedTeams.length > 0 && (
+        <div className="mt-3 overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="border-b border-slate-700 text-slate-400">
+                <th className="text-left py-1 px-2">Team</th>
+                <th className="text-left py-1 px-2">Quarterback</th>
+                {DELTA_INPUTS.map(({ field, label }) => (
+                  <th key={field} className="text-left py-1 px-2">{label}</th>
+                ))}
+                <th className="text-left py-1 px-2">Season → Adjusted</th>
+                <th className="py-1 px-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {adjustedTeams.map(team => {
+                const key = keyOf(team);
+                const adjustment = adjustments[key];
+                return (
+                  <tr key={key} className="border-b border-slate-800">
+                    <td className="py-1 px-2 text-white font-semibold">{team.Team}</td>
+                    <td className="py-1 px-2">
+                      <select
+                        className="p-1 bg-slate-900 border border-slate-600 rounded text-white text-xs focus:border-rose-400 focus:outline-none"
+                        value={adjustment.qb}
+                        onChange={(e) => update(key, { qb: e.target.value })}
+                      >
+                        {Object.entries(QB_PRESETS).map(([preset, { label }]) => (
+                          <option key={preset} value={preset}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    {DELTA_INPUTS.map(({ field, step }) => (
+                      <td key={field} className="py-1 px-2">
+                        <input
+                          type="number"
+                          step={step}
+                          className="w-20 p-1 bg-slate-900 border border-slate-600 rounded text-white text-xs focus:border-rose-400 focus:outline-none"
+                          value={adjustment[field]}
+                          onChange={(e) => update(key, { [field]: e.target.value })}
+                          placeholder="0"
+                        />
+                      </td>
+                    ))}
+                    <td className="py-1 px-2 text-slate-400">
+                      {effectOf(team, adjustment).map(({ key: metric, season, adjusted, delta }) => (
+                        <div key={metric}>
+                          {metric}:{' '}
+                          {adjusted === null
+                            ? <span className="text-rose-300">league {delta > 0 ? '+' : ''}{delta.toFixed(2)}</span>
+                            : <>{season.toFixed(2)} → <span className="text-rose-300">{adjusted.toFixed(2)}</span></>}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="py-1 px-2 text-right">
+                      <button onClick={() => remove(key)} className="text-slate-500 hover:text-red-400" title="Remove">✕</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="text-xs text-slate-500 mt-2">
+            Defensive deltas are points and EPA allowed: positive makes the defense worse. QB presets lower offensive PPD, EPA/play and success rate.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TeamAdjustmentsPanel;
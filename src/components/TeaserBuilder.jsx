@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import { Layers } from "lucide-react";
+import { TEASER_POINTS, priceTeaser } from "../engine";
+
+const formatOdds = (odds) => (Number.isFinite(odds) ? `${odds > 0 ? '+' : ''}${odds}` : '—');
+const formatLine = (line) => `${line > 0 ? '+' : ''}${line}`;
+
+/**
+ * Teaser across the batch slate: pick a side and/or total per game, tease
+ * them 6, 6.5 or 7 points and price the card from each game's simulated scores
+ */
+const TeaserBuilder = ({ batchResults }) => {
+  const [points, setPoints] = useState(6);
+  const [teaserOdds, setTeaserOdds] = useState(-120);
+  const [picks, setPicks] = useState({});   // batch index -> { side, total }
+
+  const setPick = (idx, key, value) => setPicks({ ...picks, [idx]: { ...picks[idx], [key]: value } });
+
+  const games = [];
+  batchResults.forEach((r, idx) => {
+    const pick = picks[idx];
+    if (r.error || !pick) return;
+    const legs = [];
+    if (pick.side) legs.push({ market: 'spread', side: pick.side, line: pick.side === 'home' ? r.spreadLine : -r.spreadLine });
+    if (pick.total) legs.push({ market: 'total', side: pick.total, line: r.totalLine });
+    if (legs.length > 0) games.push({ idx, scores: r.fullResult.correctScore.scores, legs });
+  });
+
+  const legCount = games.reduce((sum, g) => sum + g.legs.length, 0);
+  const teaser = legCount >= 2 ? priceTeaser(games, points, parseFloat(teaserOdds)) : null;
+
+  const selectClass = "p-1 bg-slate-900 border border-slate-600 rounded text-xs text-white focus:border-indigo-400 focus:outline-none";
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-6 border border-indigo-700/50">
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <h3 className="text-xl font-bold text-indigo-400 flex items-center gap-2">
+          <Layers className="w-6 h-6" />
+          Teaser
+        </h3>
+        <label className="flex items-center gap-2 text-xs text-slate-400 ml-auto">
+          Points
+          <select className={selectClass} value={points} onChange={(e) => setPoints(parseFloat(e.target.value))}>
+            {TEASER_POINTS.map(p => <option key={p} value={p}>{p}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-xs text-slate-400">
+          Price
+          <input
+            type="number"
+            step="5"
+            className="w-20 p-1 bg-slate-900 border border-slate-600 rounded text-xs text-white focus:border-indigo-400 focus:outline-none"
+            value={teaserOdds}
+            onChange={(e) => setTeaserOdds(e.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Leg picker */}
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b border-slate-700 text-slate-400">
+              <th className="text-left py-1 px-2">Matchup</th>
+              <th className="text-center py-1 px-2">Side</th>
+              <th className="text-center py-1 px-2">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {batchResults.map((r, idx) => (r.error ? null : (
+              <tr key={idx} className="border-b border-slate-800">
+                <td className="py-1 px-2">
+                  <span className="text-orange-400 font-semibold">{r.game.homeTeam.Team}</span>
+                  <span className="text-slate-500"> vs </span>
+                  <span className="text-purple-400 font-semibold">{r.game.awayTeam.Team}</span>
+                </td>
+                <td className="py-1 px-2 text-center">
+                  <select className={selectClass} value={picks[idx]?.side ?? ''} onChange={(e) => setPick(idx, 'side', e.target.value)}>
+                    <option value="">—</option>
+                    <option value="home">{r.game.homeTeam.Team} {formatLine(r.spreadLine)}</option>
+                    <option value="away">{r.game.awayTeam.Team} {formatLine(-r.spreadLine)}</option>
+                  </select>
+                </td>
+                <td className="py-1 px-2 text-center">
+                  <select className={selectClass} value={picks[idx]?.total ?? ''} onChange={(e) => setPick(idx, 'total', e.target.value)}>
+                    <option value="">—</option>
+                    <option value="over">Over {r.totalLine}</option>
+                    <option value="under">Under {r.totalLine}</option>
+                  </select>
+                </td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+
+        {/* Teaser price */}
+        {teaser ? (
+          <div className="space-y-3">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="border-b border-slate-700 text-slate-400">
+                  <th className="text-left py-1 px-2">Teased Leg</th>
+                  <th className="text-right py-1 px-2">Win</th>
+                  <th className="text-right py-1 px-2">Push</th>
+                </tr>
+              </thead>
+              <tbody>
+                {teaser.games.flatMap((game, g) => game.legs.map((leg, l) => {
+                  const r = batchResults[games[g].idx];
+                  const label = leg.market === 'spread'
+                    ? `${leg.side === 'home' ? r.game.homeTeam.Team : r.game.awayTeam.Team} ${formatLine(leg.line)}`
+                    : `${r.game.homeTeam.Team}/${r.game.awayTeam.Team} ${leg.side === 'over' ? 'Over' : 'Under'} ${leg.line}`;
+                  return (
+                    <tr key={`${g}-${l}`} className="border-b border-slate-800">
+                      <td className="py-1 px-2 font-semibold">{label}</td>
+                      <td className="py-1 px-2 text-right text-indigo-300">{leg.winPct.toFixed(1)}%</td>
+                      <td className="py-1 px-2 text-right text-slate-500">{leg.pushPct.toFixed(1)}%</td>
+                    </tr>
+                  );
+                }))}
+              </tbody>
+            </table>
+            <div className="grid grid-cols-2 gap-2">
+              <div className="bg-indigo-900/30 p-3 rounded border border-indigo-600/30">
+                <div className="text-xs text-indigo-300">{legCount}-leg {points}-pt teaser</div>
+                <div className="text-2xl font-bold text-indigo-400">{teaser.jointPct.toFixed(1)}%</div>
+                <div className="text-xs text-slate-400">Fair {formatOdds(teaser.fairOdds)}</div>
+              </div>
+              <div className="bg-slate-900/50 p-3 rounded border border-slate-700">
+                <div className="text-xs text-slate-400">Void (leg push)</div>
+                <div className="text-2xl font-bold text-slate-400">{teaser.voidPct.toFixed(1)}%</div>
+              </div>
+            </div>
+            {teaser.bet && (
+              <div className={`text-sm ${teaser.bet.ev > 0 ? 'text-green-400 font-semibold' : 'text-slate-400'}`}>
+                EV {teaser.bet.ev > 0 ? '+' : ''}{(teaser.bet.ev * 100).toFixed(1)}% · Edge {teaser.bet.edgePct > 0 ? '+' : ''}{teaser.bet.edgePct.toFixed(1)}% · BE {teaser.bet.breakEvenPct.toFixed(1)}%
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="text-sm text-slate-500">Pick at least two legs to price a teaser.</div>
+        )}
+      </div>
+      <div className="mt-4 text-xs text-slate-500">
+        Legs are priced from their own game's simulated scores; a side and total from the same game stay correlated.
+        A pushed leg drops out and is treated as a refund for EV.
+      </div>
+    </div>
+  );
+};
+
+export default TeaserBuilder;
@@ -0,0 +1,16 @@
+/**
+ * Save text as a file in the browser (CSV exports, profiles, adjustments)
+ *
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested download name
+ * @param {string} type - MIME type, e.g. 'text/csv' or 'application/json'
+ */
+export function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,122 @@
+import { DEFAULT_PARAMS } from "./params.js";
+import { parsePercent } from "./utils.js";
+import { LEAGUE_METRICS } from "./baselines.js";
+
+// ============================================
+// TEAM ADJUSTMENTS (INJURIES, QB CHANGES)
+// ============================================
+//
+// The uploaded season stats describe the team that played those games.
+// An adjustment shifts a team's offensive or defensive PPD / EPA (and, for
+// a QB change, success rate) on a copy of its row before the CER ratings
+// read it, so the rest of the model sees the team as it will take the field.
+//
+// An adjustment is { qb, offPPD, offEPA, defPPD, defEPA } with `qb` a
+// QB_PRESETS key and blank or numeric deltas. Defensive deltas are in
+// points / EPA allowed, so positive makes the defense worse.
+
+/**
+ * Replacement-quarterback presets: deltas to the offense's season numbers
+ */
+export const QB_PRESETS = {
+  none: { label: 'Starter plays', deltas: {} },
+  backup: { label: 'Veteran backup QB', deltas: { PPD: -0.25, EPA: -0.06, SR: -0.02 } },
+  replacement: { label: 'Replacement-level QB', deltas: { PPD: -0.45, EPA: -0.11, SR: -0.04 } },
+};
+
+export const EMPTY_ADJUSTMENT = { qb: 'none', offPPD: '', offEPA: '', defPPD: '', defEPA: '' };
+
+// Manual inputs and the lg metric each one shifts
+const MANUAL_DELTAS = [
+  { field: 'offPPD', key: 'PPD', label: 'off PPD' },
+  { field: 'offEPA', key: 'EPA', label: 'off EPA' },
+  { field: 'defPPD', key: 'PPD_def', label: 'def PPD' },
+  { field: 'defEPA', key: 'EPA_def', label: 'def EPA' },
+];
+
+/**
+ * Combined deltas of an adjustment, keyed like params.lg (PPD, EPA, SR,
+ * PPD_def, EPA_def)
+ */
+export function adjustmentDeltas(adjustment) {
+  if (!adjustment) return {};
+  const deltas = { ...(QB_PRESETS[adjustment.qb] || QB_PRESETS.none).deltas };
+  MANUAL_DELTAS.forEach(({ field, key }) => {
+    const value = parseFloat(adjustment[field]);
+    if (Number.isFinite(value) && value !== 0) deltas[key] = (deltas[key] || 0) + value;
+  });
+  return deltas;
+}
+
+export const isAdjusted = (adjustment) => Object.keys(adjustmentDeltas(adjustment)).length > 0;
+
+/**
+ * Copy of a team row with an adjustment applied to the columns the CER
+ * ratings read (a metric the row lacks starts from the league mean)
+ */
+export function applyTeamAdjustment(team, adjustment, params = DEFAULT_PARAMS) {
+  const deltas = adjustmentDeltas(adjustment);
+  if (Object.keys(deltas).length === 0) return team;
+
+  const adjusted = { ...team };
+  Object.entries(deltas).forEach(([key, delta]) => {
+    const { columns, percent } = LEAGUE_METRICS.find(metric => metric.key === key);
+    const column = columns.find(name => team[name] !== undefined && team[name] !== '') || columns[0];
+    const current = percent ? parsePercent(team[column]) : parseFloat(team[column]);
+    adjusted[column] = (Number.isFinite(current) ? current : params.lg[key]) + delta;
+  });
+  return adjusted;
+}
+
+/**
+ * One-line summary for results and CSV exports (no commas), '' when the
+ * adjustment changes nothing
+ */
+export function describeAdjustment(adjustment) {
+  if (!isAdjusted(adjustment)) return '';
+  const parts = [];
+  if (adjustment.qb && adjustment.qb !== 'none') parts.push(QB_PRESETS[adjustment.qb].label);
+  MANUAL_DELTAS.forEach(({ field, label }) => {
+    const value = parseFloat(adjustment[field]);
+    if (Number.isFinite(value) && value !== 0) parts.push(`${label} ${value > 0 ? '+' : ''}${value}`);
+  });
+  return parts.join('; ');
+}
+
+/**
+ * Serialize a set of team adjustments ({ [TEAM]: adjustment }) for saving
+ * alongside a slate
+ */
+export const adjustmentsToJSON = (adjustments) =>
+  JSON.stringify({ savedAt: new Date().toISOString(), adjustments }, null, 2);
+
+/**
+ * Parse saved team adjustments, dropping teams that change nothing
+ *
+ * @returns {Object} { [TEAM]: adjustment }
+ * @throws {Error} When the JSON is malformed, a QB preset is unknown or a
+ *   delta is not a number
+ */
+export function adjustmentsFromJSON(text) {
+  let saved;
+  try {
+    saved = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Adjustments are not valid JSON: ${error.message}`);
+  }
+  if (!saved || typeof saved.adjustments !== 'object' || saved.adjustments === null) {
+    throw new Error("File has no adjustments object");
+  }
+
+  const adjustments = {};
+  Object.entries(saved.adjustments).forEach(([team, raw]) => {
+    const adjustment = { ...EMPTY_ADJUSTMENT, ...raw };
+    if (!QB_PRESETS[adjustment.qb]) throw new Error(`${team}: unknown QB preset "${adjustment.qb}"`);
+    MANUAL_DELTAS.forEach(({ field }) => {
+      const value = adjustment[field];
+      if (value !== '' && !Number.isFinite(parseFloat(value))) throw new Error(`${team}: ${field} must be a number`);
+    });
+    if (isAdjusted(adjustment)) adjustments[team.trim().toUpperCase()] = adjustment;
+  });
+  return adjustments;
+}
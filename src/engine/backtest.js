@@ -0,0 +1,134 @@
+import { americanToDecimal } from "./utils.js";
+import { STANDARD_ODDS } from "./pricing.js";
+
+// ============================================
+// BACKTESTING
+// ============================================
+//
+// Each past game is simulated on the team database as it stood that week
+// and graded against the final score. Every market is treated as a binary
+// call among decided outcomes (ties, pushes dropped), which is what Brier
+// score, log loss and calibration need, and what a bet at -110 pays on.
+
+const MARKETS = [
+  { key: 'moneyline', prob: 'winProb', outcome: 'homeWon', bettable: false },
+  { key: 'spread', prob: 'coverProb', outcome: 'homeCovered', bettable: true },
+  { key: 'total', prob: 'overProb', outcome: 'wentOver', bettable: true },
+];
+
+const CALIBRATION_BINS = 10;
+const EPSILON = 1e-6;   // Keeps log loss finite for a 0% or 100% call
+
+/**
+ * Grade one simulated game against its final score
+ *
+ * @param {Object} result - simulateGame() result at the closing lines
+ * @returns {Object} { winProb, coverProb, overProb } (home win, home cover,
+ *   over; 0-1 among decided outcomes) and { homeWon, homeCovered, wentOver }
+ *   (true / false, null for a tie or push)
+ */
+export function gradeGame(result, homeScore, awayScore) {
+  const { moneyline, spread, overUnder } = result;
+  const decided = (yes, no) => (yes + no > 0 ? yes / (yes + no) : 0.5);
+  const margin = homeScore - awayScore;
+  const total = homeScore + awayScore;
+  const cover = margin + spread.line;
+
+  return {
+    homeScore,
+    awayScore,
+    winProb: decided(moneyline.homeWinPct, moneyline.awayWinPct),
+    coverProb: decided(spread.homeCoverPct, spread.awayCoverPct),
+    overProb: decided(overUnder.overPct, overUnder.underPct),
+    homeWon: margin === 0 ? null : margin > 0,
+    homeCovered: cover === 0 ? null : cover > 0,
+    wentOver: total === overUnder.line ? null : total > overUnder.line,
+  };
+}
+
+/**
+ * Predicted vs observed rate in equal-width probability bins
+ */
+function calibrationCurve(pairs) {
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    lo: i / CALIBRATION_BINS, hi: (i + 1) / CALIBRATION_BINS, n: 0, predicted: 0, actual: 0,
+  }));
+  pairs.forEach(({ p, y }) => {
+    const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(p * CALIBRATION_BINS))];
+    bin.n++;
+    bin.predicted += p;
+    bin.actual += y;
+  });
+  return bins.map(bin => ({
+    ...bin,
+    predicted: bin.n ? bin.predicted / bin.n : null,
+    actual: bin.n ? bin.actual / bin.n : null,
+  }));
+}
+
+/**
+ * Betting record for the model's side of every call at least
+ * `minConfidence` sure, at a flat price
+ */
+function bettingRecord(graded, prob, outcome, minConfidence, odds) {
+  let wins = 0, losses = 0, pushes = 0;
+  graded.forEach(game => {
+    const p = game[prob];
+    if (Math.max(p, 1 - p) < minConfidence) return;
+    if (game[outcome] === null) pushes++;
+    else if (game[outcome] === (p >= 0.5)) wins++;
+    else losses++;
+  });
+
+  const bets = wins + losses + pushes;
+  const profit = wins * (americanToDecimal(odds) - 1) - losses;
+  return {
+    wins,
+    losses,
+    pushes,
+    bets,
+    winPct: wins + losses > 0 ? (wins / (wins + losses)) * 100 : null,
+    profit,    // Units, 1 unit per bet
+    roi: bets > 0 ? (profit / bets) * 100 : null,
+  };
+}
+
+/**
+ * Scoring rules, calibration and records across graded games
+ *
+ * Brier score, log loss and calibration cover every decided game; the
+ * ATS and over/under records only the calls at or above `minConfidence`
+ * (0.5-1, the model's probability for the side it picks).
+ *
+ * @returns {Object} { games, markets: { moneyline, spread, total } } with
+ *   { n, brier, logLoss, calibration, record } per market (record only
+ *   for spread and total)
+ */
+export function summarizeBacktest(graded, minConfidence = 0.5, odds = STANDARD_ODDS) {
+  const markets = {};
+
+  MARKETS.forEach(({ key, prob, outcome, bettable }) => {
+    const pairs = graded
+      .filter(game => game[outcome] !== null)
+      .map(game => ({ p: game[prob], y: game[outcome] ? 1 : 0 }));
+    const n = pairs.length;
+
+    const brier = n ? pairs.reduce((sum, { p, y }) => sum + (p - y) ** 2, 0) / n : null;
+    const logLoss = n
+      ? -pairs.reduce((sum, { p, y }) => {
+        const q = Math.min(1 - EPSILON, Math.max(EPSILON, p));
+        return sum + (y ? Math.log(q) : Math.log(1 - q));
+      }, 0) / n
+      : null;
+
+    markets[key] = {
+      n,
+      brier,
+      logLoss,
+      calibration: calibrationCurve(pairs),
+      record: bettable ? bettingRecord(graded, prob, outcome, minConfidence, odds) : null,
+    };
+  });
+
+  return { games: graded.length, markets };
+}
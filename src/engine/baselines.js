@@ -0,0 +1,113 @@
+import { DEFAULT_PARAMS } from "./params.js";
+import { findValue, parsePercent } from "./utils.js";
+
+// ============================================
+// LEAGUE BASELINES FROM THE TEAM DATABASE
+// ============================================
+//
+// params.lg holds the league mean and SD of every metric the CER and pace
+// z-scores are measured against. The built-in values are the W13 2024
+// database; these helpers recompute them from whatever team rows were
+// uploaded, offense and defense separately, so a new season is scored
+// against its own league.
+
+export const BUILT_IN_BASELINE = 'W13 2024';
+
+// Fewer teams than this reporting a metric (or no spread at all) keeps the
+// built-in mean and SD
+const MIN_TEAMS = 8;
+
+/**
+ * Metrics with an lg baseline, the columns they are read from (the same
+ * names the CER and pace functions look up) and whether they are rates
+ */
+export const LEAGUE_METRICS = [
+  // Offense
+  { key: 'PPD', side: 'offense', columns: ['Offensive Pts/Drive', 'Offensive PPD', 'PPD'] },
+  { key: 'EPA', side: 'offense', columns: ['Offensive EPA/Play', 'Offensive EPA/play', 'EPA/play'] },
+  { key: 'SR', side: 'offense', columns: ['Offensive Success Rate', 'Offensive Success rate', 'SR'], percent: true },
+  { key: 'RZTD', side: 'offense', columns: ['Offensive Red Zone TD Rate', 'Offensive RZ TD%', 'RZ TD%'], percent: true },
+  { key: 'TO_pct', side: 'offense', columns: ['Offensive TO%', 'TO%', 'Turnover%'], percent: true },
+  { key: 'RZDrives', side: 'offense', columns: ['Offensive Red Zone Drives/Game', 'RZ Drives/Game'] },
+  { key: 'SecSnap', side: 'offense', columns: ['Offensive Seconds/Snap', 'Offensive Sec/snap', 'SecSnap'] },
+  { key: 'PlaysPerDrive', side: 'offense', columns: ['Offensive Plays/Drive', 'Plays/Drive'] },
+  { key: 'ThreeOut', side: 'offense', columns: ['Off 3-out Rate', 'Offensive 3-out Rate', '3-out Rate'], percent: true },
+  { key: 'Xpl', side: 'offense', columns: ['Offensive Explosive Play Rate', 'Offensive Explosive rate'], percent: true },
+  { key: 'NoHuddle', side: 'offense', columns: ['Offensive No Huddle Rate', 'No Huddle Rate'], percent: true },
+  { key: 'Pen', side: 'offense', columns: ['Offensive Penalties/Drive', 'Penalties/Drive'] },
+  { key: 'PassRate', side: 'offense', columns: ['Offensive Early Down Pass Rate', 'Early Down Pass Rate'], percent: true },
+  // Defense
+  { key: 'PPD_def', side: 'defense', columns: ['Defensive Pts/Drive', 'Defensive PPD', 'Def PPD'] },
+  { key: 'EPA_def', side: 'defense', columns: ['Defensive EPA/Play', 'Defensive EPA/play', 'Def EPA'] },
+  { key: 'SR_def', side: 'defense', columns: ['Defensive Success Rate', 'Defensive Success rate', 'Def SR'], percent: true },
+  { key: 'RZTD_def', side: 'defense', columns: ['Defensive Red Zone TD Rate', 'Defensive RZ TD%', 'Def RZ TD%'], percent: true },
+  { key: 'TO_pct_def', side: 'defense', columns: ['Defensive TO%', 'Def TO%', 'Forced TO%'], percent: true },
+  { key: 'RZDrives_def', side: 'defense', columns: ['Defensive Red Zone Drives/Game', 'Def RZ Drives/Game'] },
+  { key: 'SecSnap_def', side: 'defense', columns: ['Defensive Seconds/Snap', 'Defensive Sec/snap'] },
+  { key: 'PlaysPerDrive_def', side: 'defense', columns: ['Defensive Plays/Drive'] },
+  { key: 'ThreeOut_def', side: 'defense', columns: ['Defensive 3-out Rate'], percent: true },
+  { key: 'Xpl_def', side: 'defense', columns: ['Defensive Explosive Play Rate', 'Defensive Explosive rate'], percent: true },
+  { key: 'Pen_def', side: 'defense', columns: ['Defensive Penalties/Drive'] },
+];
+
+/**
+ * League mean and sample SD of every metric across the uploaded teams
+ *
+ * @param {Object[]} teams - Team rows keyed by CSV column name
+ * @returns {Object} { lg (only the metrics enough teams report, as
+ *   key / key_sd pairs), counts: { [key]: teams reporting } }
+ */
+export function computeLeagueBaselines(teams) {
+  const lg = {};
+  const counts = {};
+
+  LEAGUE_METRICS.forEach(({ key, columns, percent }) => {
+    const values = teams
+      .map(team => {
+        const raw = findValue(team, columns);
+        return percent ? parsePercent(raw) : parseFloat(raw);
+      })
+      .filter(Number.isFinite);
+
+    counts[key] = values.length;
+    if (values.length < MIN_TEAMS) return;
+
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+    if (variance === 0) return;   // A constant column is filler, not a league spread
+    lg[key] = mean;
+    lg[`${key}_sd`] = Math.sqrt(variance);
+  });
+
+  return { lg, counts };
+}
+
+/**
+ * Copy of params with league baselines swapped in (metrics not in `lg`
+ * keep their current values)
+ */
+export const withLeagueBaselines = (params, lg) => ({ ...params, lg: { ...params.lg, ...lg } });
+
+/**
+ * Uploaded baselines against a reference set, one row per metric
+ *
+ * @returns {Object[]} [{ key, side, n, base, baseSd, derived, derivedSd,
+ *   shiftSd }] where derived is null when too few teams report the metric
+ *   and shiftSd is the change in mean measured in reference SDs
+ */
+export function diffBaselines(derived, counts, base = DEFAULT_PARAMS.lg) {
+  return LEAGUE_METRICS.map(({ key, side, percent }) => {
+    const has = derived[key] !== undefined;
+    return {
+      key,
+      side,
+      percent: !!percent,
+      n: counts[key] ?? 0,
+      base: base[key],
+      baseSd: base[`${key}_sd`],
+      derived: has ? derived[key] : null,
+      derivedSd: has ? derived[`${key}_sd`] : null,
+      shiftSd: has && base[`${key}_sd`] ? (derived[key] - base[key]) / base[`${key}_sd`] : null,
+    };
+  });
+}
@@ -0,0 +1,49 @@
+import { forEachScore } from "./histogram.js";
+import { toAmericanOdds } from "./utils.js";
+
+// ============================================
+// CORRECT SCORE
+// ============================================
+
+const MATRIX_COVERAGE = 0.995;  // Heatmap axes extend until this share of each team's scores is shown
+const MATRIX_MAX = 60;
+
+/**
+ * Exact final score probabilities from the joint histogram
+ *
+ * Returns:
+ *   scores - every simulated final score, most likely first:
+ *            { home, away, count, pct, fairOdds }
+ *   matrix - matrix[home][away] = pct, trimmed to maxHome × maxAway
+ */
+export function buildCorrectScore(hist) {
+  const n = hist.n;
+  const scores = [];
+  const homeTotals = new Array(hist.size).fill(0);
+  const awayTotals = new Array(hist.size).fill(0);
+
+  forEachScore(hist, (home, away, count) => {
+    scores.push({ home, away, count, pct: (count / n) * 100, fairOdds: toAmericanOdds(count / n) });
+    homeTotals[home] += count;
+    awayTotals[away] += count;
+  });
+  scores.sort((a, b) => b.count - a.count || b.home + b.away - (a.home + a.away));
+
+  const coverageLimit = (totals) => {
+    let cumulative = 0;
+    for (let s = 0; s < totals.length; s++) {
+      cumulative += totals[s];
+      if (cumulative >= n * MATRIX_COVERAGE) return Math.min(s, MATRIX_MAX);
+    }
+    return MATRIX_MAX;
+  };
+  const maxHome = coverageLimit(homeTotals);
+  const maxAway = coverageLimit(awayTotals);
+
+  const matrix = Array.from({ length: maxHome + 1 }, () => new Array(maxAway + 1).fill(0));
+  scores.forEach(({ home, away, pct }) => {
+    if (home <= maxHome && away <= maxAway) matrix[home][away] = pct;
+  });
+
+  return { scores, matrix, maxHome, maxAway };
+}
@@ -0,0 +1,67 @@
+import { breakEvenProbability } from "./utils.js";
+
+// ============================================
+// NO-VIG MARKET PROBABILITIES
+// ============================================
+//
+// A two-sided price implies probabilities that sum to more than 1 (the
+// overround). Three standard ways to strip it:
+//   multiplicative - scale both sides by 1 / overround
+//   additive       - subtract half the excess from each side
+//   power          - raise both sides to the k with p₁ᵏ + p₂ᵏ = 1
+//                    (takes more off the longshot)
+
+export const DEVIG_METHODS = ['multiplicative', 'additive', 'power'];
+
+/**
+ * Solve p₁ᵏ + p₂ᵏ = 1 for k by bisection (the sum falls as k grows)
+ */
+function powerExponent(p1, p2) {
+  let lo = 0.01, hi = 10;
+  for (let i = 0; i < 60; i++) {
+    const k = (lo + hi) / 2;
+    if (Math.pow(p1, k) + Math.pow(p2, k) > 1) lo = k;
+    else hi = k;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Market fair probabilities (0-100) for both sides of a two-way price
+ *
+ * @returns {Object} { overround, multiplicative: [a, b], additive: [a, b],
+ *   power: [a, b] }
+ */
+export function devigTwoWay(oddsA, oddsB) {
+  const p1 = breakEvenProbability(oddsA);
+  const p2 = breakEvenProbability(oddsB);
+  const overround = p1 + p2;
+  const excess = (overround - 1) / 2;
+  const k = powerExponent(p1, p2);
+  const clampPct = (p) => Math.min(100, Math.max(0, p * 100));
+
+  return {
+    overround,
+    multiplicative: [p1 / overround * 100, p2 / overround * 100],
+    additive: [clampPct(p1 - excess), clampPct(p2 - excess)],
+    power: [Math.pow(p1, k) * 100, Math.pow(p2, k) * 100],
+  };
+}
+
+/**
+ * Attach the market's no-vig probability to both priced sides of a market:
+ * each bet gets marketFair = { multiplicative, additive, power } and the
+ * market overround. Sides are left untouched unless both are priced.
+ */
+export function attachMarketFair(betA, betB) {
+  if (!betA || !betB) return;
+  const fair = devigTwoWay(betA.odds, betB.odds);
+  [betA, betB].forEach((bet, i) => {
+    bet.overround = fair.overround;
+    bet.marketFair = {
+      multiplicative: fair.multiplicative[i],
+      additive: fair.additive[i],
+      power: fair.power[i],
+    };
+  });
+}
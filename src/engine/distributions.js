@@ -0,0 +1,228 @@
+import { DEFAULT_PARAMS } from "./params.js";
+import { MAX_SCORE } from "./histogram.js";
+import { clamp, normalCdf } from "./utils.js";
+
+// ============================================
+// SCORE DISTRIBUTIONS (GAUSSIAN COPULA)
+// ============================================
+//
+// The normal engine's legacy draw is a bivariate normal floored at 0, which
+// piles mass on 0 and puts it on scores like 1 and 2. The other marginals
+// here are discrete distributions over 0..MAX_SCORE with the team's
+// expected points as their mean. Both teams still share the correlated
+// normal pair of the legacy draw: each normal is mapped through Φ to a
+// uniform and then through the marginal's inverse CDF (a Gaussian copula),
+// so `rho` keeps tying the two scores together.
+
+export const SCORE_DISTRIBUTIONS = {
+  normal: { label: 'Clamped normal', description: 'Legacy: normal draw around the mean, floored at 0 and rounded' },
+  negbin: { label: 'Negative binomial', description: 'Count distribution with the normal engine\'s score SD' },
+  mixture: { label: 'TD / FG mixture', description: 'Touchdowns (6, 7 or 8 points) and field goals split by league priors, with the normal engine\'s score SD' },
+  empirical: { label: 'Empirical table', description: 'Past team scores, tilted to the expected points' },
+};
+
+const SIZE = MAX_SCORE + 1;
+const MAX_TILT = 1;            // Bound on θ for the empirical tilt
+const MAX_CHANCES = 200;       // More scoring chances than this is Poisson for our purposes
+const TILT_ITERATIONS = 60;
+
+const normalize = (pmf) => {
+  const total = pmf.reduce((sum, p) => sum + p, 0);
+  return total > 0 ? pmf.map(p => p / total) : pmf.map((_, k) => (k === 0 ? 1 : 0));
+};
+
+const pointMass = () => Array.from({ length: SIZE }, (_, k) => (k === 0 ? 1 : 0));
+
+function negativeBinomialPmf(mean, sigma) {
+  if (mean <= 0) return pointMass();
+  const variance = sigma * sigma;
+  const pmf = new Array(SIZE).fill(0);
+
+  // Under-dispersed (variance ≤ mean) falls back to Poisson
+  if (variance <= mean) {
+    pmf[0] = Math.exp(-mean);
+    for (let k = 1; k < SIZE; k++) pmf[k] = pmf[k - 1] * mean / k;
+    return normalize(pmf);
+  }
+  const r = (mean * mean) / (variance - mean);
+  const q = mean / (r + mean);
+  pmf[0] = Math.exp(r * Math.log(1 - q));
+  for (let k = 1; k < SIZE; k++) pmf[k] = pmf[k - 1] * ((k - 1 + r) / k) * q;
+  return normalize(pmf);
+}
+
+/**
+ * Distribution of the sum of a Poisson number of scores, each drawn from
+ * `values` ({ points: probability })
+ */
+function compoundPoisson(lambda, values) {
+  const result = new Array(SIZE).fill(0);
+  let nFold = pointMass();     // Distribution of the points from n scores
+  let poisson = Math.exp(-lambda);
+  for (let n = 0; poisson > 1e-12 || n < lambda; n++) {
+    nFold.forEach((p, k) => { result[k] += poisson * p; });
+    const next = new Array(SIZE).fill(0);
+    nFold.forEach((p, k) => {
+      if (p === 0) return;
+      Object.entries(values).forEach(([points, share]) => {
+        const total = k + Number(points);
+        if (total < SIZE) next[total] += p * share;
+      });
+    });
+    nFold = next;
+    poisson *= lambda / (n + 1);
+  }
+  return result;
+}
+
+/**
+ * Distribution of the sum of `count` independent chances, each scoring
+ * `values` ({ points: probability }; the rest of the time nothing)
+ */
+function sumOfChances(count, values) {
+  let result = pointMass();
+  for (let i = 0; i < count; i++) {
+    const next = new Array(SIZE).fill(0);
+    const miss = 1 - Object.values(values).reduce((sum, p) => sum + p, 0);
+    result.forEach((p, k) => {
+      if (p === 0) return;
+      next[k] += p * miss;
+      Object.entries(values).forEach(([points, share]) => {
+        const total = k + Number(points);
+        if (total < SIZE) next[total] += p * share;
+      });
+    });
+    result = next;
+  }
+  return result;
+}
+
+/**
+ * Touchdowns plus field goals with the expected points split by the fixed
+ * prior shares (a final score does not say how it was made up, so they are
+ * not estimated from the score table).
+ *
+ * With Poisson counts the variance would follow from the shares alone and
+ * run far wider than the other marginals. Instead the scores come from n
+ * independent scoring chances: the mean stays put for any n and the
+ * variance is the Poisson one minus mean² / n, so n is solved to match
+ * sigma². A sigma wider than the Poisson variance, which only happens for
+ * very low means, keeps the Poisson one.
+ */
+function mixturePmf(mean, sigma, params) {
+  if (mean <= 0) return pointMass();
+  const { prior_td_share, prior_td_seven, prior_td_eight } = params.scoreDistributions;
+  const tdValues = { 6: 1 - prior_td_seven - prior_td_eight, 7: prior_td_seven, 8: prior_td_eight };
+  const tdMean = 6 * tdValues[6] + 7 * prior_td_seven + 8 * prior_td_eight;
+  const tdSquare = 36 * tdValues[6] + 49 * prior_td_seven + 64 * prior_td_eight;
+
+  const tdRate = (mean * prior_td_share) / tdMean;
+  const fgRate = (mean * (1 - prior_td_share)) / 3;
+  const poissonVariance = tdRate * tdSquare + fgRate * 9;
+  const excess = poissonVariance - sigma * sigma;
+  const chances = excess > 0 ? Math.max(tdRate + fgRate, (mean * mean) / excess) : Infinity;
+
+  if (chances < MAX_CHANCES) {
+    const pmfFor = (count) => {
+      const values = { 3: fgRate / count };
+      Object.entries(tdValues).forEach(([points, share]) => {
+        values[points] = (tdRate / count) * share;
+      });
+      return sumOfChances(count, values);
+    };
+    // Both neighbouring whole counts have the same mean; blend them so the
+    // variance lands on sigma² exactly (fewer chances than the expected
+    // number of scores is impossible, so the narrowest case stops there)
+    const lo = Math.floor(chances);
+    const hi = Math.ceil(chances);
+    const varianceAt = (count) => poissonVariance - (mean * mean) / count;
+    const weight = hi > lo && lo >= tdRate + fgRate
+      ? clamp((sigma * sigma - varianceAt(lo)) / (varianceAt(hi) - varianceAt(lo)), 0, 1)
+      : 1;
+    const low = weight < 1 ? pmfFor(lo) : null;
+    const high = pmfFor(hi);
+    return normalize(high.map((p, k) => weight * p + (low ? (1 - weight) * low[k] : 0)));
+  }
+
+  const touchdowns = compoundPoisson(tdRate, tdValues);
+  const fieldGoals = compoundPoisson(fgRate, { 3: 1 });
+  const pmf = new Array(SIZE).fill(0);
+  touchdowns.forEach((p, i) => {
+    if (p === 0) return;
+    for (let j = 0; i + j < SIZE; j++) pmf[i + j] += p * fieldGoals[j];
+  });
+  return normalize(pmf);
+}
+
+/**
+ * The score table re-weighted by e^(θ·points), θ chosen by bisection so
+ * the mean matches (scores the table never saw stay impossible)
+ */
+function empiricalPmf(mean, params) {
+  const base = new Array(SIZE).fill(0);
+  Object.entries(params.scoreDistributions.table || {}).forEach(([points, count]) => {
+    const k = Number(points);
+    if (Number.isInteger(k) && k >= 0 && k < SIZE && count > 0) base[k] += count;
+  });
+  if (!base.some(count => count > 0)) throw new Error("Empirical score distribution needs a score table");
+
+  const tilted = (theta) => normalize(base.map((count, k) => count * Math.exp(theta * (k - mean))));
+  const meanOf = (pmf) => pmf.reduce((sum, p, k) => sum + p * k, 0);
+  let lo = -MAX_TILT, hi = MAX_TILT;
+  for (let i = 0; i < TILT_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2;
+    if (meanOf(tilted(mid)) < mean) lo = mid;
+    else hi = mid;
+  }
+  return tilted((lo + hi) / 2);
+}
+
+/**
+ * One team's score distribution
+ *
+ * @param {string} kind - SCORE_DISTRIBUTIONS key other than 'normal'
+ * @param {number} mean - Expected points
+ * @param {number} sigma - Score SD (matched by the negative binomial and the mixture)
+ * @returns {Object} { kind, pmf, cdf, mean, sd } over 0..MAX_SCORE
+ * @throws {Error} For an unknown kind, or 'empirical' without a table
+ */
+export function buildScoreDistribution(kind, mean, sigma, params = DEFAULT_PARAMS) {
+  let pmf;
+  if (kind === 'negbin') pmf = negativeBinomialPmf(mean, sigma);
+  else if (kind === 'mixture') pmf = mixturePmf(mean, sigma, params);
+  else if (kind === 'empirical') pmf = empiricalPmf(mean, params);
+  else throw new Error(`Unknown score distribution "${kind}"`);
+
+  const cdf = [];
+  pmf.reduce((sum, p, k) => (cdf[k] = sum + p), 0);
+  cdf[cdf.length - 1] = 1;   // No rounding gap above the last score
+  const distMean = pmf.reduce((sum, p, k) => sum + p * k, 0);
+  const variance = pmf.reduce((sum, p, k) => sum + p * (k - distMean) ** 2, 0);
+  return { kind, pmf, cdf, mean: distMean, sd: Math.sqrt(variance) };
+}
+
+/**
+ * Score table (params.scoreDistributions.table) counting both teams'
+ * final scores in past games ({ homeScore, awayScore })
+ */
+export function scoreTableFromGames(games) {
+  const table = {};
+  games.forEach(({ homeScore, awayScore }) => [homeScore, awayScore].forEach(points => {
+    if (Number.isInteger(points) && points >= 0) table[points] = (table[points] || 0) + 1;
+  }));
+  return table;
+}
+
+/**
+ * Score at a standard-normal draw: Φ(z) through the inverse CDF
+ */
+export function scoreAtNormal(dist, z) {
+  const u = normalCdf(z);
+  let lo = 0, hi = dist.cdf.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (dist.cdf[mid] < u) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
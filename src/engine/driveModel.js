@@ -0,0 +1,188 @@
+import { DEFAULT_PARAMS } from "./params.js";
+import { log } from "./logger.js";
+import { progressInterval } from "./utils.js";
+import { recordGameResult } from "./overtime.js";
+import { recordPeriods } from "./periods.js";
+import { playLiveStart } from "./live.js";
+
+// ============================================
+// DISCRETE DRIVE MODEL
+// ============================================
+//
+// p_3out = σ(a0 - a1·EPA_net - a2·SR_net + a3·Opp_3Out + a4·RZ_bad)
+// p_TD   = σ(b0 + b1·EPA_net + b2·SR_net + b3·RZ_net)                 (given sustained)
+// p_FG   = φ · (1 - p_TD)                                             (given sustained)
+//
+// The matchup PPD (CER, HFA, weather) sets the level: a0 and b0 move
+// together on the logit scale until the expected PPD of the drives equals
+// it, so the z-score terms never add points on top of the PPD that already
+// counts them. They shape how the points arrive: an offense that moves the
+// ball well (EPA, SR) goes 3-and-out less, and one that finishes in the red
+// zone turns more of its sustained drives into touchdowns.
+// Every drive ends as a TD (7), FG (3) or empty (0), so final scores
+// cluster on the key numbers the way real NFL scores do.
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+const logit = (p) => Math.log(p / (1 - p));
+
+const SHIFT_RANGE = 8;          // Bound on the intercept shift (logit units)
+const SHIFT_ITERATIONS = 60;
+
+const drivePPD = (p3out, pTD, fgShare) => (1 - p3out) * (7 * pTD + 3 * fgShare * (1 - pTD));
+
+/**
+ * Calculate per-drive outcome probabilities for one offense vs one defense
+ *
+ * @param {Object} offCER - calculateOffensiveCER() result for the offense
+ * @param {Object} defCER - calculateDefensiveCER() result for the defense
+ * @param {Object} offPace - calculatePaceAdjustment(offense, true) result
+ * @param {Object} defPace - calculatePaceAdjustment(defense, false) result
+ * @param {number} targetPPD - Matchup PPD the drives must reproduce (weather included)
+ */
+export function calculateDriveProbabilities(offCER, defCER, offPace, defPace, targetPPD, params = DEFAULT_PARAMS) {
+  const d = params.drive;
+
+  // Net matchup z-scores (defensive z is already positive = good defense)
+  const epaNet = offCER.zScores.z_epa - defCER.zScores.z_epa;
+  const srNet = offCER.zScores.z_sr - defCER.zScores.z_sr;
+  const rzNet = offCER.zScores.z_rztd - defCER.zScores.z_rztd;
+  const rzBad = Math.max(0, -rzNet);
+
+  // Offense 3-out z (positive = goes 3-and-out more), defense 3-out z (positive = forces more)
+  const opp3Out = (offPace.zScores.z_threeOut + defPace.zScores.z_threeOut) / 2;
+
+  const threeOutShape = logit(params.lg.ThreeOut)
+    - d.a1_epa * epaNet - d.a2_sr * srNet + d.a3_threeOut * opp3Out + d.a4_rzBad * rzBad;
+  const tdShape = logit(d.td_base) + d.b1_epa * epaNet + d.b2_sr * srNet + d.b3_rz * rzNet;
+
+  // Shift both intercepts until the drives score the matchup PPD
+  const ppdAt = (shift) => drivePPD(sigmoid(threeOutShape - shift), sigmoid(tdShape + shift), d.fg_share);
+  let lo = -SHIFT_RANGE, hi = SHIFT_RANGE;
+  for (let i = 0; i < SHIFT_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2;
+    if (ppdAt(mid) < targetPPD) lo = mid;
+    else hi = mid;
+  }
+  const shift = (lo + hi) / 2;
+
+  const p3out = sigmoid(threeOutShape - shift);
+  const pTD = sigmoid(tdShape + shift);
+  const pFG = d.fg_share * (1 - pTD);
+
+  return {
+    p3out,
+    pTD,
+    pFG,
+    fgShare: d.fg_share,
+    expectedPPD: drivePPD(p3out, pTD, d.fg_share),
+    inputs: { epaNet, srNet, rzNet, rzBad, opp3Out, targetPPD, shift }
+  };
+}
+
+/**
+ * Build drive probabilities for both teams from the composite model outputs
+ */
+export function buildDriveModel(matchup, drives, weatherAdj, params = DEFAULT_PARAMS) {
+  // Weather is expressed in points per team; spread it over the drives
+  const homeTarget = matchup.homePPD + (weatherAdj / 2) / drives.homeDrives;
+  const awayTarget = matchup.awayPPD + (weatherAdj / 2) / drives.awayDrives;
+
+  const home = calculateDriveProbabilities(
+    matchup.homeOffCER, matchup.awayDefCER,
+    drives.homePaceDetails, drives.awayDefPaceDetails,
+    homeTarget, params
+  );
+  const away = calculateDriveProbabilities(
+    matchup.awayOffCER, matchup.homeDefCER,
+    drives.awayPaceDetails, drives.homeDefPaceDetails,
+    awayTarget, params
+  );
+
+  log(`\n=== DRIVE MODEL ===`);
+  log(`  Home: p3out=${(home.p3out*100).toFixed(1)}%, pTD=${(home.pTD*100).toFixed(1)}%, pFG=${(home.pFG*100).toFixed(1)}% → ${home.expectedPPD.toFixed(3)} PPD`);
+  log(`  Away: p3out=${(away.p3out*100).toFixed(1)}%, pTD=${(away.pTD*100).toFixed(1)}%, pFG=${(away.pFG*100).toFixed(1)}% → ${away.expectedPPD.toFixed(3)} PPD`);
+
+  return { home, away };
+}
+
+/**
+ * Draw an integer drive count whose mean equals the fractional expectation
+ */
+function drawDriveCount(expected, random) {
+  const base = Math.floor(expected);
+  return base + (random() < expected - base ? 1 : 0);
+}
+
+/**
+ * Shift a probability on the logit scale
+ */
+const shiftProb = (p, shift) => sigmoid(logit(p) + shift);
+
+/**
+ * Score one team's drives for a single game
+ * (each scoring drive's points are appended to `plays` for the period split)
+ */
+function playDrives(numDrives, probs, shift, random, plays) {
+  const p3out = shiftProb(probs.p3out, -shift);
+  const pTD = shiftProb(probs.pTD, shift);
+  const pFG = probs.fgShare * (1 - pTD);
+
+  let points = 0;
+  for (let d = 0; d < numDrives; d++) {
+    if (random() < p3out) continue;
+    const u = random();
+    if (u < pTD) {
+      points += 7;
+      plays.push(7);
+    } else if (u < pTD + pFG) {
+      points += 3;
+      plays.push(3);
+    }
+  }
+  return points;
+}
+
+/**
+ * Run the discrete drive simulation
+ *
+ * A per-game logit shock shared between the two offenses (weight √ρ)
+ * keeps the adaptive correlation meaningful in this mode.
+ */
+export function simulateDriveScores(driveModel, drives, rho, numSims, results, params, random, onProgress) {
+  const gameSd = params.drive.game_sd;
+  const shared = Math.sqrt(Math.max(0, rho));
+  const own = Math.sqrt(1 - Math.max(0, rho));
+  const progressStep = progressInterval(numSims);
+  const homePlays = [];
+  const awayPlays = [];
+
+  for (let i = 0; i < numSims; i++) {
+    // Three standard normals via Box-Muller (game shock + one per team)
+    const u1 = random() || Number.MIN_VALUE;
+    const u2 = random();
+    const u3 = random() || Number.MIN_VALUE;
+    const u4 = random();
+    const zGame = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    const zHome = Math.sqrt(-2 * Math.log(u1)) * Math.sin(2 * Math.PI * u2);
+    const zAway = Math.sqrt(-2 * Math.log(u3)) * Math.cos(2 * Math.PI * u4);
+
+    const homeShift = gameSd * (shared * zGame + own * zHome);
+    const awayShift = gameSd * (shared * zGame + own * zAway);
+
+    homePlays.length = 0;
+    awayPlays.length = 0;
+    let homeScore = playDrives(drawDriveCount(drives.homeDrives, random), driveModel.home, homeShift, random, homePlays);
+    let awayScore = playDrives(drawDriveCount(drives.awayDrives, random), driveModel.away, awayShift, random, awayPlays);
+
+    if (results.live) {
+      const [homeStart, awayStart] = playLiveStart(results.live, random);
+      homeScore += homeStart;
+      awayScore += awayStart;
+    } else {
+      recordPeriods(results.periods, homePlays, awayPlays);
+    }
+    recordGameResult(results, homeScore, awayScore, random);
+
+    if (onProgress && (i + 1) % progressStep === 0) onProgress((i + 1) / numSims);
+  }
+}
@@ -0,0 +1,259 @@
+import { DEFAULT_PARAMS } from "./params.js";
+import {
+  calculateMatchupPPD,
+  calculateHomeFieldAdvantage,
+  calculateSituationalAdjustments,
+  calculateExpectedDrives,
+  calculateAdaptiveCorrelation,
+  calculateWeatherAdjustment,
+} from "./model.js";
+import { sigmaTeam } from "./simulate.js";
+import { withLeagueBaselines } from "./baselines.js";
+import { PARAM_FIELDS, getParam, setParam } from "./profiles.js";
+import { normalCdf } from "./utils.js";
+import { quietly } from "./logger.js";
+
+// ============================================
+// COEFFICIENT FITTING
+// ============================================
+//
+// Fits the hand-tuned coefficients to past games. Each game is scored on
+// the model's closed form rather than a simulation: expected points are
+// PPD × drives + weather, exactly what the engines draw around, and the
+// win / cover / over probabilities come from the bivariate normal the
+// normal engine samples. That keeps an evaluation to a few milliseconds
+// per slate, so a pattern search over ~17 coefficients runs in seconds.
+//
+// LAMBDA and CER_TO_PPD_SCALE only ever act as a product, and the CER
+// weights share a scale with both, so the loss is penalized toward the
+// starting profile (ridge) to keep the fit from wandering along that ridge.
+
+export const FIT_OBJECTIVES = {
+  score: { label: 'Score error', unit: 'RMSE (pts)' },
+  margin: { label: 'Margin error', unit: 'RMSE (pts)' },
+  logloss: { label: 'Outcome log loss', unit: 'log loss' },
+};
+
+const BASE_PATHS = [
+  'CER_TO_PPD_SCALE',
+  'LAMBDA',
+  'HOME_FIELD_ADV',
+  ...Object.keys(DEFAULT_PARAMS.weights).map(key => `weights.${key}`),
+];
+// Score SDs only move the probabilities, so only log loss can fit them
+const SIGMA_PATHS = ['sigma.base', 'sigma.per_point'];
+
+const INITIAL_STEP = 0.1;      // Fraction of each coefficient's range
+const MIN_STEP = 0.004;
+const MAX_EVALUATIONS = 4000;
+const EPSILON = 1e-6;          // Keeps log loss finite for a 0% or 100% call
+
+const fieldFor = (path) => PARAM_FIELDS.flatMap(group => group.fields).find(field => field.path === path);
+
+/**
+ * Coefficients an objective fits, with their editor labels and ranges
+ */
+export const fitFields = (objective) =>
+  (objective === 'logloss' ? [...BASE_PATHS, ...SIGMA_PATHS] : BASE_PATHS).map(fieldFor);
+
+/**
+ * Precompute what doesn't depend on the fitted coefficients: drives,
+ * weather, rest/travel and score correlation
+ */
+function prepareGames(games, params) {
+  return games.map(game => {
+    const gameParams = game.lg ? withLeagueBaselines(params, game.lg) : params;
+    const settings = { isDome: game.isDome, windMPH: 0, temperature: 70, precipitation: "none" };
+    return {
+      ...game,
+      drives: calculateExpectedDrives(game.homeTeam, game.awayTeam, gameParams),
+      weatherAdj: calculateWeatherAdjustment(settings, gameParams),
+      situational: calculateSituationalAdjustments(game, gameParams),
+      rho: calculateAdaptiveCorrelation(game.homeTeam, game.awayTeam, game.spread, game.isDome, 0, "none", gameParams),
+    };
+  });
+}
+
+/**
+ * Expected points and score SDs for one prepared game
+ */
+function project(game, params) {
+  const gameParams = game.lg ? withLeagueBaselines(params, game.lg) : params;
+  const hfa = calculateHomeFieldAdvantage(game.homeTeam, game.neutralSite, gameParams);
+  const matchup = calculateMatchupPPD(game.homeTeam, game.awayTeam, gameParams, hfa, game.situational);
+  const homeMean = matchup.homePPD * game.drives.homeDrives + game.weatherAdj / 2;
+  const awayMean = matchup.awayPPD * game.drives.awayDrives + game.weatherAdj / 2;
+  return {
+    homeMean,
+    awayMean,
+    homeSigma: sigmaTeam(homeMean, gameParams),
+    awaySigma: sigmaTeam(awayMean, gameParams),
+  };
+}
+
+const binaryLoss = (p, y) => {
+  const q = Math.min(1 - EPSILON, Math.max(EPSILON, p));
+  return -(y ? Math.log(q) : Math.log(1 - q));
+};
+
+/**
+ * Mean loss over prepared games: squared error for the score objectives,
+ * log loss of home win, home cover and over for 'logloss' (ties and
+ * pushes dropped)
+ *
+ * @returns {Object} { loss, n } where n counts the terms averaged
+ */
+function evaluate(games, params, objective) {
+  let sum = 0, n = 0;
+
+  games.forEach(game => {
+    const { homeMean, awayMean, homeSigma, awaySigma } = project(game, params);
+    const margin = game.homeScore - game.awayScore;
+
+    if (objective === 'score') {
+      sum += ((homeMean - game.homeScore) ** 2 + (awayMean - game.awayScore) ** 2) / 2;
+      n++;
+    } else if (objective === 'margin') {
+      sum += (homeMean - awayMean - margin) ** 2;
+      n++;
+    } else {
+      const covariance = 2 * game.rho * homeSigma * awaySigma;
+      const marginSd = Math.sqrt(homeSigma ** 2 + awaySigma ** 2 - covariance);
+      const totalSd = Math.sqrt(homeSigma ** 2 + awaySigma ** 2 + covariance);
+      const meanMargin = homeMean - awayMean;
+      const cover = margin + game.spread;
+      const total = game.homeScore + game.awayScore;
+
+      if (margin !== 0) { sum += binaryLoss(normalCdf(meanMargin / marginSd), margin > 0); n++; }
+      if (cover !== 0) { sum += binaryLoss(normalCdf((meanMargin + game.spread) / marginSd), cover > 0); n++; }
+      if (total !== game.total) { sum += binaryLoss(normalCdf((homeMean + awayMean - game.total) / totalSd), total > game.total); n++; }
+    }
+  });
+
+  return { loss: n ? sum / n : null, n };
+}
+
+// Squared errors are reported as RMSE
+const report = (objective, loss) => (loss === null || objective === 'logloss' ? loss : Math.sqrt(loss));
+
+/**
+ * Fit coefficients to past games by bounded pattern search
+ *
+ * Each game is { homeTeam, awayTeam, isDome, neutralSite, spread, total,
+ * homeScore, awayScore, week }, the optional rest/travel fields of
+ * calculateSituationalAdjustments and an optional `lg` (that week's league
+ * baselines). Games in `holdoutWeek` are left out of the fit and scored
+ * afterwards with both the starting and the fitted coefficients.
+ *
+ * @param {Object} options - { objective: 'score'|'margin'|'logloss',
+ *   ridge (penalty weight, 0 = none), holdoutWeek, onProgress }
+ * @returns {Object} { params, values: [{ path, label, start, fitted }],
+ *   objective, train: { n, baseline, fitted }, holdout: { week, n,
+ *   baseline, fitted } | null, evaluations } with losses reported as RMSE
+ *   for the score objectives
+ * @throws {Error} When no games are left to fit on
+ */
+export const fitParams = (games, params = DEFAULT_PARAMS, options = {}) =>
+  quietly(() => runFit(games, params, options));   // Thousands of evaluations would flood the log
+
+function runFit(games, params, options) {
+  const { objective = 'margin', ridge = 1, holdoutWeek = null, onProgress = () => {} } = options;
+  if (!FIT_OBJECTIVES[objective]) throw new Error(`Unknown objective "${objective}"`);
+
+  const prepared = prepareGames(games, params);
+  const train = prepared.filter(game => holdoutWeek === null || game.week !== holdoutWeek);
+  const holdout = holdoutWeek === null ? [] : prepared.filter(game => game.week === holdoutWeek);
+  if (train.length === 0) throw new Error("No games left to fit on");
+
+  const fields = fitFields(objective);
+  const start = fields.map(({ path }) => getParam(params, path));
+  const widths = fields.map(({ min, max }) => max - min);
+  const withValues = (values) => values.reduce((p, value, i) => setParam(p, fields[i].path, value), params);
+
+  const baseline = evaluate(train, params, objective);
+  if (!baseline.loss) throw new Error("No decided outcomes to fit on");
+
+  let evaluations = 0;
+  const penalized = (values) => {
+    evaluations++;
+    const { loss } = evaluate(train, withValues(values), objective);
+    const penalty = values.reduce((sum, value, i) => sum + ((value - start[i]) / widths[i]) ** 2, 0);
+    return loss / baseline.loss + ridge * penalty;
+  };
+
+  // Coordinate pattern search: try ± step on each coefficient, keep any
+  // improvement, halve every step once a full pass finds none
+  let current = [...start];
+  let best = penalized(current);
+  let scale = INITIAL_STEP;
+  const totalHalvings = Math.ceil(Math.log2(INITIAL_STEP / MIN_STEP));
+  let halvings = 0;
+
+  while (scale >= MIN_STEP && evaluations < MAX_EVALUATIONS) {
+    let improved = false;
+    fields.forEach(({ min, max }, i) => {
+      [1, -1].forEach(direction => {
+        const candidate = [...current];
+        candidate[i] = Math.min(max, Math.max(min, current[i] + direction * scale * widths[i]));
+        if (candidate[i] === current[i]) return;
+        const value = penalized(candidate);
+        if (value < best) {
+          best = value;
+          current = candidate;
+          improved = true;
+        }
+      });
+    });
+    if (!improved) {
+      scale /= 2;
+      halvings++;
+      onProgress(Math.min(1, halvings / totalHalvings));
+    }
+  }
+
+  const fitted = withValues(current);
+  const holdoutBaseline = evaluate(holdout, params, objective);
+  const holdoutFitted = evaluate(holdout, fitted, objective);
+
+  return {
+    params: fitted,
+    values: fields.map(({ path, label }, i) => ({ path, label, start: start[i], fitted: current[i] })),
+    objective,
+    train: {
+      n: baseline.n,
+      baseline: report(objective, baseline.loss),
+      fitted: report(objective, evaluate(train, fitted, objective).loss),
+    },
+    holdout: holdoutWeek === null ? null : {
+      week: holdoutWeek,
+      n: holdoutBaseline.n,
+      baseline: report(objective, holdoutBaseline.loss),
+      fitted: report(objective, holdoutFitted.loss),
+    },
+    evaluations,
+  };
+}
+
+/**
+ * Pool leave-one-week-out folds into out-of-sample losses
+ *
+ * @param {Object[]} folds - fitParams() results, each with a holdout week
+ * @returns {Object} { folds, n, baseline, fitted, improvement (% lower
+ *   loss with the fitted coefficients) }
+ */
+export function summarizeCrossValidation(folds) {
+  const scored = folds.filter(fold => fold.holdout && fold.holdout.n > 0);
+  const n = scored.reduce((sum, fold) => sum + fold.holdout.n, 0);
+  if (n === 0) return { folds: scored.length, n: 0, baseline: null, fitted: null, improvement: null };
+
+  // Pool squared errors before taking the root
+  const squared = scored[0].objective !== 'logloss';
+  const pool = (key) => {
+    const mean = scored.reduce((sum, fold) => sum + fold.holdout.n * (squared ? fold.holdout[key] ** 2 : fold.holdout[key]), 0) / n;
+    return squared ? Math.sqrt(mean) : mean;
+  };
+  const baseline = pool('baseline');
+  const fitted = pool('fitted');
+
+  return { folds: scored.length, n, baseline, fitted, improvement: ((baseline - fitted) / baseline) * 100 };
+}
@@ -0,0 +1,95 @@
+// ============================================
+// SCORE HISTOGRAMS
+// ============================================
+//
+// Simulated games are stored as a joint home/away integer score histogram
+// (one Uint32Array cell per exact final score) rather than per-iteration
+// arrays. Memory is fixed no matter how many iterations run, and every
+// market figure comes from one pass over the occupied cells.
+
+export const MAX_SCORE = 127;  // Per team; anything higher is clamped (never seen in practice)
+const SIZE = MAX_SCORE + 1;
+
+/**
+ * Create an empty joint score histogram
+ */
+export function createScoreHistogram() {
+  return {
+    size: SIZE,
+    counts: new Uint32Array(SIZE * SIZE),
+    n: 0
+  };
+}
+
+/**
+ * Record one simulated final score
+ */
+export function recordScore(hist, homeScore, awayScore) {
+  const h = homeScore > MAX_SCORE ? MAX_SCORE : homeScore;
+  const a = awayScore > MAX_SCORE ? MAX_SCORE : awayScore;
+  hist.counts[h * SIZE + a]++;
+  hist.n++;
+}
+
+/**
+ * Visit every occupied cell: fn(homeScore, awayScore, count)
+ */
+export function forEachScore(hist, fn) {
+  const { counts, size } = hist;
+  for (let h = 0; h < size; h++) {
+    const row = h * size;
+    for (let a = 0; a < size; a++) {
+      const c = counts[row + a];
+      if (c !== 0) fn(h, a, c);
+    }
+  }
+}
+
+/**
+ * Marginal histogram over an integer range starting at `offset`
+ * (margins run negative, so they are stored shifted by MAX_SCORE)
+ */
+export function createMarginal(length, offset = 0) {
+  return { counts: new Uint32Array(length), offset, n: 0, sum: 0 };
+}
+
+export function addToMarginal(marginal, value, count) {
+  marginal.counts[value + marginal.offset] += count;
+  marginal.n += count;
+  marginal.sum += value * count;
+}
+
+/**
+ * Value at a 0-based rank in the sorted sample, read off the cumulative counts
+ */
+function valueAtRank(marginal, rank) {
+  let cumulative = 0;
+  for (let i = 0; i < marginal.counts.length; i++) {
+    cumulative += marginal.counts[i];
+    if (cumulative > rank) return i - marginal.offset;
+  }
+  return marginal.counts.length - 1 - marginal.offset;
+}
+
+/**
+ * Linear-interpolated percentile, identical to sorting the raw samples
+ */
+export function histogramPercentile(marginal, p) {
+  const index = (p / 100) * (marginal.n - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  const weight = index - lower;
+  return valueAtRank(marginal, lower) * (1 - weight) + valueAtRank(marginal, upper) * weight;
+}
+
+/**
+ * Mean, median, P10 and P90 of a marginal
+ */
+export function summarizeMarginal(marginal) {
+  return {
+    mean: marginal.sum / marginal.n,
+    median: histogramPercentile(marginal, 50),
+    p10: histogramPercentile(marginal, 10),
+    p90: histogramPercentile(marginal, 90),
+  };
+}
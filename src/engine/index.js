@@ -0,0 +1,80 @@
+/**
+ * NFL Monte Carlo Simulator - Headless Engine
+ *
+ * Pure ES module with no React or DOM dependencies. The UI and any
+ * offline script share the same entry point:
+ *
+ *   import { simulateGame, DEFAULT_PARAMS } from "./engine";
+ *   const results = simulateGame(homeTeam, awayTeam, settings, DEFAULT_PARAMS);
+ *
+ * Teams are plain objects keyed by the team CSV column names.
+ */
+
+export { simulateGame, calculateResults, sigmaTeam } from "./simulate.js";
+export {
+  MAX_SCORE,
+  createScoreHistogram,
+  recordScore,
+  forEachScore,
+  createMarginal,
+  addToMarginal,
+  histogramPercentile,
+  summarizeMarginal,
+} from "./histogram.js";
+export {
+  calculateOffensiveCER,
+  calculateDefensiveCER,
+  calculatePaceAdjustment,
+  calculateExpectedDrives,
+  calculateMatchupPPD,
+  calculateHomeFieldAdvantage,
+  calculateSituationalAdjustments,
+  calculateAdaptiveCorrelation,
+  calculateWeatherAdjustment,
+} from "./model.js";
+export { calculateDriveProbabilities, buildDriveModel } from "./driveModel.js";
+export { createRng, randomSeed, normalizeSeed, resolveSeed, deriveSeed } from "./rng.js";
+export { buildCorrectScore } from "./correctScore.js";
+export { summarizePeriods } from "./periods.js";
+export { createLiveState, calculateCurrentDrive, gameFractionRemaining } from "./live.js";
+export { evaluateBet, priceMarkets, priceAltSpreads, bestSide, STANDARD_ODDS } from "./pricing.js";
+export { devigTwoWay, attachMarketFair, DEVIG_METHODS } from "./devig.js";
+export { settleLeg, priceParlay } from "./parlay.js";
+export { TEASER_POINTS, teaseLeg, priceTeaser, buyPoints } from "./teaser.js";
+export { gradeGame, summarizeBacktest } from "./backtest.js";
+export {
+  QB_PRESETS,
+  EMPTY_ADJUSTMENT,
+  adjustmentDeltas,
+  isAdjusted,
+  applyTeamAdjustment,
+  describeAdjustment,
+  adjustmentsToJSON,
+  adjustmentsFromJSON,
+} from "./adjustments.js";
+export { SCORE_DISTRIBUTIONS, buildScoreDistribution, scoreTableFromGames, scoreAtNormal } from "./distributions.js";
+export { FIT_OBJECTIVES, fitFields, fitParams, summarizeCrossValidation } from "./fit.js";
+export { DEFAULT_STAKING, kellyFraction, sizeStakes, stakeSlate } from "./staking.js";
+export { blendWeights, blendSnapshots, snapshotValues } from "./snapshots.js";
+export { DEFAULT_PARAMS, RHO_BASELINE } from "./params.js";
+export {
+  BUILT_IN_BASELINE,
+  LEAGUE_METRICS,
+  computeLeagueBaselines,
+  withLeagueBaselines,
+  diffBaselines,
+} from "./baselines.js";
+export {
+  DEFAULT_PROFILE_NAME,
+  PARAM_FIELDS,
+  getParam,
+  setParam,
+  mergeParams,
+  validateParams,
+  profileToJSON,
+  profileFromJSON,
+  parseHfaTable,
+  parseScoreTable,
+} from "./profiles.js";
+export { clamp, findValue, parsePercent, zScore, normalCdf, toAmericanOdds, americanToDecimal, breakEvenProbability } from "./utils.js";
+export { setLogger, quietly } from "./logger.js";
@@ -0,0 +1,113 @@
+import { DEFAULT_PARAMS } from "./params.js";
+import { clamp } from "./utils.js";
+import { log } from "./logger.js";
+
+// ============================================
+// LIVE (IN-GAME) STATE
+// ============================================
+//
+// Reprices a game in progress. The current score is fixed, the drive in
+// progress is played from its field position, and only the drives left on
+// the clock are simulated: each team's expected drives are scaled by the
+// share of regulation remaining, with the offense on the field half a
+// drive ahead of the other side (possessions alternate from it).
+
+const QUARTER_SECONDS = 900;
+const GAME_SECONDS = 4 * QUARTER_SECONDS;
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+const logit = (p) => Math.log(p / (1 - p));
+
+/**
+ * Share of regulation still to play
+ *
+ * @throws {Error} For a quarter outside 1-4 (overtime is not modeled live)
+ */
+export function gameFractionRemaining(quarter, secondsLeft) {
+  const q = Math.round(quarter);
+  if (!(q >= 1 && q <= 4)) throw new Error(`Live mode covers regulation only: quarter must be 1-4, got "${quarter}"`);
+  const s = clamp(secondsLeft, 0, QUARTER_SECONDS);
+  return ((4 - q) * QUARTER_SECONDS + s) / GAME_SECONDS;
+}
+
+/**
+ * Outcome probabilities for the drive in progress
+ *
+ * Starts from the offense's per-drive probabilities and moves them with the
+ * distance still to go: a drive past the usual starting spot is less likely
+ * to stall and more likely to finish with a TD, and inside FG range a drive
+ * that doesn't reach the end zone usually ends in a kick.
+ */
+export function calculateCurrentDrive(probs, yardsToGoal, params = DEFAULT_PARAMS) {
+  const l = params.live;
+  const yards = clamp(yardsToGoal, 1, 99);
+  const pStall = clamp(probs.p3out * (yards / l.baseline_yards), 0, 0.95);
+  const pTD = sigmoid(logit(probs.pTD) + l.td_logit_per_yard * (l.baseline_yards - yards));
+  const fgShare = yards <= l.fg_range_yards ? l.fg_share_in_range : probs.fgShare;
+
+  return {
+    pTD: (1 - pStall) * pTD,
+    pFG: (1 - pStall) * fgShare * (1 - pTD),
+  };
+}
+
+/**
+ * Build the live state attached to the raw results
+ *
+ * @param {Object} live - { homeScore, awayScore (numbers or numeric
+ *   strings), quarter (1-4; a game in overtime can't be repriced),
+ *   secondsLeft (in the quarter), possession ("home" | "away"), yardsToGoal }
+ * @param {Object} drives - calculateExpectedDrives() result (full game)
+ * @param {Object} driveModel - buildDriveModel() result
+ * @throws {Error} For a missing or negative score, or a quarter outside 1-4
+ */
+export function createLiveState(live, drives, driveModel, params = DEFAULT_PARAMS) {
+  const homeScore = Number(live.homeScore);
+  const awayScore = Number(live.awayScore);
+  if (!Number.isFinite(homeScore) || !Number.isFinite(awayScore) || homeScore < 0 || awayScore < 0) {
+    throw new Error(`Live scores must be numbers of 0 or more, got "${live.homeScore}" and "${live.awayScore}"`);
+  }
+  const fraction = gameFractionRemaining(live.quarter, live.secondsLeft);
+  const homeHasBall = live.possession !== "away";
+  const offense = homeHasBall ? driveModel.home : driveModel.away;
+  const currentDrive = fraction > 0
+    ? calculateCurrentDrive(offense, live.yardsToGoal, params)
+    : { pTD: 0, pFG: 0 };
+
+  // The drive in progress counts as one of the offense's remaining drives;
+  // offense ends up a quarter drive over its share, defense a quarter under
+  const stillToStart = (teamDrives, hasBall) => Math.max(0, teamDrives * fraction - (hasBall ? 0.75 : 0.25));
+  const homeDrives = stillToStart(drives.homeDrives, homeHasBall);
+  const awayDrives = stillToStart(drives.awayDrives, !homeHasBall);
+
+  log(`\n=== LIVE STATE ===`);
+  log(`  Score: ${homeScore}-${awayScore}, Q${live.quarter} ${live.secondsLeft}s left → ${(fraction * 100).toFixed(1)}% of regulation remaining`);
+  log(`  ${homeHasBall ? 'Home' : 'Away'} ball, ${live.yardsToGoal} yds to goal: pTD=${(currentDrive.pTD*100).toFixed(1)}%, pFG=${(currentDrive.pFG*100).toFixed(1)}%`);
+  log(`  Drives still to start: home ${homeDrives.toFixed(2)}, away ${awayDrives.toFixed(2)}`);
+
+  return {
+    homeScore,
+    awayScore,
+    quarter: live.quarter,
+    secondsLeft: live.secondsLeft,
+    possession: homeHasBall ? "home" : "away",
+    yardsToGoal: live.yardsToGoal,
+    fractionRemaining: fraction,
+    homeDrives,
+    awayDrives,
+    currentDrive,
+    currentDriveExpPts: 7 * currentDrive.pTD + 3 * currentDrive.pFG,
+  };
+}
+
+/**
+ * Points already on the board plus the result of the drive in progress:
+ * returns [homePoints, awayPoints] to add to the simulated remainder
+ */
+export function playLiveStart(state, random) {
+  const u = random();
+  const drivePoints = u < state.currentDrive.pTD ? 7 : u < state.currentDrive.pTD + state.currentDrive.pFG ? 3 : 0;
+  return state.possession === "home"
+    ? [state.homeScore + drivePoints, state.awayScore]
+    : [state.homeScore, state.awayScore + drivePoints];
+}
@@ -0,0 +1,27 @@
+/**
+ * Engine diagnostics
+ *
+ * The model prints its intermediate ratings to the console by default.
+ * Scripts that run thousands of games can silence it with setLogger(null).
+ */
+
+let sink = console.log;
+
+export const log = (...args) => sink(...args);
+
+export function setLogger(fn) {
+  sink = fn || (() => {});
+}
+
+/**
+ * Run fn with diagnostics silenced, restoring the current logger after
+ */
+export function quietly(fn) {
+  const previous = sink;
+  sink = () => {};
+  try {
+    return fn();
+  } finally {
+    sink = previous;
+  }
+}
@@ -0,0 +1,571 @@
+/**
+ * Composite model: CER ratings, pace-based drives, matchup PPD,
+ * correlation and weather. Each function is pure given (teams, params).
+ */
+
+import { DEFAULT_PARAMS } from "./params.js";
+import { clamp, findValue, parsePercent, zScore } from "./utils.js";
+import { log } from "./logger.js";
+
+// ============================================
+// SAMPLE-SIZE SHRINKAGE
+// ============================================
+//
+// A team row with a games-played (or season drive total) column is shrunk
+// metric by metric before the flat LAMBDA: each z-score keeps n / (n + k)
+// of itself, where k is the metric's stabilization sample in games
+// (params.shrinkage), so week-2 numbers and noisy stats like RZ TD% count
+// for less. The reliability the composite loses is filled in from the
+// team's preseason prior rating (CER units), or the league mean without one.
+
+const SAMPLE_COLUMNS = {
+  games: ['Games Played', 'Games', 'GP'],
+  // Season totals only: plain 'Drives' columns often hold per-game averages
+  offense: ['Offensive Drives'],
+  defense: ['Defensive Drives'],
+};
+const PRIOR_COLUMNS = {
+  offense: ['Preseason Off Rating', 'Off Prior'],
+  defense: ['Preseason Def Rating', 'Def Prior'],
+};
+
+/**
+ * Shrinkage for one side of a team, or null when the row has no sample
+ * size (only the flat LAMBDA applies)
+ *
+ * @param {Object} weights - { [z key]: CER weight } for that side
+ * @returns {Object|null} { games, factors: { [z key]: share kept }, prior,
+ *   reliability (weight-averaged share kept) }
+ */
+function sampleShrinkage(team, side, weights, params) {
+  const gamesPlayed = parseFloat(findValue(team, SAMPLE_COLUMNS.games));
+  const drives = parseFloat(findValue(team, SAMPLE_COLUMNS[side]));
+  const games = Number.isFinite(gamesPlayed) ? gamesPlayed
+    : Number.isFinite(drives) ? drives / params.lg.Drives
+    : null;
+  if (games === null) return null;
+
+  const n = Math.max(0, games);
+  const factors = {};
+  Object.keys(weights).forEach(key => {
+    const k = params.shrinkage[key.slice(2)];
+    factors[key] = n + k > 0 ? n / (n + k) : 1;
+  });
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + Math.abs(weight), 0);
+  const reliability = totalWeight > 0
+    ? Object.entries(weights).reduce((sum, [key, weight]) => sum + Math.abs(weight) * factors[key], 0) / totalWeight
+    : 1;
+  const prior = parseFloat(findValue(team, PRIOR_COLUMNS[side]));
+
+  return { games: n, factors, prior: Number.isFinite(prior) ? prior : 0, reliability };
+}
+
+/**
+ * Z-scores the CER uses, and the prior's share of the rating
+ */
+function applyShrinkage(zScores, shrinkage) {
+  if (!shrinkage) return { zScores, priorCER: 0 };
+  const shrunk = {};
+  Object.entries(zScores).forEach(([key, z]) => { shrunk[key] = z * shrinkage.factors[key]; });
+  return { zScores: shrunk, priorCER: (1 - shrinkage.reliability) * shrinkage.prior };
+}
+
+const describeShrinkage = (shrinkage) => (shrinkage
+  ? ` [n=${shrinkage.games.toFixed(1)} games, reliability ${(shrinkage.reliability * 100).toFixed(0)}%, prior ${shrinkage.prior.toFixed(2)}]`
+  : '');
+
+// ============================================
+// TIER 1: COMPOSITE EFFICIENCY RATING (CER)
+// ============================================
+
+/**
+ * Calculate Offensive Composite Efficiency Rating
+ * Returns a z-score representing overall offensive quality
+ */
+export function calculateOffensiveCER(team, params = DEFAULT_PARAMS) {
+  // Extract all offensive metrics
+  // Use helper to handle null/undefined but preserve valid zeros
+  const getNumeric = (val, fallback) => {
+    const parsed = parseFloat(val);
+    return (val !== null && val !== undefined && val !== '' && !isNaN(parsed)) ? parsed : fallback;
+  };
+  const getPercent = (val, fallback) => {
+    const parsed = parsePercent(val);
+    return parsed !== null ? parsed : fallback;
+  };
+  
+  const ppd = getNumeric(findValue(team, ['Offensive Pts/Drive', 'Offensive PPD', 'PPD']), params.lg.PPD);
+  const epa = getNumeric(findValue(team, ['Offensive EPA/Play', 'Offensive EPA/play', 'EPA/play']), params.lg.EPA);
+  const sr = getPercent(findValue(team, ['Offensive Success Rate', 'Offensive Success rate', 'SR']), params.lg.SR);
+  const rztd = getPercent(findValue(team, ['Offensive Red Zone TD Rate', 'Offensive RZ TD%', 'RZ TD%']), params.lg.RZTD);
+  const to_pct = getPercent(findValue(team, ['Offensive TO%', 'TO%', 'Turnover%']), params.lg.TO_pct);
+  const rzDrives = getNumeric(findValue(team, ['Offensive Red Zone Drives/Game', 'RZ Drives/Game']), params.lg.RZDrives);
+  
+  // Calculate z-scores for each metric
+  const z_ppd = zScore(ppd, params.lg.PPD, params.lg.PPD_sd);
+  const z_epa = zScore(epa, params.lg.EPA, params.lg.EPA_sd);
+  const z_sr = zScore(sr, params.lg.SR, params.lg.SR_sd);
+  const z_rztd = zScore(rztd, params.lg.RZTD, params.lg.RZTD_sd);
+  const z_to = zScore(to_pct, params.lg.TO_pct, params.lg.TO_pct_sd);
+  const z_rzDrives = zScore(rzDrives, params.lg.RZDrives, params.lg.RZDrives_sd);
+  
+  // Shrink toward the prior by sample size when the row has one
+  const shrinkage = sampleShrinkage(team, 'offense', {
+    z_ppd: params.weights.off_PPD,
+    z_epa: params.weights.off_EPA,
+    z_sr: params.weights.off_SR,
+    z_rztd: params.weights.off_RZTD,
+    z_to: params.weights.off_TO,
+    z_rzDrives: params.weights.off_RZDrives,
+  }, params);
+  const { zScores, priorCER } = applyShrinkage({ z_ppd, z_epa, z_sr, z_rztd, z_to, z_rzDrives }, shrinkage);
+  
+  // Weighted composite
+  const CER = (
+    params.weights.off_PPD * zScores.z_ppd +
+    params.weights.off_EPA * zScores.z_epa +
+    params.weights.off_SR * zScores.z_sr +
+    params.weights.off_RZTD * zScores.z_rztd +
+    params.weights.off_TO * zScores.z_to +      // Note: negative weight, so high TO% hurts
+    params.weights.off_RZDrives * zScores.z_rzDrives +
+    priorCER
+  );
+  
+  log(`  OFF CER ${team.Team}: PPD=${ppd.toFixed(2)} (z=${z_ppd.toFixed(2)}), EPA=${epa.toFixed(3)} (z=${z_epa.toFixed(2)}), SR=${(sr*100).toFixed(1)}% (z=${z_sr.toFixed(2)}), RZTD=${(rztd*100).toFixed(1)}% (z=${z_rztd.toFixed(2)}), TO=${(to_pct*100).toFixed(1)}% (z=${z_to.toFixed(2)}), RZD=${rzDrives.toFixed(1)} (z=${z_rzDrives.toFixed(2)})${describeShrinkage(shrinkage)} → CER=${CER.toFixed(3)}`);
+  
+  return {
+    CER,
+    components: { ppd, epa, sr, rztd, to_pct, rzDrives },
+    zScores,
+    shrinkage
+  };
+}
+
+/**
+ * Calculate Defensive Composite Efficiency Rating
+ * Returns a z-score representing overall defensive quality
+ * Note: For defense, LOWER stats are better, so we flip signs
+ */
+export function calculateDefensiveCER(team, params = DEFAULT_PARAMS) {
+  // Use helper to handle null/undefined but preserve valid zeros
+  const getNumeric = (val, fallback) => {
+    const parsed = parseFloat(val);
+    return (val !== null && val !== undefined && val !== '' && !isNaN(parsed)) ? parsed : fallback;
+  };
+  const getPercent = (val, fallback) => {
+    const parsed = parsePercent(val);
+    return parsed !== null ? parsed : fallback;
+  };
+  
+  // Extract all defensive metrics (what the defense ALLOWS)
+  const ppd = getNumeric(findValue(team, ['Defensive Pts/Drive', 'Defensive PPD', 'Def PPD']), params.lg.PPD_def);
+  const epa = getNumeric(findValue(team, ['Defensive EPA/Play', 'Defensive EPA/play', 'Def EPA']), params.lg.EPA_def);
+  const sr = getPercent(findValue(team, ['Defensive Success Rate', 'Defensive Success rate', 'Def SR']), params.lg.SR_def);
+  const rztd = getPercent(findValue(team, ['Defensive Red Zone TD Rate', 'Defensive RZ TD%', 'Def RZ TD%']), params.lg.RZTD_def);
+  const to_forced = getPercent(findValue(team, ['Defensive TO%', 'Def TO%', 'Forced TO%']), params.lg.TO_pct_def);
+  const rzDrives = getNumeric(findValue(team, ['Defensive Red Zone Drives/Game', 'Def RZ Drives/Game']), params.lg.RZDrives_def);
+  
+  // Calculate z-scores - NOTE: For defense, positive z = bad defense (allows more)
+  // We want CER where positive = GOOD defense, so we NEGATE
+  const z_ppd = -zScore(ppd, params.lg.PPD_def, params.lg.PPD_def_sd);
+  const z_epa = -zScore(epa, params.lg.EPA_def, params.lg.EPA_def_sd);
+  const z_sr = -zScore(sr, params.lg.SR_def, params.lg.SR_def_sd);
+  const z_rztd = -zScore(rztd, params.lg.RZTD_def, params.lg.RZTD_def_sd);
+  const z_to = zScore(to_forced, params.lg.TO_pct_def, params.lg.TO_pct_def_sd); // Positive: more forced TOs is good
+  const z_rzDrives = -zScore(rzDrives, params.lg.RZDrives_def, params.lg.RZDrives_def_sd);
+  
+  // Shrink toward the prior by sample size when the row has one
+  const shrinkage = sampleShrinkage(team, 'defense', {
+    z_ppd: params.weights.def_PPD,
+    z_epa: params.weights.def_EPA,
+    z_sr: params.weights.def_SR,
+    z_rztd: params.weights.def_RZTD,
+    z_to: params.weights.def_TO,
+    z_rzDrives: params.weights.def_RZDrives,
+  }, params);
+  const { zScores, priorCER } = applyShrinkage({ z_ppd, z_epa, z_sr, z_rztd, z_to, z_rzDrives }, shrinkage);
+  
+  // Weighted composite (positive CER = good defense = suppresses opponent scoring)
+  const CER = (
+    params.weights.def_PPD * zScores.z_ppd +
+    params.weights.def_EPA * zScores.z_epa +
+    params.weights.def_SR * zScores.z_sr +
+    params.weights.def_RZTD * zScores.z_rztd +
+    params.weights.def_TO * zScores.z_to +      // Positive weight × positive z = rewards ball-hawking
+    params.weights.def_RZDrives * zScores.z_rzDrives +
+    priorCER
+  );
+  
+  log(`  DEF CER ${team.Team}: PPD_allowed=${ppd.toFixed(2)} (z=${z_ppd.toFixed(2)}), EPA=${epa.toFixed(3)} (z=${z_epa.toFixed(2)}), SR=${(sr*100).toFixed(1)}% (z=${z_sr.toFixed(2)}), RZTD=${(rztd*100).toFixed(1)}% (z=${z_rztd.toFixed(2)}), TO_forced=${(to_forced*100).toFixed(1)}% (z=${z_to.toFixed(2)}), RZD=${rzDrives.toFixed(1)} (z=${z_rzDrives.toFixed(2)})${describeShrinkage(shrinkage)} → CER=${CER.toFixed(3)}`);
+  
+  return {
+    CER,
+    components: { ppd, epa, sr, rztd, to_forced, rzDrives },
+    zScores,
+    shrinkage
+  };
+}
+
+// ============================================
+// TIER 2: PACE-BASED DRIVES MODEL
+// ============================================
+
+/**
+ * Calculate expected drives for a team based on pace factors
+ * Returns expected drives per game for that team's OFFENSE
+ */
+export function calculatePaceAdjustment(team, isOffense = true, params = DEFAULT_PARAMS) {
+  const prefix = isOffense ? 'Offensive' : 'Defensive';
+  
+  // Extract pace metrics
+  const secSnap = parseFloat(findValue(team, [`${prefix} Seconds/Snap`, `${prefix} Sec/snap`, 'SecSnap'])) || 
+                  (isOffense ? params.lg.SecSnap : params.lg.SecSnap_def);
+  const playsPerDrive = parseFloat(findValue(team, [`${prefix} Plays/Drive`, 'Plays/Drive'])) || 
+                        (isOffense ? params.lg.PlaysPerDrive : params.lg.PlaysPerDrive_def);
+  const threeOut = parsePercent(findValue(team, [isOffense ? 'Off 3-out Rate' : 'Defensive 3-out Rate', `${prefix} 3-out Rate`, '3-out Rate'])) || 
+                   (isOffense ? params.lg.ThreeOut : params.lg.ThreeOut_def);
+  const xpl = parsePercent(findValue(team, [`${prefix} Explosive Play Rate`, `${prefix} Explosive rate`])) || 
+              (isOffense ? params.lg.Xpl : params.lg.Xpl_def);
+  const noHuddle = parsePercent(findValue(team, [`${prefix} No Huddle Rate`, 'No Huddle Rate'])) || params.lg.NoHuddle;
+  const pen = parseFloat(findValue(team, [`${prefix} Penalties/Drive`, 'Penalties/Drive'])) || 
+              (isOffense ? params.lg.Pen : params.lg.Pen_def);
+  const passRate = parsePercent(findValue(team, [`${prefix} Early Down Pass Rate`, 'Early Down Pass Rate'])) || params.lg.PassRate;
+  
+  // Use correct league baselines for z-scores based on offensive vs defensive
+  const lg_secSnap = isOffense ? params.lg.SecSnap : params.lg.SecSnap_def;
+  const lg_secSnap_sd = isOffense ? params.lg.SecSnap_sd : params.lg.SecSnap_def_sd;
+  const lg_playsPerDrive = isOffense ? params.lg.PlaysPerDrive : params.lg.PlaysPerDrive_def;
+  const lg_playsPerDrive_sd = isOffense ? params.lg.PlaysPerDrive_sd : params.lg.PlaysPerDrive_def_sd;
+  const lg_threeOut = isOffense ? params.lg.ThreeOut : params.lg.ThreeOut_def;
+  const lg_threeOut_sd = isOffense ? params.lg.ThreeOut_sd : params.lg.ThreeOut_def_sd;
+  const lg_xpl = isOffense ? params.lg.Xpl : params.lg.Xpl_def;
+  const lg_xpl_sd = isOffense ? params.lg.Xpl_sd : params.lg.Xpl_def_sd;
+  const lg_pen = isOffense ? params.lg.Pen : params.lg.Pen_def;
+  const lg_pen_sd = isOffense ? params.lg.Pen_sd : params.lg.Pen_def_sd;
+  
+  // Calculate z-scores using correct baselines
+  const z_secSnap = zScore(secSnap, lg_secSnap, lg_secSnap_sd);
+  const z_playsPerDrive = zScore(playsPerDrive, lg_playsPerDrive, lg_playsPerDrive_sd);
+  const z_threeOut = zScore(threeOut, lg_threeOut, lg_threeOut_sd);
+  const z_xpl = zScore(xpl, lg_xpl, lg_xpl_sd);
+  const z_noHuddle = zScore(noHuddle, params.lg.NoHuddle, params.lg.NoHuddle_sd);
+  const z_pen = zScore(pen, lg_pen, lg_pen_sd);
+  const z_passRate = zScore(passRate, params.lg.PassRate, params.lg.PassRate_sd);
+  
+  // Calculate pace adjustment (how much to adjust drives from baseline)
+  const paceAdj = (
+    params.pace.secSnap_coef * z_secSnap +
+    params.pace.playsPerDrive_coef * z_playsPerDrive +
+    params.pace.threeOut_coef * z_threeOut +
+    params.pace.xpl_coef * z_xpl +
+    params.pace.noHuddle_coef * z_noHuddle +
+    params.pace.pen_coef * z_pen +
+    params.pace.passRate_coef * z_passRate
+  );
+  
+  return {
+    paceAdj,
+    components: { secSnap, playsPerDrive, threeOut, xpl, noHuddle, pen, passRate },
+    zScores: { z_secSnap, z_playsPerDrive, z_threeOut, z_xpl, z_noHuddle, z_pen, z_passRate }
+  };
+}
+
+/**
+ * Calculate expected drives for a matchup
+ * CONSTRAINT: Drive differential rarely exceeds ±1 (drives are ~zero-sum)
+ * 
+ * Logic:
+ * 1. Calculate GAME-LEVEL total drives from combined pace
+ * 2. Split roughly 50/50
+ * 3. Adjust for turnover differential (TO creates extra possession for opponent)
+ * 4. Hard cap differential at ±1.0
+ */
+export function calculateExpectedDrives(homeTeam, awayTeam, params = DEFAULT_PARAMS) {
+  // Get pace factors for both teams (offense and defense)
+  const homePace = calculatePaceAdjustment(homeTeam, true, params);
+  const awayPace = calculatePaceAdjustment(awayTeam, true, params);
+  const homeDefPace = calculatePaceAdjustment(homeTeam, false, params);
+  const awayDefPace = calculatePaceAdjustment(awayTeam, false, params);
+  
+  // GAME-LEVEL pace: average of all four factors
+  // This determines total possessions in the game
+  const gamePaceAdj = (homePace.paceAdj + awayPace.paceAdj + homeDefPace.paceAdj + awayDefPace.paceAdj) / 4;
+  
+  // Total drives in the game (both teams combined)
+  // Baseline ~21.6 total drives (10.8 each)
+  const totalGameDrives = params.lg.Drives * 2 * (1 + gamePaceAdj);
+  
+  // Base split: each team gets half
+  const baseDrivesEach = totalGameDrives / 2;
+  
+  // TURNOVER ADJUSTMENT: Extra possessions from opponent turnovers
+  // If opponent has high TO%, you get extra drives (and they lose one)
+  const homeTO = parsePercent(findValue(homeTeam, ['Offensive TO%', 'TO%'])) || params.lg.TO_pct;
+  const awayTO = parsePercent(findValue(awayTeam, ['Offensive TO%', 'TO%'])) || params.lg.TO_pct;
+  
+  // Expected turnovers per team
+  const homeExpectedTOs = baseDrivesEach * homeTO;
+  const awayExpectedTOs = baseDrivesEach * awayTO;
+  
+  // Net turnover differential (positive = home team gains possessions)
+  // ~80% of turnovers result in a new drive opportunity
+  const turnoverSwing = (awayExpectedTOs - homeExpectedTOs) * 0.8;
+  
+  // Small pace differential adjustment (fast offense vs slow opponent)
+  // Capped at ±0.3 drives - pace alone can't create huge differentials
+  const paceEdge = (homePace.paceAdj - awayPace.paceAdj) * 0.3;
+  const cappedPaceEdge = clamp(paceEdge, -0.3, 0.3);
+  
+  // Calculate raw drives
+  let homeDrives = baseDrivesEach + (turnoverSwing / 2) + cappedPaceEdge;
+  let awayDrives = baseDrivesEach - (turnoverSwing / 2) - cappedPaceEdge;
+  
+  // HARD CONSTRAINT: Differential cannot exceed ±1.0
+  // In real NFL games, drive counts almost always within 1 of each other
+  const differential = homeDrives - awayDrives;
+  if (Math.abs(differential) > 1.0) {
+    const excess = (Math.abs(differential) - 1.0) / 2;
+    if (differential > 0) {
+      homeDrives -= excess;
+      awayDrives += excess;
+    } else {
+      homeDrives += excess;
+      awayDrives -= excess;
+    }
+  }
+  
+  // Apply final bounds
+  homeDrives = clamp(homeDrives, 9.0, 13.0);
+  awayDrives = clamp(awayDrives, 9.0, 13.0);
+  
+  log(`  DRIVES MODEL:`);
+  log(`    Game pace adj: ${gamePaceAdj.toFixed(3)} → Total game drives: ${totalGameDrives.toFixed(1)}`);
+  log(`    Home TO%: ${(homeTO*100).toFixed(1)}%, Away TO%: ${(awayTO*100).toFixed(1)}%`);
+  log(`    Turnover swing: ${turnoverSwing.toFixed(2)} drives, Pace edge: ${cappedPaceEdge.toFixed(2)}`);
+  log(`    Final: Home ${homeDrives.toFixed(2)} drives, Away ${awayDrives.toFixed(2)} drives (diff: ${(homeDrives-awayDrives).toFixed(2)})`);
+  
+  return {
+    homeDrives,
+    awayDrives,
+    totalGameDrives,
+    differential: homeDrives - awayDrives,
+    turnoverSwing,
+    gamePaceAdj,
+    homePaceDetails: homePace,
+    awayPaceDetails: awayPace,
+    homeDefPaceDetails: homeDefPace,
+    awayDefPaceDetails: awayDefPace
+  };
+}
+
+// ============================================
+// HOME FIELD ADVANTAGE
+// ============================================
+
+/**
+ * Home field advantage in points for one game
+ * Neutral sites get none. Otherwise the home team's own value - a Home
+ * Field Advantage / HFA column in the team CSV, then params.HFA_BY_TEAM -
+ * falling back to the league-wide HOME_FIELD_ADV.
+ */
+export function calculateHomeFieldAdvantage(homeTeam, neutralSite = false, params = DEFAULT_PARAMS) {
+  if (neutralSite) return 0;
+
+  const fromTeamRow = parseFloat(findValue(homeTeam, ['Home Field Advantage', 'HFA']));
+  if (Number.isFinite(fromTeamRow)) return fromTeamRow;
+
+  const fromTable = (params.HFA_BY_TEAM || {})[String(homeTeam.Team).trim().toUpperCase()];
+  return Number.isFinite(fromTable) ? fromTable : params.HOME_FIELD_ADV;
+}
+
+// ============================================
+// REST AND TRAVEL
+// ============================================
+
+const NO_SITUATION = { rest: 0, travel: 0, timeZones: 0, total: 0 };
+
+/**
+ * Rest and travel adjustment for one team, in points
+ * Blank or non-numeric inputs count as a normal week at home.
+ */
+function situationalPoints({ restDays, travelMiles, timeZones }, params) {
+  const s = params.situational;
+  const rest = parseFloat(restDays);
+  const miles = parseFloat(travelMiles);
+  const zones = parseFloat(timeZones);
+
+  let restPts = 0;
+  if (rest <= s.short_week_days) restPts = s.short_week;
+  else if (rest >= s.bye_days) restPts = s.bye;
+  const travelPts = Number.isFinite(miles) ? (Math.abs(miles) / 1000) * s.per_1000_miles : 0;
+  const zonePts = Number.isFinite(zones) ? Math.abs(zones) * s.per_time_zone : 0;
+
+  return { rest: restPts, travel: travelPts, timeZones: zonePts, total: restPts + travelPts + zonePts };
+}
+
+/**
+ * Rest and travel adjustments for both teams from game settings (or a
+ * batch game): homeRestDays, awayRestDays, homeTravelMiles,
+ * awayTravelMiles, homeTimeZones, awayTimeZones
+ *
+ * @returns {Object} { home, away }, each { rest, travel, timeZones, total } in points
+ */
+export function calculateSituationalAdjustments(settings, params = DEFAULT_PARAMS) {
+  return {
+    home: situationalPoints({
+      restDays: settings.homeRestDays, travelMiles: settings.homeTravelMiles, timeZones: settings.homeTimeZones,
+    }, params),
+    away: situationalPoints({
+      restDays: settings.awayRestDays, travelMiles: settings.awayTravelMiles, timeZones: settings.awayTimeZones,
+    }, params),
+  };
+}
+
+// ============================================
+// TIER 3: MATCHUP ADJUSTMENT
+// ============================================
+
+/**
+ * Calculate matchup-adjusted PPD for each team
+ * Uses CER to adjust baseline PPD based on opponent quality
+ *
+ * `hfa` is this game's home field advantage in points (see
+ * calculateHomeFieldAdvantage); it defaults to the home team's own.
+ * `situational` is each team's rest/travel edge (see
+ * calculateSituationalAdjustments); none by default.
+ */
+export function calculateMatchupPPD(
+  homeTeam,
+  awayTeam,
+  params = DEFAULT_PARAMS,
+  hfa = calculateHomeFieldAdvantage(homeTeam, false, params),
+  situational = { home: NO_SITUATION, away: NO_SITUATION }
+) {
+  log("\n=== COMPOSITE EFFICIENCY RATINGS ===");
+  
+  // Get CER for each team
+  const homeOffCER = calculateOffensiveCER(homeTeam, params);
+  const homeDefCER = calculateDefensiveCER(homeTeam, params);
+  const awayOffCER = calculateOffensiveCER(awayTeam, params);
+  const awayDefCER = calculateDefensiveCER(awayTeam, params);
+  
+  // Matchup calculation:
+  // Home team's expected PPD = league avg + (home offense CER - away defense CER) * scale
+  // Away defense CER is positive when defense is GOOD, so we subtract
+  const homeMatchupCER = homeOffCER.CER - awayDefCER.CER;
+  const awayMatchupCER = awayOffCER.CER - homeDefCER.CER;
+  
+  // Convert CER to PPD adjustment
+  const homePPDAdj = homeMatchupCER * params.CER_TO_PPD_SCALE;
+  const awayPPDAdj = awayMatchupCER * params.CER_TO_PPD_SCALE;
+  
+  // Apply shrinkage and calculate final PPD
+  const homeRawPPD = params.lg.PPD + homePPDAdj;
+  const awayRawPPD = params.lg.PPD + awayPPDAdj;
+  
+  // Apply shrinkage toward league mean (on top of any sample-size shrinkage)
+  const homePPD = params.lg.PPD + params.CER_TO_PPD_SCALE * params.LAMBDA * (homeOffCER.CER - awayDefCER.CER);
+  const awayPPD = params.lg.PPD + params.CER_TO_PPD_SCALE * params.LAMBDA * (awayOffCER.CER - homeDefCER.CER);
+  
+  // Home field advantage and rest/travel edges (in PPD terms): each team's
+  // edge is split between its own offense and the opponent's
+  const share = params.HFA_OFFENSE_SHARE;
+  const homeEdge = hfa + situational.home.total;
+  const awayEdge = situational.away.total;
+  const homeAdvPPD = (share * homeEdge - (1 - share) * awayEdge) / params.lg.Drives;
+  const awayAdvPPD = (share * awayEdge - (1 - share) * homeEdge) / params.lg.Drives;
+  const homeFinalPPD = homePPD + homeAdvPPD;
+  const awayFinalPPD = awayPPD + awayAdvPPD;
+  
+  log(`\n=== MATCHUP PPD ===`);
+  log(`  Home CER matchup: ${homeOffCER.CER.toFixed(3)} (off) - ${awayDefCER.CER.toFixed(3)} (opp def) = ${homeMatchupCER.toFixed(3)}`);
+  log(`  Away CER matchup: ${awayOffCER.CER.toFixed(3)} (off) - ${homeDefCER.CER.toFixed(3)} (opp def) = ${awayMatchupCER.toFixed(3)}`);
+  log(`  Home PPD: ${params.lg.PPD.toFixed(2)} + ${homePPDAdj.toFixed(3)} = ${homeRawPPD.toFixed(3)} → shrunk to ${homePPD.toFixed(3)} + edges ${homeAdvPPD.toFixed(3)} = ${homeFinalPPD.toFixed(3)}`);
+  log(`  Away PPD: ${params.lg.PPD.toFixed(2)} + ${awayPPDAdj.toFixed(3)} = ${awayRawPPD.toFixed(3)} → shrunk to ${awayPPD.toFixed(3)} + edges ${awayAdvPPD.toFixed(3)} = ${awayFinalPPD.toFixed(3)}`);
+  log(`  Edges (pts): HFA ${hfa.toFixed(1)}, home rest/travel ${situational.home.total.toFixed(2)}, away rest/travel ${situational.away.total.toFixed(2)}`);
+  
+  return {
+    homePPD: clamp(homeFinalPPD, 1.2, 3.5),
+    awayPPD: clamp(awayFinalPPD, 1.2, 3.5),
+    hfa,
+    situational,
+    homeOffCER,
+    homeDefCER,
+    awayOffCER,
+    awayDefCER
+  };
+}
+
+// ============================================
+// CORRELATION CALCULATION
+// ============================================
+
+export function calculateAdaptiveCorrelation(homeTeam, awayTeam, spread, isDome, windMPH, precip, params = DEFAULT_PARAMS) {
+  let rho = params.RHO_BASELINE;
+  
+  // 1. Competitiveness factor
+  const absSpread = Math.abs(spread);
+  if (absSpread <= 3) rho += 0.10;
+  else if (absSpread <= 7) rho += 0.05;
+  else if (absSpread >= 14) rho -= 0.10;
+  
+  // 2. Style alignment (pass rate)
+  const homePassRate = parsePercent(findValue(homeTeam, ['Offensive Early Down Pass Rate', 'PassRate'])) || params.lg.PassRate;
+  const awayPassRate = parsePercent(findValue(awayTeam, ['Offensive Early Down Pass Rate', 'PassRate'])) || params.lg.PassRate;
+  const passRateDiff = Math.abs(homePassRate - awayPassRate);
+  if (passRateDiff < 0.05) rho += 0.08;
+  else if (passRateDiff > 0.15) rho -= 0.05;
+  
+  // 3. Explosive play tendency 
+  // Mean=8.82% each, P75=9.87%, so combined >19% means both above P75
+  const homeXpl = parsePercent(findValue(homeTeam, ['Offensive Explosive Play Rate'])) || params.lg.Xpl;
+  const awayXpl = parsePercent(findValue(awayTeam, ['Offensive Explosive Play Rate'])) || params.lg.Xpl;
+  if (homeXpl + awayXpl > 0.19) rho += 0.05;  // Both teams above P75
+  
+  // 4. Environmental factors
+  if (isDome) rho += 0.05;
+  if (windMPH > 15) rho -= 0.15;
+  else if (windMPH > 10) rho -= 0.08;
+  
+  if (precip === "heavy_rain" || precip === "snow") rho -= 0.10;
+  else if (precip === "light_rain") rho -= 0.05;
+  
+  // 5. Pace coupling 
+  // P10=27.4 (fast), P50=28.6, P90=29.8 (slow)
+  const homeSecSnap = parseFloat(findValue(homeTeam, ['Offensive Seconds/Snap'])) || params.lg.SecSnap;
+  const awaySecSnap = parseFloat(findValue(awayTeam, ['Offensive Seconds/Snap'])) || params.lg.SecSnap;
+  const avgPace = (homeSecSnap + awaySecSnap) / 2;
+  if (avgPace < 27.4) rho += 0.05;       // Both teams fast (below P10)
+  else if (avgPace > 29.8) rho -= 0.03;  // Both teams slow (above P90)
+  
+  return clamp(rho, -0.05, 0.60);
+}
+
+// ============================================
+// WEATHER ADJUSTMENT
+// ============================================
+
+export function calculateWeatherAdjustment(settings, params = DEFAULT_PARAMS) {
+  let weatherAdj = 0;
+  
+  if (settings.isDome) {
+    weatherAdj += params.weather.dome_bonus;
+  } else {
+    // Wind effect
+    if (settings.windMPH > params.weather.wind_threshold) {
+      const windEffect = (settings.windMPH - params.weather.wind_threshold) * 
+                        params.weather.wind_per_mph_above_threshold;
+      weatherAdj += windEffect;
+    }
+    
+    // Temperature effect
+    if (settings.temperature < params.weather.extreme_cold_threshold) {
+      weatherAdj += params.weather.extreme_cold_penalty;
+    }
+    
+    // Precipitation effect
+    weatherAdj += params.weather.precip_adjustments[settings.precipitation] || 0;
+  }
+  
+  return weatherAdj;
+}
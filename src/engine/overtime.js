@@ -0,0 +1,106 @@
+import { recordScore } from "./histogram.js";
+
+// ============================================
+// OVERTIME
+// ============================================
+//
+// Current NFL rules: both teams are guaranteed a possession, then sudden
+// death. The regular season plays one 10-minute period and a game still
+// tied after it is a tie; that happens with the configurable probability
+// settings.otTieProb. Playoff OT runs 15-minute periods until someone
+// scores, so playoff games use otTieProb = 0.
+
+const OT_TIE_PROB_DEFAULT = 0.05;
+
+/**
+ * Per-possession scoring probabilities for OT from the drive model
+ * (unconditional: includes the chance of a 3-and-out)
+ */
+export function buildOvertimeModel(driveModel) {
+  const perPossession = (probs) => ({
+    pTD: (1 - probs.p3out) * probs.pTD,
+    pFG: (1 - probs.p3out) * probs.pFG,
+  });
+  return { home: perPossession(driveModel.home), away: perPossession(driveModel.away) };
+}
+
+/**
+ * Tracker attached to the raw results while simulating
+ */
+export function createOvertimeTracker(settings, overtimeModel) {
+  const tieProb = settings.otTieProb ?? OT_TIE_PROB_DEFAULT;
+  return {
+    enabled: settings.overtime !== false,
+    tieProb,
+    model: overtimeModel,
+    regulation: { homeWins: 0, awayWins: 0, ties: 0 },
+    games: 0,
+    homeWins: 0,
+    awayWins: 0,
+    ties: 0,
+  };
+}
+
+const playPossession = (probs, random) => {
+  const u = random();
+  if (u < probs.pTD) return 'TD';
+  if (u < probs.pTD + probs.pFG) return 'FG';
+  return null;
+};
+
+/**
+ * Play out overtime from a tied score
+ * Returns [homePoints, awayPoints] scored in OT.
+ */
+function playOvertime(ot, random) {
+  const homeReceives = random() < 0.5;
+  const first = homeReceives ? ot.model.home : ot.model.away;
+  const second = homeReceives ? ot.model.away : ot.model.home;
+  const ordered = (firstPts, secondPts) => (homeReceives ? [firstPts, secondPts] : [secondPts, firstPts]);
+  const points = (outcome) => (outcome === 'TD' ? 7 : outcome === 'FG' ? 3 : 0);
+
+  // Guaranteed possession for each team
+  const firstPts = points(playPossession(first, random));
+  const secondPts = points(playPossession(second, random));
+  if (firstPts !== secondPts) return ordered(firstPts, secondPts);
+
+  // Still level: sudden death, first score wins (a walk-off TD skips the PAT)
+  for (let possession = 0; possession < 20; possession++) {
+    const offenseIsFirst = possession % 2 === 0;
+    const outcome = playPossession(offenseIsFirst ? first : second, random);
+    if (outcome) {
+      const pts = outcome === 'TD' ? 6 : 3;
+      return offenseIsFirst ? ordered(firstPts + pts, secondPts) : ordered(firstPts, secondPts + pts);
+    }
+  }
+
+  // Vanishingly rare: nobody scores in 20 possessions, settle with a field goal for the receiver
+  return ordered(firstPts + 3, secondPts);
+}
+
+/**
+ * Record one simulated game: tally the regulation result, resolve OT for
+ * tied games, and add the final score to the histogram
+ */
+export function recordGameResult(results, homeScore, awayScore, random) {
+  const ot = results.overtime;
+
+  if (homeScore > awayScore) ot.regulation.homeWins++;
+  else if (awayScore > homeScore) ot.regulation.awayWins++;
+  else ot.regulation.ties++;
+
+  if (ot.enabled && homeScore === awayScore) {
+    ot.games++;
+    if (random() < ot.tieProb) {
+      ot.ties++;
+    } else {
+      const [homeOT, awayOT] = playOvertime(ot, random);
+      homeScore += homeOT;
+      awayScore += awayOT;
+      if (homeOT > awayOT) ot.homeWins++;
+      else ot.awayWins++;
+    }
+  }
+
+  recordScore(results.scores, homeScore, awayScore);
+}
@@ -0,0 +1,203 @@
+/**
+ * Default model parameters
+ *
+ * League baselines are from the W13 2024 database (actual CSV analysis).
+ * Every engine function takes a params object shaped like this one as its
+ * last argument, so callers can swap in their own coefficients.
+ */
+
+export const DEFAULT_PARAMS = {
+  lg: {
+    // === CORE EFFICIENCY METRICS (Offense) ===
+    PPD: 2.07488,           // SD=0.427, Range: 1.24-3.05
+    PPD_sd: 0.42745,
+    EPA: -0.00084,          // SD=0.094, Range: -0.19 to 0.16
+    EPA_sd: 0.09376,
+    SR: 0.43625,            // SD=0.035, Range: 32.8%-49.8%
+    SR_sd: 0.03501,
+    RZTD: 0.57717,          // SD=0.089, Range: 33.3%-75.0%
+    RZTD_sd: 0.08942,
+    TO_pct: 0.10805,        // SD=0.030, Range: 4.3%-16.7%
+    TO_pct_sd: 0.03007,
+    RZDrives: 3.27107,      // SD=0.639, Range: 1.82-4.45
+    RZDrives_sd: 0.63882,
+    
+    // === CORE EFFICIENCY METRICS (Defense) ===
+    PPD_def: 2.07108,       // SD=0.325, Range: 1.43-2.67
+    PPD_def_sd: 0.32496,
+    EPA_def: -0.00050,      // SD=0.078
+    EPA_def_sd: 0.07836,
+    SR_def: 0.43604,        // SD=0.032
+    SR_def_sd: 0.03169,
+    RZTD_def: 0.57712,      // SD=0.069
+    RZTD_def_sd: 0.06917,
+    TO_pct_def: 0.10805,    // Forced turnover rate (using offensive avg as baseline)
+    TO_pct_def_sd: 0.03007,
+    RZDrives_def: 3.27533,  // SD=0.502
+    RZDrives_def_sd: 0.50185,
+    
+    // === PACE METRICS ===
+    Drives: 10.79735,       // SD=0.618, Range: 9.55-11.91
+    Drives_sd: 0.61829,
+    SecSnap: 28.51460,      // SD=1.049, Range: 25.5-30.3
+    SecSnap_sd: 1.04923,
+    PlaysPerDrive: 5.69904, // SD=0.446, Range: 4.90-6.96
+    PlaysPerDrive_sd: 0.44626,
+    ThreeOut: 0.20567,      // SD=0.040, Range: 15.7%-30.4%
+    ThreeOut_sd: 0.03964,
+    Xpl: 0.08818,           // SD=0.015, Range: 5.8%-12.0%
+    Xpl_sd: 0.01459,
+    NoHuddle: 0.10190,      // SD=0.115 (high variance - WAS outlier at 66.7%)
+    NoHuddle_sd: 0.11488,
+    Pen: 0.35424,           // SD=0.065, Range: 0.21-0.47
+    Pen_sd: 0.06476,
+    PassRate: 0.54922,      // SD=0.047, Range: 44.8%-65.2%
+    PassRate_sd: 0.04747,
+    
+    // === DEFENSIVE PACE ===
+    Drives_def: 10.79616,
+    Drives_def_sd: 0.61571,
+    ThreeOut_def: 0.20558,  // SD=0.047
+    ThreeOut_def_sd: 0.04722,
+    Xpl_def: 0.08802,       // SD=0.017
+    Xpl_def_sd: 0.01661,
+    PlaysPerDrive_def: 5.69806,
+    PlaysPerDrive_def_sd: 0.36760,
+    SecSnap_def: 28.52732,
+    SecSnap_def_sd: 1.25079,
+    Pen_def: 0.35429,
+    Pen_def_sd: 0.05821,
+    
+    // === OTHER ===
+    StartingFP: 30.50313,   // SD=1.387
+    StartingFP_sd: 1.38715,
+  },
+  
+  // === MODEL COEFFICIENTS ===
+  weights: {
+    // Offensive CER weights (scoring potential)
+    off_PPD: 0.45,
+    off_EPA: 0.20,
+    off_SR: 0.15,
+    off_RZTD: 0.10,
+    off_RZDrives: 0.07,
+    off_TO: -0.03,         // Negative: higher TO% is bad
+    
+    // Defensive CER weights (preventing points)
+    def_EPA: 0.30,
+    def_SR: 0.25,
+    def_RZDrives: 0.20,
+    def_PPD: 0.15,
+    def_RZTD: 0.07,
+    def_TO: 0.03,          // Positive: more forced TOs makes defense better
+  },
+  
+  // Pace coefficients (per 1 SD deviation)
+  pace: {
+    secSnap_coef: -0.08,    // Faster pace → more drives
+    playsPerDrive_coef: -0.05, // Fewer plays/drive → more drives
+    threeOut_coef: 0.09,    // More 3-outs → more drives (reduced from 0.12)
+    xpl_coef: 0.03,         // More explosives → drives end faster (reduced from 0.04)
+    noHuddle_coef: 0.06,    // No-huddle → faster pace
+    pen_coef: -0.03,        // More penalties → longer drives
+    passRate_coef: 0.015,   // Higher pass rate → slight pace increase (reduced from 0.02)
+  },
+  
+  // Shrinkage and adjustments
+  LAMBDA: 0.85,             // Shrinkage factor on every CER (after any sample-size shrinkage)
+  HOME_FIELD_ADV: 1.3,      // Home field advantage in points (teams without their own value)
+  HFA_OFFENSE_SHARE: 1.0,   // Share of HFA (and any rest/travel edge) on a team's own offense; the rest comes off the opponent's
+  HFA_BY_TEAM: {},          // Per-team home field advantage in points, keyed by upper-case team name
+  CER_TO_PPD_SCALE: 0.32,   // Scale CER z-scores to PPD adjustment
+  RHO_BASELINE: 0.22,       // Starting point for the adaptive score correlation
+  
+  // Sample-size shrinkage: games at which a metric's z-score keeps half its
+  // value (n / (n + k)); noisier stats need more games
+  shrinkage: {
+    ppd: 3,
+    epa: 2,
+    sr: 2,
+    rztd: 8,
+    to: 6,
+    rzDrives: 4,
+  },
+  
+  // Rest and travel, in points for the team affected (blank inputs = no adjustment)
+  situational: {
+    short_week_days: 5,     // Rest at or below this is a short week (Thursday after Sunday = 4)
+    short_week: -0.8,
+    bye_days: 13,           // Rest at or above this is coming off a bye
+    bye: 0.6,
+    per_1000_miles: -0.3,   // Travel to the game
+    per_time_zone: -0.25,   // Time zones crossed, either direction
+  },
+  
+  // Normal engine: each team's score SD grows with its expected points
+  sigma: {
+    base: 5.5,              // SD at the pivot (before the floor)
+    per_point: 0.15,        // SD added per expected point above the pivot
+    pivot: 20,
+    min: 6.5,
+    max: 9.5,
+  },
+  
+  // Copula score distributions for the normal engine (settings.scoreDistribution)
+  scoreDistributions: {
+    // Mixture: fixed league priors, the same for every team and not fitted
+    // to the score table; the mixture's spread is matched to sigma
+    prior_td_share: 0.72,   // Mixture: share of expected points scored by touchdowns
+    prior_td_seven: 0.94,   // Mixture: touchdowns worth 7 (extra point made)
+    prior_td_eight: 0.02,   // Mixture: touchdowns worth 8; the rest are worth 6
+    table: {},              // Empirical: { [points]: count } of past team scores
+  },
+  
+  // Discrete drive model (logistic shape terms on matchup z-scores)
+  // Base rates: ~20.6% 3-and-outs, ~28.5% of sustained drives end in a TD,
+  // ~28% of the rest in a FG. The intercepts are then shifted per team so
+  // the drives score the matchup PPD.
+  drive: {
+    td_base: 0.285,         // P(TD | sustained drive) for a league-average matchup
+    fg_share: 0.28,         // φ: P(FG | sustained, no TD)
+    a1_epa: 0.25,           // 3-out: EPA_net
+    a2_sr: 0.20,            // 3-out: SR_net
+    a3_threeOut: 0.20,      // 3-out: offense + opponent 3-out tendency
+    a4_rzBad: 0.05,         // 3-out: poor red-zone matchup
+    b1_epa: 0.20,           // TD: EPA_net
+    b2_sr: 0.10,            // TD: SR_net
+    b3_rz: 0.15,            // TD: RZ_net
+    game_sd: 0.25,          // SD of per-game logit shock (carries ρ between teams)
+  },
+  
+  // Period splits (first-half / first-quarter markets)
+  // Share of each team's scoring by quarter; Q2 and Q4 run
+  // heavier because of two-minute drives before the half and at the end
+  periods: {
+    quarterShare: [0.19, 0.31, 0.21, 0.29],
+  },
+  
+  // Live mode: drive in progress, moved from the typical starting spot
+  live: {
+    baseline_yards: 70,       // Yards to goal at a typical drive start
+    td_logit_per_yard: 0.035, // TD logit gained per yard past the baseline
+    fg_range_yards: 35,       // Inside this many yards to goal a stalled drive is a FG try
+    fg_share_in_range: 0.75,  // P(FG | no TD) inside FG range
+  },
+  
+  // Weather coefficients
+  weather: {
+    dome_bonus: 1.5,
+    wind_per_mph_above_threshold: -0.06,
+    wind_threshold: 10,
+    extreme_cold_threshold: 25,
+    extreme_cold_penalty: -1.5,
+    precip_adjustments: {
+      none: 0,
+      light_rain: -1.0,
+      heavy_rain: -2.0,
+      snow: -2.5,
+    },
+  },
+};
+
+// Kept for scripts that import it; the engine reads params.RHO_BASELINE
+export const RHO_BASELINE = DEFAULT_PARAMS.RHO_BASELINE;
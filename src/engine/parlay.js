@@ -0,0 +1,86 @@
+import { toAmericanOdds } from "./utils.js";
+import { evaluateBet } from "./pricing.js";
+
+// ============================================
+// SAME-GAME PARLAYS
+// ============================================
+//
+// Every leg settles on the final score, so the joint score distribution
+// (results.correctScore.scores: every simulated final score with its
+// count) prices any combination with its correlation intact. A pushed leg
+// is void: the parlay still wins if every other leg wins, at a reduced
+// price we can't know without leg prices, so it is reported separately and
+// treated as stake returned for EV.
+
+/**
+ * Settle one leg on a final score: 1 = win, 0 = push, -1 = loss
+ *
+ * Legs: { market: 'spread', side: 'home' | 'away', line } (line from that
+ * side's perspective, e.g. home -3 / away +3), { market: 'total' |
+ * 'homeTeamTotal' | 'awayTeamTotal', side: 'over' | 'under', line },
+ * { market: 'moneyline', side: 'home' | 'away' } (a tie pushes)
+ */
+export function settleLeg(leg, home, away) {
+  let result;
+  switch (leg.market) {
+    case 'spread':
+      result = (leg.side === 'home' ? home - away : away - home) + leg.line;
+      break;
+    case 'moneyline':
+      result = leg.side === 'home' ? home - away : away - home;
+      break;
+    default: {
+      const points = leg.market === 'homeTeamTotal' ? home : leg.market === 'awayTeamTotal' ? away : home + away;
+      result = leg.side === 'over' ? points - leg.line : leg.line - points;
+    }
+  }
+  return Math.sign(result);
+}
+
+/**
+ * Price a same-game parlay from the joint score distribution
+ *
+ * @param {Object[]} scores - results.correctScore.scores
+ * @param {Object[]} legs - see settleLeg
+ * @param {number} [odds] - Entered parlay price (American), optional
+ * @returns {Object} { legs (with winPct / pushPct each), jointPct (every leg
+ *   wins), voidPct (no loss, at least one push), lossPct, independentPct
+ *   (product of leg win rates), correlationLift, fairOdds, bet }
+ */
+export function priceParlay(scores, legs, odds) {
+  const n = scores.reduce((sum, s) => sum + s.count, 0);
+  const legWins = new Array(legs.length).fill(0);
+  const legPushes = new Array(legs.length).fill(0);
+  let joint = 0, voided = 0;
+
+  scores.forEach(({ home, away, count }) => {
+    let lost = false, pushed = false;
+    legs.forEach((leg, i) => {
+      const outcome = settleLeg(leg, home, away);
+      if (outcome > 0) legWins[i] += count;
+      else if (outcome === 0) {
+        legPushes[i] += count;
+        pushed = true;
+      } else lost = true;
+    });
+    if (!lost) {
+      if (pushed) voided += count;
+      else joint += count;
+    }
+  });
+
+  const jointPct = (joint / n) * 100;
+  const voidPct = (voided / n) * 100;
+  const independentPct = legWins.reduce((product, wins) => product * (wins / n), 1) * 100;
+
+  return {
+    legs: legs.map((leg, i) => ({ ...leg, winPct: (legWins[i] / n) * 100, pushPct: (legPushes[i] / n) * 100 })),
+    jointPct,
+    voidPct,
+    lossPct: 100 - jointPct - voidPct,
+    independentPct,
+    correlationLift: independentPct > 0 ? jointPct / independentPct : null,
+    fairOdds: toAmericanOdds(n > voided ? joint / (n - voided) : 0),  // Void refunded
+    bet: evaluateBet(jointPct, voidPct, odds),
+  };
+}
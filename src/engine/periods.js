@@ -0,0 +1,174 @@
+import { createScoreHistogram, recordScore, forEachScore } from "./histogram.js";
+import { createRng, deriveSeed } from "./rng.js";
+
+// ============================================
+// HALVES & QUARTERS
+// ============================================
+//
+// Each simulated regulation score is split into quarters so first-half and
+// first-quarter lines can be priced from the same games as the full-game
+// markets. Every scoring drive (drive engine) or scoring play of the final
+// score (normal engine) lands in a quarter with the probability in
+// params.periods.quarterShare, the same for both teams. Overtime points
+// never belong to a period.
+//
+// The split draws from its own stream derived from the game seed, so
+// adding period markets leaves full-game results for a seed unchanged.
+
+const PERIOD_STREAM = 1;
+
+/**
+ * Tracker attached to the raw results while simulating
+ */
+export function createPeriodTracker(seed, params) {
+  const shares = params.periods.quarterShare;
+  const cumulative = [];
+  shares.reduce((sum, share, q) => (cumulative[q] = sum + share), 0);
+
+  return {
+    random: createRng(deriveSeed(seed, PERIOD_STREAM)),
+    quarterShare: shares,
+    cumulative,
+    firstHalf: createScoreHistogram(),
+    firstQuarter: createScoreHistogram(),
+  };
+}
+
+/**
+ * Break a final score into scoring plays: as many touchdowns (7) as still
+ * leave a remainder of field goals (3), so 13 is 7+3+3 and 9 is 3+3+3.
+ * Scores no 7/3 mix makes (8, 11...) take 7s and 3s greedily and keep the
+ * leftover as one play (safety, two-point try, missed PAT...).
+ */
+export function splitScoringPlays(score) {
+  const repeat = (points, count) => new Array(count).fill(points);
+  for (let touchdowns = Math.floor(score / 7); touchdowns >= 0; touchdowns--) {
+    const rest = score - 7 * touchdowns;
+    if (rest % 3 === 0) return [...repeat(7, touchdowns), ...repeat(3, rest / 3)];
+  }
+
+  const touchdowns = Math.floor(score / 7);
+  const fieldGoals = Math.floor((score - 7 * touchdowns) / 3);
+  const leftover = score - 7 * touchdowns - 3 * fieldGoals;
+  return [...repeat(7, touchdowns), ...repeat(3, fieldGoals), ...(leftover > 0 ? [leftover] : [])];
+}
+
+/**
+ * Place each scoring play in a quarter; returns [Q1 points, 1H points]
+ */
+function splitPlays(tracker, plays) {
+  const { random, cumulative } = tracker;
+  const total = cumulative[cumulative.length - 1];
+  let q1 = 0, h1 = 0;
+
+  for (let i = 0; i < plays.length; i++) {
+    const u = random() * total;
+    if (u < cumulative[0]) {
+      q1 += plays[i];
+      h1 += plays[i];
+    } else if (u < cumulative[1]) {
+      h1 += plays[i];
+    }
+  }
+  return [q1, h1];
+}
+
+/**
+ * Record the period scores of one simulated game from each team's scoring plays
+ */
+export function recordPeriods(tracker, homePlays, awayPlays) {
+  const [homeQ1, homeH1] = splitPlays(tracker, homePlays);
+  const [awayQ1, awayH1] = splitPlays(tracker, awayPlays);
+  recordScore(tracker.firstQuarter, homeQ1, awayQ1);
+  recordScore(tracker.firstHalf, homeH1, awayH1);
+}
+
+/**
+ * Scale a full-game line down to a period, rounded to the nearest half point
+ */
+const scaleLine = (line, share) => Math.round(line * share * 2) / 2;
+
+/**
+ * The period line the user entered, or the scaled full-game line when the
+ * field is missing or cleared (NaN)
+ */
+const periodLine = (line, fullLine, share) => (Number.isFinite(line) ? line : scaleLine(fullLine, share));
+
+/**
+ * Total, spread and three-way result for one period's score histogram
+ */
+function summarizePeriod(hist, totalLine, spreadLine) {
+  const n = hist.n;
+  const spreadThreshold = -spreadLine;
+  let over = 0, under = 0, push = 0;
+  let homeCover = 0, awayCover = 0, spreadPush = 0;
+  let homeWins = 0, awayWins = 0;
+  let homePoints = 0, awayPoints = 0;
+
+  forEachScore(hist, (home, away, count) => {
+    const total = home + away;
+    const margin = home - away;
+    homePoints += home * count;
+    awayPoints += away * count;
+
+    if (total > totalLine) over += count;
+    else if (total < totalLine) under += count;
+    else push += count;
+
+    if (margin > spreadThreshold) homeCover += count;
+    else if (margin < spreadThreshold) awayCover += count;
+    else spreadPush += count;
+
+    if (margin > 0) homeWins += count;
+    else if (margin < 0) awayWins += count;
+  });
+
+  return {
+    homeMean: homePoints / n,
+    awayMean: awayPoints / n,
+    overUnder: {
+      line: totalLine,
+      overPct: (over / n) * 100,
+      underPct: (under / n) * 100,
+      pushPct: (push / n) * 100,
+    },
+    spread: {
+      line: spreadLine,
+      homeCoverPct: (homeCover / n) * 100,
+      awayCoverPct: (awayCover / n) * 100,
+      pushPct: (spreadPush / n) * 100,
+    },
+    // Periods can end level, so the result is always three-way
+    moneyline: {
+      homePct: (homeWins / n) * 100,
+      tiePct: ((n - homeWins - awayWins) / n) * 100,
+      awayPct: (awayWins / n) * 100,
+    },
+  };
+}
+
+/**
+ * First-half and first-quarter markets
+ *
+ * Lines come from settings.firstHalfOverUnderLine / firstHalfSpreadLine and
+ * firstQuarterOverUnderLine / firstQuarterSpreadLine; a missing or blank
+ * line is scaled down from the full-game line by the period's share of scoring.
+ */
+export function summarizePeriods(tracker, settings) {
+  const [q1Share, q2Share] = tracker.quarterShare;
+  const h1Share = q1Share + q2Share;
+
+  return {
+    quarterShare: tracker.quarterShare,
+    firstHalf: summarizePeriod(
+      tracker.firstHalf,
+      periodLine(settings.firstHalfOverUnderLine, settings.overUnderLine, h1Share),
+      periodLine(settings.firstHalfSpreadLine, settings.spreadLine, h1Share)
+    ),
+    firstQuarter: summarizePeriod(
+      tracker.firstQuarter,
+      periodLine(settings.firstQuarterOverUnderLine, settings.overUnderLine, q1Share),
+      periodLine(settings.firstQuarterSpreadLine, settings.spreadLine, q1Share)
+    ),
+  };
+}
@@ -0,0 +1,114 @@
+import { americanToDecimal, breakEvenProbability } from "./utils.js";
+import { attachMarketFair } from "./devig.js";
+
+// ============================================
+// PRICING & EXPECTED VALUE
+// ============================================
+//
+// Every side is priced at the odds the user entered. A push returns the
+// stake, so it carries no profit or loss: EV counts wins and losses only,
+// and edge compares the win rate among decided bets with the price's
+// break-even probability.
+
+export const STANDARD_ODDS = -110;
+
+const isPrice = (odds) => Number.isFinite(odds) && Math.abs(odds) >= 100;
+const juice = (odds) => (isPrice(odds) ? odds : STANDARD_ODDS);
+
+/**
+ * Value of one side at a price
+ *
+ * @param {number} winPct - Probability the bet wins, 0-100
+ * @param {number} pushPct - Probability the stake is returned, 0-100
+ * @param {number} odds - American odds
+ * @returns {Object|null} null when no valid price was entered
+ */
+export function evaluateBet(winPct, pushPct, odds) {
+  if (!isPrice(odds)) return null;
+
+  const win = winPct / 100;
+  const push = pushPct / 100;
+  const loss = Math.max(0, 1 - win - push);
+  const profit = americanToDecimal(odds) - 1;
+  const breakEven = breakEvenProbability(odds);
+  const decidedWin = win + loss > 0 ? win / (win + loss) : 0;
+
+  return {
+    odds,
+    winPct,
+    pushPct,
+    lossPct: loss * 100,
+    breakEvenPct: breakEven * 100,
+    modelPct: decidedWin * 100,  // Win rate among decided bets, comparable to the market's no-vig price
+    edgePct: (decidedWin - breakEven) * 100,
+    ev: win * profit - loss,   // Per unit staked
+  };
+}
+
+/**
+ * Price both sides of every full-game market
+ *
+ * Odds come from settings: overOdds, underOdds, homeSpreadOdds,
+ * awaySpreadOdds, homeTeamOverOdds, homeTeamUnderOdds, awayTeamOverOdds,
+ * awayTeamUnderOdds (default -110), homeMoneyline, awayMoneyline (no
+ * default; a side without a price is null). Two-sided markets also carry
+ * the market's no-vig probability on each side (see attachMarketFair).
+ */
+export function priceMarkets(markets, settings) {
+  const { overUnder, homeTeamOverUnder, awayTeamOverUnder, spread, moneyline } = markets;
+
+  const pricing = {
+    total: {
+      over: evaluateBet(overUnder.overPct, overUnder.pushPct, juice(settings.overOdds)),
+      under: evaluateBet(overUnder.underPct, overUnder.pushPct, juice(settings.underOdds)),
+    },
+    homeTeamTotal: {
+      over: evaluateBet(homeTeamOverUnder.overPct, homeTeamOverUnder.pushPct, juice(settings.homeTeamOverOdds)),
+      under: evaluateBet(homeTeamOverUnder.underPct, homeTeamOverUnder.pushPct, juice(settings.homeTeamUnderOdds)),
+    },
+    awayTeamTotal: {
+      over: evaluateBet(awayTeamOverUnder.overPct, awayTeamOverUnder.pushPct, juice(settings.awayTeamOverOdds)),
+      under: evaluateBet(awayTeamOverUnder.underPct, awayTeamOverUnder.pushPct, juice(settings.awayTeamUnderOdds)),
+    },
+    spread: {
+      home: evaluateBet(spread.homeCoverPct, spread.pushPct, juice(settings.homeSpreadOdds)),
+      away: evaluateBet(spread.awayCoverPct, spread.pushPct, juice(settings.awaySpreadOdds)),
+    },
+    // Two-way moneyline: a game still tied after OT is a push
+    moneyline: {
+      home: evaluateBet(moneyline.homeWinPct, moneyline.tiePct, settings.homeMoneyline),
+      away: evaluateBet(moneyline.awayWinPct, moneyline.tiePct, settings.awayMoneyline),
+    },
+  };
+
+  // The book's own no-vig view of each two-sided market
+  Object.values(pricing).forEach((sides) => attachMarketFair(...Object.values(sides)));
+
+  return pricing;
+}
+
+/**
+ * Price both sides of each alternate spread at the entered spread odds
+ * (-110 when blank); a margin landing on the line is a push, as on the
+ * main spread
+ *
+ * @param {Object[]} altLines - results.spread.altLines ({ line, coverPct,
+ *   pushPct, awayCoverPct }), line from the home side
+ * @returns {Object[]} [{ line, home, away }]
+ */
+export function priceAltSpreads(altLines, settings) {
+  return altLines.map(({ line, coverPct, pushPct, awayCoverPct }) => ({
+    line,
+    home: evaluateBet(coverPct, pushPct, juice(settings.homeSpreadOdds)),
+    away: evaluateBet(awayCoverPct, pushPct, juice(settings.awaySpreadOdds)),
+  }));
+}
+
+/**
+ * The better-priced of two sides (higher EV), or null if neither is priced
+ */
+export function bestSide(sides) {
+  return Object.entries(sides)
+    .filter(([, bet]) => bet)
+    .reduce((best, [side, bet]) => (!best || bet.ev > best.bet.ev ? { side, bet } : best), null);
+}
@@ -0,0 +1,220 @@
+import { DEFAULT_PARAMS } from "./params.js";
+
+// ============================================
+// PARAMETER PROFILES
+// ============================================
+//
+// A profile is a named params object. Only the coefficients listed in
+// PARAM_FIELDS are edited and validated in the UI; anything else in a
+// loaded profile (league baselines, drive model) is merged over the
+// defaults as-is, so profiles saved before a parameter existed still load.
+
+export const DEFAULT_PROFILE_NAME = 'Default';
+
+const fieldsOf = (section, min, max, step) =>
+  Object.keys(DEFAULT_PARAMS[section]).map(key => ({ path: `${section}.${key}`, label: key, min, max, step }));
+
+/**
+ * Editable coefficients, grouped for display, with the range each must fall in
+ */
+export const PARAM_FIELDS = [
+  { group: 'CER Weights', fields: fieldsOf('weights', -1, 1, 0.01) },
+  { group: 'Pace Coefficients', fields: fieldsOf('pace', -0.5, 0.5, 0.005) },
+  {
+    group: 'Scaling & Correlation',
+    fields: [
+      { path: 'LAMBDA', label: 'LAMBDA (shrinkage)', min: 0, max: 1, step: 0.01 },
+      { path: 'HOME_FIELD_ADV', label: 'HOME_FIELD_ADV (pts)', min: -5, max: 5, step: 0.1 },
+      { path: 'HFA_OFFENSE_SHARE', label: 'HFA_OFFENSE_SHARE', min: 0, max: 1, step: 0.05 },
+      { path: 'CER_TO_PPD_SCALE', label: 'CER_TO_PPD_SCALE', min: 0, max: 2, step: 0.01 },
+      { path: 'RHO_BASELINE', label: 'RHO_BASELINE', min: -0.5, max: 0.9, step: 0.01 },
+    ],
+  },
+  { group: 'Sample-Size Shrinkage (games)', fields: fieldsOf('shrinkage', 0, 40, 0.5) },
+  {
+    group: 'Score Variance',
+    fields: [
+      { path: 'sigma.base', label: 'sigma.base (pts)', min: 2, max: 15, step: 0.1 },
+      { path: 'sigma.per_point', label: 'sigma.per_point', min: 0, max: 0.5, step: 0.01 },
+      { path: 'sigma.pivot', label: 'sigma.pivot (pts)', min: 0, max: 40, step: 0.5 },
+      { path: 'sigma.min', label: 'sigma.min (pts)', min: 2, max: 15, step: 0.1 },
+      { path: 'sigma.max', label: 'sigma.max (pts)', min: 2, max: 20, step: 0.1 },
+    ],
+  },
+  {
+    group: 'Score Distributions',
+    fields: [
+      { path: 'scoreDistributions.prior_td_share', label: 'mixture prior: td_share', min: 0.3, max: 1, step: 0.01 },
+      { path: 'scoreDistributions.prior_td_seven', label: 'mixture prior: td_seven', min: 0, max: 1, step: 0.01 },
+      { path: 'scoreDistributions.prior_td_eight', label: 'mixture prior: td_eight', min: 0, max: 0.5, step: 0.01 },
+    ],
+  },
+  {
+    group: 'Rest & Travel',
+    fields: [
+      { path: 'situational.short_week_days', label: 'short_week_days (≤)', min: 0, max: 7, step: 1 },
+      { path: 'situational.short_week', label: 'short_week (pts)', min: -5, max: 2, step: 0.1 },
+      { path: 'situational.bye_days', label: 'bye_days (≥)', min: 7, max: 21, step: 1 },
+      { path: 'situational.bye', label: 'bye (pts)', min: -2, max: 5, step: 0.1 },
+      { path: 'situational.per_1000_miles', label: 'per_1000_miles (pts)', min: -3, max: 0, step: 0.05 },
+      { path: 'situational.per_time_zone', label: 'per_time_zone (pts)', min: -3, max: 0, step: 0.05 },
+    ],
+  },
+  {
+    group: 'Weather',
+    fields: [
+      { path: 'weather.dome_bonus', label: 'dome_bonus (pts)', min: -5, max: 5, step: 0.1 },
+      { path: 'weather.wind_threshold', label: 'wind_threshold (mph)', min: 0, max: 40, step: 1 },
+      { path: 'weather.wind_per_mph_above_threshold', label: 'wind_per_mph (pts)', min: -1, max: 0, step: 0.01 },
+      { path: 'weather.extreme_cold_threshold', label: 'extreme_cold_threshold (°F)', min: -20, max: 60, step: 1 },
+      { path: 'weather.extreme_cold_penalty', label: 'extreme_cold_penalty (pts)', min: -10, max: 0, step: 0.1 },
+      ...Object.keys(DEFAULT_PARAMS.weather.precip_adjustments).map(key => ({
+        path: `weather.precip_adjustments.${key}`, label: `precip: ${key} (pts)`, min: -10, max: 0, step: 0.1,
+      })),
+    ],
+  },
+];
+
+// Range a per-team home field advantage (params.HFA_BY_TEAM) must fall in
+const TEAM_HFA_RANGE = { min: -5, max: 10 };
+
+export const getParam = (params, path) => path.split('.').reduce((obj, key) => obj?.[key], params);
+
+/**
+ * Copy of params with one dotted path replaced
+ */
+export function setParam(params, path, value) {
+  const [key, ...rest] = path.split('.');
+  return { ...params, [key]: rest.length ? setParam(params[key], rest.join('.'), value) : value };
+}
+
+/**
+ * Deep-merge a (possibly partial) params object over a base
+ */
+export function mergeParams(overrides, base = DEFAULT_PARAMS) {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] && typeof base[key] === 'object'
+      ? mergeParams(value, base[key])
+      : value;
+  });
+  return merged;
+}
+
+/**
+ * Check every editable coefficient is a number inside its range
+ *
+ * @returns {Object} { [path]: message } — empty when valid
+ */
+export function validateParams(params) {
+  const errors = {};
+  PARAM_FIELDS.forEach(({ fields }) => fields.forEach(({ path, min, max }) => {
+    const value = getParam(params, path);
+    if (typeof value !== 'number' || !Number.isFinite(value)) errors[path] = 'Must be a number';
+    else if (value < min || value > max) errors[path] = `Must be between ${min} and ${max}`;
+  }));
+  const { prior_td_seven, prior_td_eight, table } = params.scoreDistributions || {};
+  if (prior_td_seven + prior_td_eight > 1) {
+    errors['scoreDistributions.prior_td_eight'] = 'td_seven + td_eight must not exceed 1';
+  }
+  Object.entries(table || {}).forEach(([points, count]) => {
+    if (!/^\d+$/.test(points) || typeof count !== 'number' || !Number.isFinite(count) || count < 0) {
+      errors[`scoreDistributions.table.${points}`] = 'Must be a whole score with a count of 0 or more';
+    }
+  });
+  Object.entries(params.HFA_BY_TEAM || {}).forEach(([team, value]) => {
+    const { min, max } = TEAM_HFA_RANGE;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      errors[`HFA_BY_TEAM.${team}`] = `Must be a number between ${min} and ${max}`;
+    }
+  });
+  return errors;
+}
+
+/**
+ * Parse a per-team home field advantage table: a CSV with a team column
+ * (Team) and a points column (HFA / Home Field Advantage), or two bare
+ * columns with no header
+ *
+ * @returns {Object} { [TEAM]: points } ready for params.HFA_BY_TEAM
+ * @throws {Error} When no row has a team and a numeric value
+ */
+export function parseHfaTable(text) {
+  const rows = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.split(',').map(cell => cell.trim()));
+  const header = rows[0].map(cell => cell.toLowerCase());
+  const hasHeader = !Number.isFinite(parseFloat(rows[0][1]));
+  const teamCol = hasHeader ? Math.max(0, header.findIndex(cell => cell === 'team')) : 0;
+  const hfaCol = hasHeader
+    ? header.findIndex(cell => cell === 'hfa' || cell === 'home field advantage')
+    : 1;
+  if (hfaCol < 0) throw new Error("HFA table needs an HFA column");
+
+  const table = {};
+  rows.slice(hasHeader ? 1 : 0).forEach(row => {
+    const team = (row[teamCol] || '').toUpperCase();
+    const value = parseFloat(row[hfaCol]);
+    if (team && Number.isFinite(value)) table[team] = value;
+  });
+  if (Object.keys(table).length === 0) throw new Error("HFA table has no team rows");
+  return table;
+}
+
+/**
+ * Parse a score table for the empirical score distribution: a CSV with a
+ * Score (or Points) column and a Count (or Games / Frequency) column, or
+ * two bare columns with no header
+ *
+ * @returns {Object} { [points]: count } ready for params.scoreDistributions.table
+ * @throws {Error} When no row has a whole score and a count
+ */
+export function parseScoreTable(text) {
+  const rows = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.split(',').map(cell => cell.trim()));
+  const header = rows[0].map(cell => cell.toLowerCase());
+  const hasHeader = !Number.isFinite(parseFloat(rows[0][0]));
+  const scoreCol = hasHeader ? header.findIndex(cell => cell === 'score' || cell === 'points') : 0;
+  const countCol = hasHeader ? header.findIndex(cell => ['count', 'games', 'frequency'].includes(cell)) : 1;
+  if (scoreCol < 0 || countCol < 0) throw new Error("Score table needs Score and Count columns");
+
+  const table = {};
+  rows.slice(hasHeader ? 1 : 0).forEach(row => {
+    const points = Number(row[scoreCol]);
+    const count = parseFloat(row[countCol]);
+    if (row[scoreCol] && Number.isInteger(points) && points >= 0 && Number.isFinite(count) && count >= 0) {
+      table[points] = (table[points] || 0) + count;
+    }
+  });
+  if (Object.keys(table).length === 0) throw new Error("Score table has no score rows");
+  return table;
+}
+
+/**
+ * Serialize a named profile for saving
+ */
+export const profileToJSON = (name, params) =>
+  JSON.stringify({ name, savedAt: new Date().toISOString(), params }, null, 2);
+
+/**
+ * Parse a saved profile, filling anything it lacks from the defaults
+ *
+ * @returns {Object} { name, params }
+ * @throws {Error} When the JSON is malformed or a coefficient is invalid
+ */
+export function profileFromJSON(text) {
+  let profile;
+  try {
+    profile = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Profile is not valid JSON: ${error.message}`);
+  }
+  if (!profile || typeof profile.params !== 'object' || profile.params === null) {
+    throw new Error("Profile has no params object");
+  }
+
+  const params = mergeParams(profile.params);
+  const errors = Object.entries(validateParams(params));
+  if (errors.length > 0) {
+    throw new Error(`Invalid profile: ${errors.map(([path, msg]) => `${path} ${msg.toLowerCase()}`).join('; ')}`);
+  }
+  return { name: String(profile.name || DEFAULT_PROFILE_NAME), params };
+}
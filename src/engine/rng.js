@@ -0,0 +1,63 @@
+// ============================================
+// SEEDED RANDOM NUMBER GENERATION
+// ============================================
+//
+// Every simulation draws from a Mulberry32 stream seeded with a 32-bit
+// integer. The seed is recorded on each result so any run can be replayed.
+
+/**
+ * Mulberry32 PRNG - returns a function producing floats in [0, 1)
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fresh seed for runs where the user did not enter one
+ */
+export const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+/**
+ * Normalize a user-entered seed to an unsigned 32-bit integer
+ * Accepts integers, numeric strings, or any other text (hashed with FNV-1a).
+ * Returns null when no seed was given.
+ */
+export function normalizeSeed(seed) {
+  if (seed === null || seed === undefined) return null;
+  const str = String(seed).trim();
+  if (str === '') return null;
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Resolve the seed a run should use: the entered seed, or a fresh random one
+ */
+export function resolveSeed(seed) {
+  const normalized = normalizeSeed(seed);
+  return normalized === null ? randomSeed() : normalized;
+}
+
+/**
+ * Derive an independent per-game seed from a batch seed and game index
+ * (SplitMix32-style mixing so neighbouring games get unrelated streams)
+ */
+export function deriveSeed(baseSeed, index) {
+  let z = (baseSeed + Math.imul(index + 1, 0x9E3779B9)) >>> 0;
+  z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+  z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+  return (z ^ (z >>> 16)) >>> 0;
+}
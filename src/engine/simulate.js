@@ -0,0 +1,452 @@
+import { DEFAULT_PARAMS } from "./params.js";
+import { toAmericanOdds, progressInterval } from "./utils.js";
+import { log } from "./logger.js";
+import {
+  calculateMatchupPPD,
+  calculateHomeFieldAdvantage,
+  calculateSituationalAdjustments,
+  calculateExpectedDrives,
+  calculateAdaptiveCorrelation,
+  calculateWeatherAdjustment,
+} from "./model.js";
+import { buildDriveModel, simulateDriveScores } from "./driveModel.js";
+import { applyTeamAdjustment } from "./adjustments.js";
+import { createRng, resolveSeed } from "./rng.js";
+import {
+  MAX_SCORE,
+  createScoreHistogram,
+  forEachScore,
+  createMarginal,
+  addToMarginal,
+  summarizeMarginal,
+} from "./histogram.js";
+import { buildOvertimeModel, createOvertimeTracker, recordGameResult } from "./overtime.js";
+import { buildCorrectScore } from "./correctScore.js";
+import { createPeriodTracker, splitScoringPlays, recordPeriods, summarizePeriods } from "./periods.js";
+import { createLiveState, playLiveStart } from "./live.js";
+import { priceMarkets, priceAltSpreads } from "./pricing.js";
+import { buildScoreDistribution, scoreAtNormal } from "./distributions.js";
+
+// ============================================
+// MAIN SIMULATION
+// ============================================
+
+/**
+ * Run a Monte Carlo simulation of one matchup
+ *
+ * @param {Object} homeTeam - Team row from the uploaded CSV
+ * @param {Object} awayTeam - Team row from the uploaded CSV
+ * @param {Object} settings - Game settings: overUnderLine, homeTeamTotal,
+ *   awayTeamTotal, spread, spreadLine, numSimulations, isDome, neutralSite
+ *   (no home field advantage), home/away RestDays, TravelMiles and TimeZones
+ *   (see calculateSituationalAdjustments), homeAdjustment / awayAdjustment
+ *   (injury and QB changes, see applyTeamAdjustment), windMPH, temperature,
+ *   precipitation, simulationMode ("normal" | "drives"), scoreDistribution
+ *   (normal engine marginals, a SCORE_DISTRIBUTIONS key, default "normal"),
+ *   seed (blank = fresh random seed; the seed used is returned on the result),
+ *   overtime (default true), otTieProb (chance OT ends tied, default 0.05),
+ *   firstHalfOverUnderLine, firstHalfSpreadLine, firstQuarterOverUnderLine,
+ *   firstQuarterSpreadLine (blank = scaled from the full-game lines),
+ *   ladderRange / ladderStep (alt total and team-total ladders, default ±7 by 1),
+ *   American odds for each side (see priceMarkets),
+ *   live (optional in-game state, see createLiveState; only the remaining
+ *   drives are simulated and period markets are skipped)
+ * @param {Object} [params=DEFAULT_PARAMS] - Model parameters
+ * @param {Object} [hooks] - Optional callbacks: onProgress(fraction)
+ * @returns {Object} Results object (see calculateResults)
+ */
+export function simulateGame(homeTeam, awayTeam, settings, params = DEFAULT_PARAMS, hooks = {}) {
+  const numSims = settings.numSimulations;
+  const seed = resolveSeed(settings.seed);
+  const random = createRng(seed);
+  
+  log("\n========================================");
+  log(`SIMULATION: ${homeTeam.Team} vs ${awayTeam.Team}`);
+  log(`Seed: ${seed}`);
+  log("========================================");
+  
+  // Injury / QB adjustments reshape the team rows before anything reads them
+  homeTeam = applyTeamAdjustment(homeTeam, settings.homeAdjustment, params);
+  awayTeam = applyTeamAdjustment(awayTeam, settings.awayAdjustment, params);
+  
+  // TIER 1 & 3: Calculate matchup-adjusted PPD using CER
+  const hfa = calculateHomeFieldAdvantage(homeTeam, settings.neutralSite, params);
+  const situational = calculateSituationalAdjustments(settings, params);
+  const matchup = calculateMatchupPPD(homeTeam, awayTeam, params, hfa, situational);
+  
+  // TIER 2: Calculate expected drives based on pace (correlated model)
+  const drives = calculateExpectedDrives(homeTeam, awayTeam, params);
+  
+  log(`  Drive differential: ${drives.differential.toFixed(2)} (capped at ±1.0)`);
+  
+  // Calculate correlation
+  const rho = calculateAdaptiveCorrelation(
+    homeTeam, awayTeam,
+    settings.spread,
+    settings.isDome,
+    settings.windMPH,
+    settings.precipitation,
+    params
+  );
+  
+  // Calculate weather adjustment
+  const weatherAdj = calculateWeatherAdjustment(settings, params);
+  
+  // TIER 4: Calculate expected points
+  const homeExpPts = matchup.homePPD * drives.homeDrives + (weatherAdj / 2);
+  const awayExpPts = matchup.awayPPD * drives.awayDrives + (weatherAdj / 2);
+  
+  log(`\n=== FINAL PROJECTIONS ===`);
+  log(`  Home: ${matchup.homePPD.toFixed(3)} PPD × ${drives.homeDrives.toFixed(2)} drives + ${(weatherAdj/2).toFixed(1)} weather = ${homeExpPts.toFixed(1)} pts`);
+  log(`  Away: ${matchup.awayPPD.toFixed(3)} PPD × ${drives.awayDrives.toFixed(2)} drives + ${(weatherAdj/2).toFixed(1)} weather = ${awayExpPts.toFixed(1)} pts`);
+  log(`  Total: ${(homeExpPts + awayExpPts).toFixed(1)} | Correlation: ${rho.toFixed(3)}`);
+  log(`========================================\n`);
+  
+  // Run Monte Carlo simulations
+  const results = {
+    scores: createScoreHistogram(),
+    correlationUsed: rho,
+    weatherAdjustment: weatherAdj,
+    homeExpectedPts: homeExpPts,
+    awayExpectedPts: awayExpPts,
+    homeDrives: drives.homeDrives,
+    awayDrives: drives.awayDrives,
+    totalGameDrives: drives.totalGameDrives,
+    driveDifferential: drives.differential,
+    turnoverSwing: drives.turnoverSwing,
+    gamePaceAdj: drives.gamePaceAdj,
+    matchupDetails: matchup,
+    simulationMode: settings.simulationMode === "drives" ? "drives" : "normal",
+    scoreDistribution: null,
+    driveModel: null,
+    live: null,
+    periods: null,
+    seed
+  };
+  
+  // Drive probabilities drive the discrete engine and overtime possessions in both modes
+  const driveModel = buildDriveModel(matchup, drives, weatherAdj, params);
+  results.overtime = createOvertimeTracker(settings, buildOvertimeModel(driveModel));
+  
+  // Normal engine: one bivariate-normal draw per team around the expected points
+  let normalDraw = {
+    homeMean: homeExpPts,
+    awayMean: awayExpPts,
+    homeSigma: sigmaTeam(homeExpPts, params),
+    awaySigma: sigmaTeam(awayExpPts, params),
+  };
+  let simDrives = drives;
+  
+  if (settings.live) {
+    // Live: the score so far is fixed, simulate only what's left on the clock
+    const live = createLiveState(settings.live, drives, driveModel, params);
+    const fraction = live.fractionRemaining;
+    const homeRemPts = matchup.homePPD * live.homeDrives + (weatherAdj / 2) * fraction;
+    const awayRemPts = matchup.awayPPD * live.awayDrives + (weatherAdj / 2) * fraction;
+    const ownsBall = (side) => (live.possession === side ? live.currentDriveExpPts : 0);
+    
+    results.live = live;
+    results.homeExpectedPts = live.homeScore + ownsBall("home") + homeRemPts;
+    results.awayExpectedPts = live.awayScore + ownsBall("away") + awayRemPts;
+    normalDraw = {
+      homeMean: homeRemPts,
+      awayMean: awayRemPts,
+      homeSigma: normalDraw.homeSigma * Math.sqrt(fraction),
+      awaySigma: normalDraw.awaySigma * Math.sqrt(fraction),
+    };
+    simDrives = { ...drives, homeDrives: live.homeDrives, awayDrives: live.awayDrives };
+  } else {
+    results.periods = createPeriodTracker(seed, params);
+  }
+  
+  if (results.simulationMode === "drives") {
+    // Discrete drive-by-drive engine: every score is built from 3s and 7s
+    results.driveModel = driveModel;
+    simulateDriveScores(results.driveModel, simDrives, rho, numSims, results, params, random, hooks.onProgress);
+  } else {
+    // Non-normal marginals share the correlated normals through a Gaussian copula
+    results.scoreDistribution = settings.scoreDistribution || "normal";
+    if (results.scoreDistribution !== "normal") {
+      normalDraw = {
+        ...normalDraw,
+        homeDist: buildScoreDistribution(results.scoreDistribution, normalDraw.homeMean, normalDraw.homeSigma, params),
+        awayDist: buildScoreDistribution(results.scoreDistribution, normalDraw.awayMean, normalDraw.awaySigma, params),
+      };
+      log(`  Score distribution: ${results.scoreDistribution} (home SD ${normalDraw.homeDist.sd.toFixed(2)}, away SD ${normalDraw.awayDist.sd.toFixed(2)})`);
+    }
+    simulateNormalScores(normalDraw, rho, numSims, results, random, hooks.onProgress);
+  }
+  
+  return calculateResults(results, settings, homeTeam.Team, awayTeam.Team);
+}
+
+/**
+ * Heteroskedastic score SD for the normal engine (params.sigma)
+ */
+export const sigmaTeam = (expectedPts, params = DEFAULT_PARAMS) => {
+  const { base, per_point, pivot, min, max } = params.sigma;
+  return Math.max(min, Math.min(max, base + per_point * (expectedPts - pivot)));
+};
+
+/**
+ * Bivariate-normal score draws around the expected points, rounded to
+ * integers, or mapped through each team's score distribution when the
+ * draw carries one
+ */
+function simulateNormalScores(draw, rho, numSims, results, random, onProgress) {
+  const progressStep = progressInterval(numSims);
+  
+  for (let i = 0; i < numSims; i++) {
+    // Generate correlated random values (Box-Muller)
+    const u1 = random() || Number.MIN_VALUE;
+    const u2 = random();
+    const z1 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    const z2 = Math.sqrt(-2 * Math.log(u1)) * Math.sin(2 * Math.PI * u2);
+    
+    const homeRandom = z1;
+    const awayRandom = rho * z1 + Math.sqrt(1 - rho * rho) * z2;
+    
+    // Calculate scores with heteroskedastic noise
+    let homeScoreRounded, awayScoreRounded;
+    if (draw.homeDist) {
+      homeScoreRounded = scoreAtNormal(draw.homeDist, homeRandom);
+      awayScoreRounded = scoreAtNormal(draw.awayDist, awayRandom);
+    } else {
+      homeScoreRounded = Math.round(Math.max(0, draw.homeMean + homeRandom * draw.homeSigma));
+      awayScoreRounded = Math.round(Math.max(0, draw.awayMean + awayRandom * draw.awaySigma));
+    }
+    
+    if (results.live) {
+      const [homeStart, awayStart] = playLiveStart(results.live, random);
+      homeScoreRounded += homeStart;
+      awayScoreRounded += awayStart;
+    } else {
+      recordPeriods(results.periods, splitScoringPlays(homeScoreRounded), splitScoringPlays(awayScoreRounded));
+    }
+    recordGameResult(results, homeScoreRounded, awayScoreRounded, random);
+    
+    if (onProgress && (i + 1) % progressStep === 0) onProgress((i + 1) / numSims);
+  }
+}
+
+/**
+ * Alternate over/under lines centered on the market line
+ *
+ * Rungs run from line - range to line + range in `step` increments (lines
+ * below zero are dropped). Fair odds treat a push as a refund, so they are
+ * priced on over vs under only.
+ */
+function buildLadder(marginal, line, range = 7, step = 1) {
+  const n = marginal.n;
+  const rungsEachSide = step > 0 ? Math.floor(range / step + 1e-9) : 0;
+  const ladder = [];
+
+  for (let k = -rungsEachSide; k <= rungsEachSide; k++) {
+    const rung = Math.round((line + k * step) * 100) / 100;
+    if (rung < 0) continue;
+
+    let over = 0, push = 0;
+    for (let i = 0; i < marginal.counts.length; i++) {
+      const value = i - marginal.offset;
+      if (value > rung) over += marginal.counts[i];
+      else if (value === rung) push += marginal.counts[i];
+    }
+    const under = n - over - push;
+    const decided = over + under;
+
+    ladder.push({
+      line: rung,
+      overPct: (over / n) * 100,
+      underPct: (under / n) * 100,
+      pushPct: (push / n) * 100,
+      overFairOdds: toAmericanOdds(decided ? over / decided : 0.5),
+      underFairOdds: toAmericanOdds(decided ? under / decided : 0.5),
+    });
+  }
+  return ladder;
+}
+
+/**
+ * Turn the simulated score histogram into market probabilities
+ *
+ * Every over/under, moneyline, spread and alt-line count, plus the
+ * marginal histograms behind the projections, comes from a single pass
+ * over the occupied cells of the joint histogram.
+ */
+export function calculateResults(results, settings, homeTeamName, awayTeamName) {
+  const hist = results.scores;
+  const n = hist.n;
+  const spreadLine = settings.spreadLine;
+  const spreadThreshold = -spreadLine;
+
+  // Alt-lines
+  const altLines = [-14, -10.5, -7, -6.5, -3.5, -3, -2.5, -1.5, 0, +1.5, +2.5, +3, +3.5, +6.5, +7, +10.5, +14];
+  const altCoverCounts = new Array(altLines.length).fill(0);
+  const altPushCounts = new Array(altLines.length).fill(0);
+
+  const homeMarginal = createMarginal(MAX_SCORE + 1);
+  const awayMarginal = createMarginal(MAX_SCORE + 1);
+  const totalMarginal = createMarginal(2 * MAX_SCORE + 1);
+  const marginMarginal = createMarginal(2 * MAX_SCORE + 1, MAX_SCORE);
+
+  let overCount = 0, underCount = 0, pushCount = 0;
+  let homeOverCount = 0, homeUnderCount = 0, homePushCount = 0;
+  let awayOverCount = 0, awayUnderCount = 0, awayPushCount = 0;
+  let homeWinCount = 0, awayWinCount = 0;
+  let homeCoverCount = 0, awayCoverCount = 0, spreadPushCount = 0;
+
+  forEachScore(hist, (home, away, count) => {
+    const total = home + away;
+    const margin = home - away;
+
+    addToMarginal(homeMarginal, home, count);
+    addToMarginal(awayMarginal, away, count);
+    addToMarginal(totalMarginal, total, count);
+    addToMarginal(marginMarginal, margin, count);
+
+    // Over/Under analysis
+    if (total > settings.overUnderLine) overCount += count;
+    else if (total < settings.overUnderLine) underCount += count;
+    else pushCount += count;
+
+    // Home team total
+    if (home > settings.homeTeamTotal) homeOverCount += count;
+    else if (home < settings.homeTeamTotal) homeUnderCount += count;
+    else homePushCount += count;
+
+    // Away team total
+    if (away > settings.awayTeamTotal) awayOverCount += count;
+    else if (away < settings.awayTeamTotal) awayUnderCount += count;
+    else awayPushCount += count;
+
+    // Moneyline
+    if (margin > 0) homeWinCount += count;
+    else if (margin < 0) awayWinCount += count;
+
+    // Spread analysis
+    if (margin > spreadThreshold) homeCoverCount += count;
+    else if (margin < spreadThreshold) awayCoverCount += count;
+    else spreadPushCount += count;
+
+    for (let i = 0; i < altLines.length; i++) {
+      if (margin > -altLines[i]) altCoverCounts[i] += count;
+      else if (margin === -altLines[i]) altPushCounts[i] += count;
+    }
+  });
+
+  const altLinesAnalysis = altLines.map((line, i) => ({
+    line,
+    coverPct: (altCoverCounts[i] / n) * 100,
+    pushPct: (altPushCounts[i] / n) * 100,
+    awayCoverPct: ((n - altCoverCounts[i] - altPushCounts[i]) / n) * 100,
+  }));
+
+  const ot = results.overtime;
+  const regulation = ot.regulation;
+  const tieCount = n - homeWinCount - awayWinCount;
+  const decided = homeWinCount + awayWinCount;
+  const twoWayHome = decided ? homeWinCount / decided : 0.5;
+
+  const summary = {
+    numSimulations: n,
+    homeTeam: homeTeamName,
+    awayTeam: awayTeamName,
+    correlationUsed: results.correlationUsed,
+    weatherAdjustment: results.weatherAdjustment,
+    homeExpectedPts: results.homeExpectedPts,
+    awayExpectedPts: results.awayExpectedPts,
+    homeDrives: results.homeDrives,
+    awayDrives: results.awayDrives,
+    totalGameDrives: results.totalGameDrives,
+    driveDifferential: results.driveDifferential,
+    turnoverSwing: results.turnoverSwing,
+    gamePaceAdj: results.gamePaceAdj,
+    matchupDetails: results.matchupDetails,
+    simulationMode: results.simulationMode,
+    scoreDistribution: results.scoreDistribution,
+    driveModel: results.driveModel,
+    live: results.live,
+    seed: results.seed,
+    
+    overUnder: {
+      line: settings.overUnderLine,
+      overPct: (overCount / n) * 100,
+      underPct: (underCount / n) * 100,
+      pushPct: (pushCount / n) * 100,
+      altLines: buildLadder(totalMarginal, settings.overUnderLine, settings.ladderRange, settings.ladderStep),
+    },
+    
+    homeTeamOverUnder: {
+      line: settings.homeTeamTotal,
+      overPct: (homeOverCount / n) * 100,
+      underPct: (homeUnderCount / n) * 100,
+      pushPct: (homePushCount / n) * 100,
+      altLines: buildLadder(homeMarginal, settings.homeTeamTotal, settings.ladderRange, settings.ladderStep),
+    },
+    
+    awayTeamOverUnder: {
+      line: settings.awayTeamTotal,
+      overPct: (awayOverCount / n) * 100,
+      underPct: (awayUnderCount / n) * 100,
+      pushPct: (awayPushCount / n) * 100,
+      altLines: buildLadder(awayMarginal, settings.awayTeamTotal, settings.ladderRange, settings.ladderStep),
+    },
+    
+    moneyline: {
+      // Full game including overtime; tiePct is games still level after OT
+      homeWinPct: (homeWinCount / n) * 100,
+      awayWinPct: (awayWinCount / n) * 100,
+      tiePct: (tieCount / n) * 100,
+      homeFairOdds: toAmericanOdds(twoWayHome),
+      awayFairOdds: toAmericanOdds(1 - twoWayHome),
+      // Two-way: ties settled in OT, a tie after OT is a push (no action)
+      twoWay: {
+        homePct: twoWayHome * 100,
+        awayPct: (1 - twoWayHome) * 100,
+        homeFairOdds: toAmericanOdds(twoWayHome),
+        awayFairOdds: toAmericanOdds(1 - twoWayHome),
+      },
+      // Three-way: regulation result, the tie is its own outcome
+      threeWay: {
+        homePct: (regulation.homeWins / n) * 100,
+        tiePct: (regulation.ties / n) * 100,
+        awayPct: (regulation.awayWins / n) * 100,
+        homeFairOdds: toAmericanOdds(regulation.homeWins / n),
+        tieFairOdds: toAmericanOdds(regulation.ties / n),
+        awayFairOdds: toAmericanOdds(regulation.awayWins / n),
+      },
+    },
+    
+    overtime: {
+      enabled: ot.enabled,
+      tieProb: ot.tieProb,
+      pct: (ot.games / n) * 100,
+      homeWinPct: ot.games ? (ot.homeWins / ot.games) * 100 : 0,
+      awayWinPct: ot.games ? (ot.awayWins / ot.games) * 100 : 0,
+      tiePct: ot.games ? (ot.ties / ot.games) * 100 : 0,
+    },
+    
+    spread: {
+      line: spreadLine,
+      homeCoverPct: (homeCoverCount / n) * 100,
+      awayCoverPct: (awayCoverCount / n) * 100,
+      pushPct: (spreadPushCount / n) * 100,
+      altLines: altLinesAnalysis,
+    },
+    
+    correctScore: buildCorrectScore(hist),
+    
+    periods: results.periods ? summarizePeriods(results.periods, settings) : null,
+    
+    homeProjection: summarizeMarginal(homeMarginal),
+    awayProjection: summarizeMarginal(awayMarginal),
+    totalProjection: summarizeMarginal(totalMarginal),
+    marginProjection: summarizeMarginal(marginMarginal),
+  };
+  
+  // EV, break-even and edge for every side at the entered prices
+  summary.pricing = priceMarkets(summary, settings);
+  summary.pricing.altSpreads = priceAltSpreads(summary.spread.altLines, settings);
+  
+  return summary;
+}
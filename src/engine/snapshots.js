@@ -0,0 +1,97 @@
+import { parsePercent } from "./utils.js";
+
+// ============================================
+// BLENDED TEAM SNAPSHOTS
+// ============================================
+//
+// A snapshot is one team database: season to date, last 4 games, a past
+// week. Several can be loaded at once and blended column by column with
+// user-chosen weights, so the CER and pace functions read a single row per
+// team that leans toward recent form as much as the weights say.
+//
+// Each snapshot is { name, teams, weight }. Weights need not sum to 1; a
+// team missing from a snapshot (or a blank cell) is blended over the
+// snapshots that have it.
+
+const teamKey = (team) => String(team.Team).trim().toUpperCase();
+
+const numericWeight = (weight) => {
+  const value = parseFloat(weight);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+};
+
+/**
+ * Snapshots that take part in the blend, with numeric weights normalized
+ * to sum to 1 (all equal when none is positive)
+ */
+export function blendWeights(snapshots) {
+  const weights = snapshots.map(snapshot => numericWeight(snapshot.weight));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return snapshots
+    .map((snapshot, i) => ({ ...snapshot, share: total > 0 ? weights[i] / total : 1 / snapshots.length }))
+    .filter(snapshot => snapshot.share > 0);
+}
+
+/**
+ * Weighted mean of one column's values; rates written with '%' are
+ * averaged as rates and written back with '%'
+ */
+function blendColumn(entries) {
+  const numeric = entries.filter(({ value }) => value !== undefined && value !== '' && Number.isFinite(parseFloat(value)));
+  if (numeric.length === 0) return entries.find(({ value }) => value !== undefined && value !== '')?.value ?? '';
+
+  const percent = numeric.some(({ value }) => String(value).includes('%'));
+  const read = (value) => (percent ? parsePercent(value) : parseFloat(value));
+  const weight = numeric.reduce((sum, { share }) => sum + share, 0);
+  const mean = numeric.reduce((sum, { value, share }) => sum + read(value) * share, 0) / weight;
+  return percent ? `${Number((mean * 100).toFixed(2))}%` : Number(mean.toFixed(4));
+}
+
+/**
+ * Blend team snapshots into one team database
+ *
+ * Numeric columns are the weighted mean over the snapshots that report
+ * them; text columns come from the first snapshot that has them. A single
+ * snapshot is returned as-is.
+ *
+ * @param {Object[]} snapshots - [{ name, teams, weight }] in priority order
+ * @returns {Object[]} Team rows in first-seen order
+ */
+export function blendSnapshots(snapshots) {
+  const active = blendWeights(snapshots);
+  if (active.length === 0) return [];
+  if (active.length === 1) return active[0].teams;
+
+  const rowsByTeam = new Map();
+  active.forEach(({ teams, share }) => teams.forEach(team => {
+    const key = teamKey(team);
+    if (!rowsByTeam.has(key)) rowsByTeam.set(key, []);
+    rowsByTeam.get(key).push({ team, share });
+  }));
+
+  return [...rowsByTeam.values()].map(rows => {
+    const columns = [...new Set(rows.flatMap(({ team }) => Object.keys(team)))];
+    const blended = {};
+    columns.forEach(column => {
+      blended[column] = column === 'Team'
+        ? rows[0].team.Team
+        : blendColumn(rows.map(({ team, share }) => ({ value: team[column], share })));
+    });
+    return blended;
+  });
+}
+
+/**
+ * One team's raw value of a column in every snapshot, for showing what a
+ * blended number is made of
+ *
+ * @returns {Object[]} [{ name, share, value }] (value null when missing)
+ */
+export function snapshotValues(snapshots, teamName, columns) {
+  const key = String(teamName).trim().toUpperCase();
+  return blendWeights(snapshots).map(({ name, teams, share }) => {
+    const team = teams.find(row => teamKey(row) === key);
+    const column = team && columns.find(name => team[name] !== undefined && team[name] !== '');
+    return { name, share, value: column ? team[column] : null };
+  });
+}
@@ -0,0 +1,110 @@
+import { americanToDecimal } from "./utils.js";
+import { bestSide } from "./pricing.js";
+
+// ============================================
+// STAKE SIZING (KELLY)
+// ============================================
+//
+// Full Kelly with pushes: maximizing p·log(1 + f·b) + q·log(1 - f) (a push
+// leaves the bankroll unchanged) gives f* = (p·b - q) / (b·(p + q)).
+// Stakes are a multiple of that (fractional Kelly), capped per bet, and
+// scaled down together when the whole slate would exceed its cap.
+//
+// Kelly sizes each bet as if it were the only one. The sides picked on one
+// game (total, spread, moneyline, team totals) all ride on the same score,
+// so their combined stake is first scaled down to the per-game cap.
+
+export const DEFAULT_STAKING = {
+  bankroll: 1000,
+  kellyMultiplier: 0.25,  // 1 = full Kelly, 0.5 = half, 0.25 = quarter
+  maxBetPct: 3,           // Cap per bet, % of bankroll
+  maxGamePct: 5,          // Cap on total exposure per game, % of bankroll
+  maxSlatePct: 15,        // Cap on total exposure across the slate, % of bankroll
+};
+
+const MARKETS = ['total', 'homeTeamTotal', 'awayTeamTotal', 'spread', 'moneyline'];
+
+/**
+ * Full-Kelly fraction of bankroll for a priced side (0 when there is no edge)
+ */
+export function kellyFraction(bet) {
+  if (!bet) return 0;
+  const p = bet.winPct / 100;
+  const q = bet.lossPct / 100;
+  const b = americanToDecimal(bet.odds) - 1;
+  if (p + q <= 0 || b <= 0) return 0;
+  return Math.max(0, (p * b - q) / (b * (p + q)));
+}
+
+/**
+ * Size a list of bets against one bankroll
+ *
+ * @param {number[]} [games] - Game index of each bet; bets on the same game
+ *   share the per-game cap (default: every bet on its own game)
+ * @returns {Object} { stakes: [{ kelly, fraction, stake, capped }] in input
+ *   order, totalStake, slateScale (1 unless the slate cap bound) }
+ */
+export function sizeStakes(bets, staking = DEFAULT_STAKING, games = bets.map((_, i) => i)) {
+  const { bankroll, kellyMultiplier, maxBetPct, maxGamePct, maxSlatePct } = staking;
+  const betCap = maxBetPct / 100;
+  const gameCap = maxGamePct / 100;
+
+  const sized = bets.map((bet) => {
+    const kelly = kellyFraction(bet);
+    const target = kelly * kellyMultiplier;
+    return { kelly, fraction: Math.min(target, betCap), capped: target > betCap };
+  });
+
+  const gameExposure = new Map();
+  sized.forEach((s, i) => gameExposure.set(games[i], (gameExposure.get(games[i]) || 0) + s.fraction));
+  sized.forEach((s, i) => {
+    const exposure = gameExposure.get(games[i]);
+    if (exposure > gameCap && s.fraction > 0) {
+      s.fraction *= gameCap / exposure;
+      s.capped = true;
+    }
+  });
+
+  const exposure = sized.reduce((sum, s) => sum + s.fraction, 0);
+  const slateCap = maxSlatePct / 100;
+  const slateScale = exposure > slateCap ? slateCap / exposure : 1;
+
+  const stakes = sized.map((s) => ({
+    kelly: s.kelly,
+    fraction: s.fraction * slateScale,
+    stake: bankroll * s.fraction * slateScale,
+    capped: s.capped || (slateScale < 1 && s.fraction > 0),
+  }));
+
+  return {
+    stakes,
+    totalStake: stakes.reduce((sum, s) => sum + s.stake, 0),
+    slateScale,
+  };
+}
+
+/**
+ * Stake the +EV side of every market across one or more games
+ *
+ * @param {Object[]} pricings - results.pricing for each game
+ * @returns {Object} { games: [{ [market]: { side, bet, kelly, fraction,
+ *   stake, capped } }] (markets without a +EV side are absent),
+ *   totalStake, slateScale }
+ */
+export function stakeSlate(pricings, staking = DEFAULT_STAKING) {
+  const picks = [];
+  pricings.forEach((pricing, game) => {
+    MARKETS.forEach((market) => {
+      const pick = pricing[market] ? bestSide(pricing[market]) : null;
+      if (pick && pick.bet.ev > 0) picks.push({ game, market, ...pick });
+    });
+  });
+
+  const { stakes, totalStake, slateScale } = sizeStakes(picks.map((p) => p.bet), staking, picks.map((p) => p.game));
+  const games = pricings.map(() => ({}));
+  picks.forEach((pick, i) => {
+    games[pick.game][pick.market] = { side: pick.side, bet: pick.bet, ...stakes[i] };
+  });
+
+  return { games, totalStake, slateScale };
+}
@@ -0,0 +1,123 @@
+import { toAmericanOdds } from "./utils.js";
+import { evaluateBet } from "./pricing.js";
+import { settleLeg, priceParlay } from "./parlay.js";
+
+// ============================================
+// TEASERS & BOUGHT POINTS
+// ============================================
+//
+// A teaser moves every leg the same number of points in the bettor's favour
+// and pays as a parlay. Legs are priced from their own game's simulated
+// scores, so a teased spread gains exactly the margins that game lands on
+// (3 and 7 included). Legs in the same game stay correlated; games are
+// simulated independently, so their results multiply. A pushed leg drops
+// out, as at most books, and is treated as stake returned for EV.
+
+export const TEASER_POINTS = [6, 6.5, 7];
+
+/**
+ * Move a spread or total leg `points` in the bettor's favour
+ */
+export function teaseLeg(leg, points) {
+  switch (leg.market) {
+    case 'spread':
+      return { ...leg, line: leg.line + points };
+    case 'total':
+    case 'homeTeamTotal':
+    case 'awayTeamTotal':
+      return { ...leg, line: leg.side === 'over' ? leg.line - points : leg.line + points };
+    default:
+      throw new Error(`${leg.market} legs cannot be teased`);
+  }
+}
+
+/**
+ * Win and push rates (0-100) of a single leg over the joint score distribution
+ */
+function legRates(scores, leg) {
+  let n = 0, wins = 0, pushes = 0;
+  scores.forEach(({ home, away, count }) => {
+    const outcome = settleLeg(leg, home, away);
+    n += count;
+    if (outcome > 0) wins += count;
+    else if (outcome === 0) pushes += count;
+  });
+  return { winPct: (wins / n) * 100, pushPct: (pushes / n) * 100 };
+}
+
+/**
+ * Price a teaser across games
+ *
+ * @param {Object[]} games - [{ scores, legs }]: each game's
+ *   results.correctScore.scores and its unteased legs (see settleLeg)
+ * @param {number} points - Teaser points (6, 6.5 or 7)
+ * @param {number} [odds] - Entered teaser price (American), optional
+ * @returns {Object} { games (legs with teased line, winPct, pushPct),
+ *   jointPct, voidPct, lossPct, fairOdds, bet }
+ */
+export function priceTeaser(games, points, odds) {
+  let winAll = 1, noLoss = 1;
+
+  const priced = games.map(({ scores, legs }) => {
+    const game = priceParlay(scores, legs.map(leg => teaseLeg(leg, points)));
+    winAll *= game.jointPct / 100;
+    noLoss *= (game.jointPct + game.voidPct) / 100;
+    return { legs: game.legs, jointPct: game.jointPct, voidPct: game.voidPct };
+  });
+
+  const jointPct = winAll * 100;
+  const voidPct = (noLoss - winAll) * 100;
+  const decided = 1 - (noLoss - winAll);
+
+  return {
+    games: priced,
+    jointPct,
+    voidPct,
+    lossPct: 100 - jointPct - voidPct,
+    fairOdds: toAmericanOdds(decided > 0 ? winAll / decided : 0),  // Void refunded
+    bet: evaluateBet(jointPct, voidPct, odds),
+  };
+}
+
+/**
+ * Value of buying points on one side of a spread, half a point at a time
+ *
+ * Each rung moves the line half a point in the bettor's favour from the
+ * market line. Moving onto a whole number turns that margin from a loss
+ * into a push; moving off it turns the push into a win, so the gain is
+ * reported both ways.
+ *
+ * @param {Object[]} scores - results.correctScore.scores
+ * @param {'home'|'away'} side
+ * @param {number} line - Market line from that side's perspective
+ * @param {number} [maxPoints=3] - How far to buy
+ * @returns {Object[]} [{ points, line, keyMargin, winPct, pushPct, lossPct,
+ *   winGainPct, lossCutPct, fairOdds }]
+ */
+export function buyPoints(scores, side, line, maxPoints = 3) {
+  const rungs = [];
+  let prev = null;
+
+  for (let points = 0; points <= maxPoints; points += 0.5) {
+    const bought = line + points;
+    const { winPct, pushPct } = legRates(scores, { market: 'spread', side, line: bought });
+    const lossPct = 100 - winPct - pushPct;
+    const decided = winPct + lossPct;
+
+    rungs.push({
+      points,
+      line: bought,
+      // The final margin this half point moved onto or off of
+      keyMargin: points === 0 ? null : Math.abs(Number.isInteger(bought) ? bought : bought - 0.5),
+      winPct,
+      pushPct,
+      lossPct,
+      winGainPct: prev ? winPct - prev.winPct : 0,
+      lossCutPct: prev ? prev.lossPct - lossPct : 0,
+      fairOdds: toAmericanOdds(decided > 0 ? winPct / decided : 0),
+    });
+    prev = rungs[rungs.length - 1];
+  }
+
+  return rungs;
+}
@@ -0,0 +1,83 @@
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+export const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
+
+/**
+ * Find value from team object with multiple possible column names
+ */
+export const findValue = (team, possibleNames) => {
+  for (let name of possibleNames) {
+    if (team[name] !== undefined && team[name] !== '') {
+      return team[name];
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse percentage values - handles "44.7%", "0.447", or "44.7"
+ * CRITICAL: If the original string contains '%', ALWAYS divide by 100
+ */
+export function parsePercent(val) {
+  if (val == null || val === "") return null;
+  const originalStr = String(val).trim();
+  const hasPercentSign = originalStr.includes('%');
+  const numStr = originalStr.replace('%', '').trim();
+  const num = parseFloat(numStr);
+  if (isNaN(num)) return null;
+
+  // If original had '%' sign, always divide by 100 (e.g., "0.89%" → 0.0089)
+  if (hasPercentSign) {
+    return num / 100;
+  }
+  // If no '%' sign and value > 1, assume it's a percentage that needs /100
+  if (num > 1) return num / 100;
+  // Otherwise assume it's already a decimal
+  return num;
+}
+
+/**
+ * Calculate z-score: (value - mean) / sd
+ */
+export function zScore(value, mean, sd) {
+  if (sd === 0) return 0;
+  return (value - mean) / sd;
+}
+
+/**
+ * Convert probability to American odds
+ */
+export const toAmericanOdds = (prob) => {
+  if (prob <= 0) return Infinity;
+  if (prob >= 1) return -Infinity;
+  return prob >= 0.5
+    ? -Math.round((prob / (1 - prob)) * 100)
+    : Math.round(((1 - prob) / prob) * 100);
+};
+
+/**
+ * Decimal odds (total return per unit staked) from American odds
+ */
+export const americanToDecimal = (odds) => (odds > 0 ? 1 + odds / 100 : 1 + 100 / -odds);
+
+/**
+ * Win probability needed to break even at a price (no push)
+ */
+export const breakEvenProbability = (odds) => 1 / americanToDecimal(odds);
+
+/**
+ * How many iterations between progress callbacks (~100 updates per run)
+ */
+export const progressInterval = (numSims) => Math.max(1000, Math.ceil(numSims / 100));
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ */
+export function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
@@ -0,0 +1,18 @@
+import { simulateGame, fitParams, quietly } from "../engine/index.js";
+
+/**
+ * Run one pool job, in a worker or on the main thread
+ *
+ * Simulation jobs (the default): { homeTeam, awayTeam, settings, params, verbose }
+ * Fit jobs: { kind: 'fit', games, params, options } (see fitParams)
+ *
+ * Only a simulation job marked `verbose` (the single-game run) prints the
+ * model breakdown; batch and backtest games would flood the console.
+ */
+export function runJob(job, onProgress) {
+  if (job.kind === 'fit') {
+    return fitParams(job.games, job.params, { ...job.options, onProgress });
+  }
+  const run = () => simulateGame(job.homeTeam, job.awayTeam, job.settings, job.params, { onProgress });
+  return job.verbose ? run() : quietly(run);
+}
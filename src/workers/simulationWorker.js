@@ -0,0 +1,23 @@
+/**
+ * Simulation Web Worker
+ *
+ * Runs one pool job per message off the UI thread: a simulateGame() run,
+ * or a coefficient fit (see jobs.js).
+ * Messages in:  { jobId, ...job }
+ * Messages out: { type: 'progress', jobId, fraction }
+ *               { type: 'done', jobId, result }
+ *               { type: 'error', jobId, error }
+ */
+
+import { runJob } from "./jobs.js";
+
+self.onmessage = (event) => {
+  const { jobId, ...job } = event.data;
+
+  try {
+    const result = runJob(job, (fraction) => self.postMessage({ type: 'progress', jobId, fraction }));
+    self.postMessage({ type: 'done', jobId, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', jobId, error: error.message });
+  }
+};
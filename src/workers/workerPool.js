@@ -0,0 +1,148 @@
+import { runJob } from "./jobs.js";
+
+// ============================================
+// SIMULATION WORKER POOL
+// ============================================
+//
+// Spreads simulateGame() jobs (and coefficient fits) across Web Workers.
+// Each job carries its own seed, so a game produces exactly the same result
+// whichever worker runs it (or the main thread, when Workers are unavailable).
+
+const defaultPoolSize = () => {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(8, cores - 1));
+};
+
+const spawnWorker = () =>
+  new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+
+/**
+ * True when runJobs() rejected because the pool was cancelled mid-run
+ */
+export const isCancelled = (error) => !!(error && error.cancelled);
+
+const cancelledError = () => {
+  const error = new Error("Simulation cancelled");
+  error.cancelled = true;
+  return error;
+};
+
+/**
+ * Create a pool of simulation workers
+ *
+ * runJobs(jobs, onProgress) resolves to one outcome per job, in job order:
+ * { result } on success or { error } when that game failed.
+ * onProgress(fraction, completedJobs) fires as iterations complete.
+ * cancel() terminates every worker and rejects the pending run.
+ */
+export function createWorkerPool(size = defaultPoolSize()) {
+  let workers = [];
+  let activeRun = null;
+
+  const ensureWorkers = (count) => {
+    while (workers.length < count) workers.push(spawnWorker());
+  };
+
+  function runJobs(jobs, onProgress = () => {}) {
+    if (activeRun) return Promise.reject(new Error("Simulation already running"));
+
+    // No Worker support: run in order on this thread
+    if (typeof Worker === 'undefined') {
+      const outcomes = jobs.map((job, i) => {
+        try {
+          const result = runJob(job);
+          onProgress((i + 1) / jobs.length, i + 1);
+          return { result };
+        } catch (error) {
+          return { error: error.message };
+        }
+      });
+      return Promise.resolve(outcomes);
+    }
+
+    return new Promise((resolve, reject) => {
+      const outcomes = new Array(jobs.length);
+      const fractions = new Array(jobs.length).fill(0);
+      let nextJob = 0;
+      let completed = 0;
+
+      ensureWorkers(Math.min(size, jobs.length));
+
+      const reportProgress = () => {
+        const total = fractions.reduce((a, b) => a + b, 0);
+        onProgress(jobs.length ? total / jobs.length : 1, completed);
+      };
+
+      const dispatch = (worker) => {
+        if (nextJob >= jobs.length) return;
+        const jobId = nextJob++;
+        worker.postMessage({ jobId, ...jobs[jobId] });
+      };
+
+      const finish = () => {
+        workers.forEach(w => { w.onmessage = null; w.onerror = null; });
+        activeRun = null;
+      };
+
+      // A running job can't be interrupted, so stopping means terminating the workers
+      const fail = (error) => {
+        finish();
+        workers.forEach(w => w.terminate());
+        workers = [];
+        reject(error);
+      };
+
+      activeRun = { cancel: () => fail(cancelledError()) };
+
+      workers.forEach((worker) => {
+        worker.onmessage = (event) => {
+          const { type, jobId } = event.data;
+
+          if (type === 'progress') {
+            fractions[jobId] = event.data.fraction;
+            reportProgress();
+            return;
+          }
+
+          outcomes[jobId] = type === 'done'
+            ? { result: event.data.result }
+            : { error: event.data.error };
+          fractions[jobId] = 1;
+          completed++;
+          reportProgress();
+
+          if (completed === jobs.length) {
+            finish();
+            resolve(outcomes);
+          } else {
+            dispatch(worker);
+          }
+        };
+
+        worker.onerror = (event) => {
+          event.preventDefault();
+          fail(new Error(event.message || "Simulation worker crashed"));
+        };
+      });
+
+      if (jobs.length === 0) {
+        finish();
+        resolve(outcomes);
+        return;
+      }
+
+      workers.slice(0, Math.min(size, jobs.length)).forEach(dispatch);
+    });
+  }
+
+  return {
+    runJobs,
+    cancel: () => activeRun && activeRun.cancel(),
+    isRunning: () => !!activeRun,
+    terminate: () => {
+      if (activeRun) activeRun.cancel();
+      workers.forEach(w => w.terminate());
+      workers = [];
+    }
+  };
+}